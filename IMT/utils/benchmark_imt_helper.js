@@ -1,23 +1,84 @@
 // IMT/utils/benchmark_imt_helper.js
+const fs = require("fs")
+
 const {
     IncrementalMerkleTree,
+    FrontierMerkleTree,
     realPoseidon2Hash,
+    hashPair,
+    TREE_DEPTH,
+    MAX_TREE_DEPTH,
+    FIELD_PRIME,
+    syncCircuitDepth,
+    verifyMultiProof,
 } = require("./test_data_generator")
+const {
+    IndexedMerkleTree,
+    formatNonMembershipToml,
+    NON_MEMBERSHIP_MAIN_PATH,
+} = require("./non_membership_data_generator")
+const {
+    MerkleForest,
+    formatForestToml,
+    FOREST_MAIN_PATH,
+} = require("./forest_data_generator")
+
+// Binary snapshot layout (all integers big-endian):
+//   0..3   magic "IMTB"
+//   4      format version
+//   5      tree depth
+//   6..11  leaf count (48 bits: a full depth-32 tree has 2^32 leaves)
+//   12..   32-byte field elements, level 0 (leaves) up to the root; level l
+//          holds ceil(count / 2^l) nodes in index order
+const BINARY_MAGIC = "IMTB"
+const BINARY_VERSION = 1
+const BINARY_HEADER_SIZE = 12
+const BINARY_COUNT_OFFSET = 6
+const BINARY_COUNT_SIZE = 6
+const FIELD_ELEMENT_SIZE = 32
 
 /**
- * Incrementally adds new secrets to an existing IMT or creates a new one
+ * Incrementally adds new secrets to an existing IMT or creates a new one.
+ * Uses bulk insertion so each affected internal node is hashed once per batch.
  * @param {IncrementalMerkleTree | null} existingTree - The current tree (or null)
  * @param {bigint[]} newSecrets - Array of secrets to add
+ * @param {number} depth - Depth for a newly created tree (ignored if existingTree is given)
+ * @param {{ allowDuplicates?: boolean }} options - For a newly created tree;
+ *   by default a secret that is already a member throws "Already a member"
  * @returns {IncrementalMerkleTree} - The updated tree
  */
-function createIncrementalIMT(existingTree, newSecrets) {
-    const tree = existingTree || new IncrementalMerkleTree()
+function createIncrementalIMT(
+    existingTree,
+    newSecrets,
+    depth = TREE_DEPTH,
+    { allowDuplicates = false } = {}
+) {
+    const tree =
+        existingTree || new IncrementalMerkleTree({ depth, allowDuplicates })
 
-    for (const secret of newSecrets) {
-        // Compute leaf hash from secret (mimics test_data_generator logic)
-        const leaf = realPoseidon2Hash([secret])
-        tree.insert(leaf)
-    }
+    // Leaf hash is poseidon2([secret]) (mimics test_data_generator logic)
+    tree.insertMembers(newSecrets)
+
+    return tree
+}
+
+/**
+ * Incrementally adds new secrets to a frontier-only IMT or creates a new one.
+ * @param {FrontierMerkleTree | null} existingTree - The current tree (or null)
+ * @param {bigint[]} newSecrets - Array of secrets to add
+ * @param {number} depth - Depth for a newly created tree (ignored if existingTree is given)
+ * @param {number[]} watch - Leaf indices whose paths a new tree should keep
+ * @returns {FrontierMerkleTree} - The updated tree
+ */
+function createFrontierIMT(
+    existingTree,
+    newSecrets,
+    depth = TREE_DEPTH,
+    watch = []
+) {
+    const tree = existingTree || new FrontierMerkleTree({ depth, watch })
+
+    tree.insertMembers(newSecrets)
 
     return tree
 }
@@ -25,13 +86,21 @@ function createIncrementalIMT(existingTree, newSecrets) {
 /**
  * Serializes the entire logic structure of the IMT to CSV for proper storage measurement.
  * Includes all leaves and all internal nodes currently stored in the map.
+ * For a FrontierMerkleTree only the frontier, watched siblings and root are stored.
  * Format: level,index,hash_value
- * @param {IncrementalMerkleTree} tree
+ * @param {IncrementalMerkleTree | FrontierMerkleTree} tree
  * @returns {string} CSV content
  */
 function serializeIMTtoCSV(tree) {
     const lines = ["level,index,hash_value"]
 
+    if (tree instanceof FrontierMerkleTree) {
+        for (const { level, index, value } of tree.getStoredNodes()) {
+            lines.push(`${level},${index},${value.toString()}`)
+        }
+        return lines.join("\n")
+    }
+
     // 1. Serialize leaves (Level 0)
     // Accessing private 'leaves' via index since we don't have direct access if private
     // But test_data_generator implementation shows 'leaves' is public property (this.leaves)
@@ -56,7 +125,261 @@ function serializeIMTtoCSV(tree) {
 }
 
 /**
- * Generates Prover.toml content for a specific user index
+ * Checks that every stored internal node is the hash of its children, up to
+ * the root at (depth, 0). Throws on the first mismatch or missing node.
+ * @param {IncrementalMerkleTree} tree
+ */
+function verifyTreeIntegrity(tree) {
+    if (tree.nextIndex === 0) return
+
+    let width = tree.nextIndex
+    for (let level = 1; level <= tree.depth; level++) {
+        width = Math.ceil(width / 2)
+
+        for (let index = 0; index < width; index++) {
+            const stored = tree.nodes.get(`${level}:${index}`)
+            if (stored === undefined) {
+                throw new Error(
+                    `Missing node at level ${level}, index ${index}`
+                )
+            }
+
+            const expected = hashPair(
+                tree.getNodeOrZero(level - 1, index * 2),
+                tree.getNodeOrZero(level - 1, index * 2 + 1)
+            )
+            if (stored !== expected) {
+                throw new Error(
+                    `Node at level ${level}, index ${index} does not match the hash of its children`
+                )
+            }
+        }
+    }
+}
+
+/**
+ * Parses a non-negative decimal integer field of a CSV row
+ * @param {NumberConstructor | BigIntConstructor} as - Number, or BigInt for
+ *   field elements
+ */
+function parseCsvInteger(field, name, row, as = Number) {
+    if (!/^\d+$/.test(field?.trim() ?? "")) {
+        throw new Error(`Invalid ${name} in IMT CSV row: ${row}`)
+    }
+    return as(field.trim())
+}
+
+/**
+ * Rebuilds an IMT from the CSV produced by serializeIMTtoCSV without rehashing
+ * the leaves. The depth is the level of the root row. Only full-tree CSVs can
+ * be loaded; a frontier CSV does not hold enough nodes.
+ * @param {string} csv - CSV content (level,index,hash_value)
+ * @param {{ depth?: number, verify?: boolean }} options - Expected depth; set
+ *   verify to false to skip the integrity check for trusted input
+ * @returns {IncrementalMerkleTree}
+ */
+function deserializeIMTfromCSV(csv, { depth, verify = true } = {}) {
+    const rows = csv
+        .split("\n")
+        .slice(1)
+        .filter((l) => l.trim().length > 0)
+
+    const entries = rows.map((row) => {
+        const [levelStr, indexStr, valueStr] = row.split(",")
+        const level = parseCsvInteger(levelStr, "level", row)
+        const index = parseCsvInteger(indexStr, "index", row)
+        const value = parseCsvInteger(valueStr, "value", row, BigInt)
+        if (value >= FIELD_PRIME) {
+            throw new Error(
+                `Value out of field at level ${level}, index ${index}`
+            )
+        }
+        return { level, index, value }
+    })
+
+    let leafCount = 0
+    let maxLevel = 0
+    for (const { level } of entries) {
+        if (level === 0) leafCount++
+        maxLevel = Math.max(maxLevel, level)
+    }
+    const treeDepth = depth ?? (leafCount > 0 ? maxLevel : TREE_DEPTH)
+    if (leafCount > 0 && maxLevel !== treeDepth) {
+        throw new Error(
+            `CSV root is at level ${maxLevel}, expected depth ${treeDepth}`
+        )
+    }
+
+    // Every row must be a node of the populated part of the tree: level l
+    // holds ceil(leafCount / 2^l) nodes
+    const leaves = []
+    const nodes = new Map()
+    for (const { level, index, value } of entries) {
+        if (level > treeDepth || index >= Math.ceil(leafCount / 2 ** level)) {
+            throw new Error(
+                `Row at level ${level}, index ${index} is outside a depth ${treeDepth} tree of ${leafCount} leaves`
+            )
+        }
+        if (level === 0) {
+            leaves[index] = value
+        } else {
+            nodes.set(`${level}:${index}`, value)
+        }
+    }
+
+    for (let i = 0; i < leaves.length; i++) {
+        if (leaves[i] === undefined) throw new Error(`Missing leaf ${i}`)
+    }
+
+    const tree = new IncrementalMerkleTree({ depth: treeDepth })
+    tree.leaves = leaves
+    tree.nodes = nodes
+    tree.nextIndex = leaves.length
+
+    if (verify) verifyTreeIntegrity(tree)
+    tree.rebuildIndexes()
+    tree.recordRoot()
+
+    return tree
+}
+
+function writeFieldElement(buffer, offset, value) {
+    buffer.write(
+        value.toString(16).padStart(FIELD_ELEMENT_SIZE * 2, "0"),
+        offset,
+        FIELD_ELEMENT_SIZE,
+        "hex"
+    )
+}
+
+function readFieldElement(buffer, offset) {
+    return BigInt(
+        "0x" + buffer.toString("hex", offset, offset + FIELD_ELEMENT_SIZE)
+    )
+}
+
+/**
+ * Serializes the IMT to the fixed-width binary snapshot format.
+ * Node positions are implied by the leaf count, so no indices are stored.
+ * @param {IncrementalMerkleTree} tree
+ * @returns {Buffer}
+ */
+function serializeIMTtoBinary(tree) {
+    const count = tree.nextIndex
+
+    const widths = [count]
+    for (let level = 1; level <= tree.depth; level++) {
+        widths.push(Math.ceil(widths[level - 1] / 2))
+    }
+    const elementCount = widths.reduce((a, b) => a + b, 0)
+
+    const buffer = Buffer.alloc(
+        BINARY_HEADER_SIZE + elementCount * FIELD_ELEMENT_SIZE
+    )
+    buffer.write(BINARY_MAGIC, 0, 4, "ascii")
+    buffer.writeUInt8(BINARY_VERSION, 4)
+    buffer.writeUInt8(tree.depth, 5)
+    buffer.writeUIntBE(count, BINARY_COUNT_OFFSET, BINARY_COUNT_SIZE)
+
+    let offset = BINARY_HEADER_SIZE
+    for (let level = 0; level <= tree.depth; level++) {
+        for (let index = 0; index < widths[level]; index++) {
+            writeFieldElement(buffer, offset, tree.getNodeOrZero(level, index))
+            offset += FIELD_ELEMENT_SIZE
+        }
+    }
+
+    return buffer
+}
+
+/**
+ * Rebuilds an IMT from a binary snapshot produced by serializeIMTtoBinary.
+ * @param {Buffer} buffer
+ * @param {{ verify?: boolean }} options - Set verify to false to skip the
+ *   integrity check for trusted input
+ * @returns {IncrementalMerkleTree}
+ */
+function deserializeIMTfromBinary(buffer, { verify = true } = {}) {
+    if (
+        buffer.length < BINARY_HEADER_SIZE ||
+        buffer.toString("ascii", 0, 4) !== BINARY_MAGIC
+    ) {
+        throw new Error("Not an IMT binary snapshot")
+    }
+
+    const version = buffer.readUInt8(4)
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Unsupported IMT snapshot version: ${version}`)
+    }
+
+    const depth = buffer.readUInt8(5)
+    const count = buffer.readUIntBE(BINARY_COUNT_OFFSET, BINARY_COUNT_SIZE)
+    const tree = new IncrementalMerkleTree({ depth })
+    if (count > tree.maxLeaves) {
+        throw new Error(
+            `IMT snapshot has ${count} leaves, above the ${tree.maxLeaves} of depth ${depth}`
+        )
+    }
+
+    let offset = BINARY_HEADER_SIZE
+    let width = count
+    for (let level = 0; level <= depth; level++) {
+        if (offset + width * FIELD_ELEMENT_SIZE > buffer.length) {
+            throw new Error("Truncated IMT binary snapshot")
+        }
+
+        for (let index = 0; index < width; index++) {
+            const value = readFieldElement(buffer, offset)
+            if (value >= FIELD_PRIME) {
+                throw new Error(
+                    `Value out of field at level ${level}, index ${index}`
+                )
+            }
+            if (level === 0) {
+                tree.leaves[index] = value
+            } else {
+                tree.nodes.set(`${level}:${index}`, value)
+            }
+            offset += FIELD_ELEMENT_SIZE
+        }
+
+        width = Math.ceil(width / 2)
+    }
+    if (offset !== buffer.length) {
+        throw new Error(
+            `IMT binary snapshot has ${buffer.length - offset} trailing bytes`
+        )
+    }
+    tree.nextIndex = count
+
+    if (verify) verifyTreeIntegrity(tree)
+    tree.rebuildIndexes()
+    tree.recordRoot()
+
+    return tree
+}
+
+/**
+ * Writes a binary snapshot of the IMT to disk
+ * @returns {number} Snapshot size in bytes
+ */
+function saveIMTSnapshot(tree, filePath) {
+    const buffer = serializeIMTtoBinary(tree)
+    fs.writeFileSync(filePath, buffer)
+    return buffer.length
+}
+
+/**
+ * Loads an IMT from a binary snapshot on disk
+ */
+function loadIMTSnapshot(filePath, options = {}) {
+    return deserializeIMTfromBinary(fs.readFileSync(filePath), options)
+}
+
+/**
+ * Generates Prover.toml content for a specific user index.
+ * Path length follows the tree's depth; the circuit must be compiled with the
+ * same TREE_DEPTH (see syncCircuitDepth).
  */
 function generateProverToml(tree, userIndex, secret, verifierKey) {
     const merkleRoot = tree.getRoot()
@@ -70,6 +393,7 @@ function generateProverToml(tree, userIndex, secret, verifierKey) {
     // Format TOML
     // Matches the format in test_data_generator.js
     const proverToml = `# IMT Membership Proof
+# Tree depth: ${tree.depth}
 merkle_root = "${merkleRoot}"
 nullifier = "${nullifier}"
 verifier_key = "${verifierKey}"
@@ -87,8 +411,197 @@ path_indices = [${pathIndices.map((p) => `"${p}"`).join(", ")}]
     }
 }
 
+/**
+ * Generates Prover.toml content for a member known only by their secret.
+ * Looks the leaf index up in the tree instead of relying on insertion order.
+ * @throws if the secret is not a member of the tree
+ */
+function generateProverTomlForSecret(tree, secret, verifierKey) {
+    const userIndex = tree.findMember(secret)
+    if (userIndex === -1) {
+        throw new Error("Not a member: secret has no leaf in the tree")
+    }
+    return generateProverToml(tree, userIndex, secret, verifierKey)
+}
+
+/**
+ * Builds a multi-proof for a set of leaves and compares its size with one
+ * Merkle path per leaf. Field elements count 32 bytes; flags and path
+ * direction bits are packed one bit each.
+ * @param {IncrementalMerkleTree} tree
+ * @param {number[]} indices - Leaf indices to prove
+ * @returns {{ provenLeaves: number, siblings: number, multiProofBytes: number, singlePathsBytes: number }}
+ */
+function measureMultiProof(tree, indices) {
+    const multiProof = tree.getMultiProof(indices)
+    const isValid = verifyMultiProof(
+        multiProof.indices,
+        multiProof.leaves,
+        multiProof.proof,
+        multiProof.proofFlags,
+        multiProof.root,
+        tree.depth
+    )
+    if (!isValid) {
+        throw new Error("Multi-proof failed verification")
+    }
+
+    const provenLeaves = multiProof.indices.length
+    const multiProofBytes =
+        multiProof.proof.length * 32 +
+        Math.ceil(multiProof.proofFlags.length / 8)
+    const singlePathsBytes =
+        provenLeaves * (tree.depth * 32 + Math.ceil(tree.depth / 8))
+
+    return {
+        provenLeaves,
+        siblings: multiProof.proof.length,
+        multiProofBytes,
+        singlePathsBytes,
+    }
+}
+
+/**
+ * Incrementally adds secrets to a revocation list (indexed IMT) or creates one.
+ * The stored value is the member's leaf hash, poseidon2([secret]).
+ * @param {IndexedMerkleTree | null} existingTree - The current tree (or null)
+ * @param {bigint[]} newSecrets - Array of secrets to revoke
+ * @param {number} depth - Depth for a newly created tree (ignored if existingTree is given)
+ * @returns {IndexedMerkleTree} - The updated tree
+ */
+function createIndexedIMT(existingTree, newSecrets, depth = TREE_DEPTH) {
+    const tree = existingTree || new IndexedMerkleTree({ depth })
+
+    tree.insertMembers(newSecrets)
+
+    return tree
+}
+
+/**
+ * Serializes the indexed leaves of a revocation list to CSV.
+ * Format: index,value,next_index,next_value
+ * @param {IndexedMerkleTree} tree
+ * @returns {string} CSV content
+ */
+function serializeIndexedIMTtoCSV(tree) {
+    const lines = ["index,value,next_index,next_value"]
+
+    tree.leaves.forEach((leaf, index) => {
+        lines.push(`${index},${leaf.value},${leaf.nextIndex},${leaf.nextValue}`)
+    })
+
+    return lines.join("\n")
+}
+
+/**
+ * Generates non-membership Prover.toml content for a secret that is not on
+ * the revocation list
+ * @throws if the secret is revoked
+ */
+function generateNonMembershipProverToml(tree, secret, verifierKey) {
+    const witness = tree.getNonMembershipWitnessForSecret(secret)
+    if (!witness.isExcluded) {
+        throw new Error(
+            `Revoked: secret is on the list at index ${witness.index}`
+        )
+    }
+
+    const nullifier = realPoseidon2Hash([secret, verifierKey])
+
+    return {
+        proverToml: formatNonMembershipToml(
+            witness,
+            secret,
+            nullifier,
+            verifierKey
+        ),
+        revocationRoot: witness.root,
+        nullifier,
+    }
+}
+
+/**
+ * Incrementally adds secrets to a forest of IMT shards or creates one.
+ * A new shard opens whenever the existing ones are full.
+ * @param {MerkleForest | null} existingForest - The current forest (or null)
+ * @param {bigint[]} newSecrets - Array of secrets to add
+ * @param {number} shardDepth - Shard depth for a new forest (ignored if existingForest is given)
+ * @returns {MerkleForest} - The updated forest
+ */
+function createForestIMT(existingForest, newSecrets, shardDepth = TREE_DEPTH) {
+    const forest = existingForest || new MerkleForest({ shardDepth })
+
+    forest.insertMembers(newSecrets)
+
+    return forest
+}
+
+/**
+ * Serializes every shard and the tree of shard roots to CSV.
+ * The tree of shard roots is written with shard_id -1.
+ * Format: shard_id,level,index,hash_value
+ * @param {MerkleForest} forest
+ * @returns {string} CSV content
+ */
+function serializeForestToCSV(forest) {
+    const lines = ["shard_id,level,index,hash_value"]
+    const trees = [[-1, forest.rootTree]]
+    forest.shards.forEach((shard, shardId) => trees.push([shardId, shard]))
+
+    for (const [shardId, tree] of trees) {
+        // Drop the per-tree header line
+        const rows = serializeIMTtoCSV(tree).split("\n").slice(1)
+        for (const row of rows) {
+            lines.push(`${shardId},${row}`)
+        }
+    }
+
+    return lines.join("\n")
+}
+
+/**
+ * Generates forest Prover.toml content for a member's secret
+ * @throws if the secret is not in any shard
+ */
+function generateForestProverToml(forest, secret, verifierKey) {
+    const proof = forest.getProofForSecret(secret)
+    const nullifier = realPoseidon2Hash([secret, verifierKey])
+
+    return {
+        proverToml: formatForestToml(
+            proof,
+            secret,
+            nullifier,
+            verifierKey,
+            true
+        ),
+        aggregateRoot: proof.aggregateRoot,
+        nullifier,
+    }
+}
+
 module.exports = {
     createIncrementalIMT,
+    createFrontierIMT,
     serializeIMTtoCSV,
+    deserializeIMTfromCSV,
+    serializeIMTtoBinary,
+    deserializeIMTfromBinary,
+    saveIMTSnapshot,
+    loadIMTSnapshot,
+    verifyTreeIntegrity,
     generateProverToml,
+    generateProverTomlForSecret,
+    measureMultiProof,
+    createIndexedIMT,
+    serializeIndexedIMTtoCSV,
+    generateNonMembershipProverToml,
+    NON_MEMBERSHIP_MAIN_PATH,
+    createForestIMT,
+    serializeForestToCSV,
+    generateForestProverToml,
+    FOREST_MAIN_PATH,
+    TREE_DEPTH,
+    MAX_TREE_DEPTH,
+    syncCircuitDepth,
 }
@@ -0,0 +1,403 @@
+// IMT/utils/forest_data_generator.js
+// Merkle forest (IMT shards under one aggregate root) + test data for the forest circuit
+
+const fs = require("fs")
+const path = require("path")
+
+const {
+    IncrementalMerkleTree,
+    TREE_DEPTH,
+    hashToField,
+    hashLeaf,
+    hashPair,
+    realPoseidon2Hash,
+    syncCircuitDepth,
+    toNoirDepthGlobal,
+} = require("./test_data_generator")
+
+// Default depth of the tree of shard roots (must match FOREST_DEPTH in main.nr)
+const FOREST_DEPTH = 8
+
+// Forest circuit whose TREE_DEPTH global (the shard depth) must follow the shards
+const FOREST_MAIN_PATH = path.join(__dirname, "../forest/circuit/src/main.nr")
+
+// Test configuration (with --depth=2 the user lands in a second shard)
+const TEST_CONFIG = {
+    testSecrets: [123n, 456n, 789n, 1011n, 1213n],
+    userEmail: "test@example.com",
+    salt: "test_salt_123",
+    verifierKey: "verifier_key_456",
+    isKYCed: true,
+}
+
+/**
+ * Forest of IncrementalMerkleTree shards. A new shard opens when all shards
+ * are full; leaf i of the root tree is the root of shard i, and the root
+ * tree's root is the aggregate root. Mirrors merkle_forest.ts.
+ */
+class MerkleForest {
+    constructor(options = {}) {
+        this.shardDepth = options.shardDepth ?? TREE_DEPTH
+        this.forestDepth = options.forestDepth ?? FOREST_DEPTH
+        this.rootHistorySize = options.rootHistorySize
+        this.allowDuplicates = options.allowDuplicates ?? false
+        this.shards = []
+        // Empty shards share a root, so the root tree must accept repeats
+        this.rootTree = new IncrementalMerkleTree({
+            depth: this.forestDepth,
+            rootHistorySize: options.rootHistorySize,
+            allowDuplicates: true,
+        })
+        this.openShard()
+    }
+
+    get maxShards() {
+        return 2 ** this.forestDepth
+    }
+
+    get shardCount() {
+        return this.shards.length
+    }
+
+    // Free slots in the open shards plus every shard not opened yet
+    get availableSlots() {
+        const unopened =
+            (this.maxShards - this.shards.length) * 2 ** this.shardDepth
+        return this.shards.reduce(
+            (sum, shard) => sum + shardCapacity(shard),
+            unopened
+        )
+    }
+
+    insert(leaf) {
+        return this.insertMany([leaf])[0]
+    }
+
+    insertMember(secret) {
+        return this.insert(hashLeaf(secret))
+    }
+
+    /**
+     * Insert a batch of leaves, filling shards in order with one
+     * insertMany call per touched shard. Throws before inserting anything if
+     * the forest cannot hold the batch, or a leaf is already in any shard or
+     * repeats within the batch (unless allowDuplicates).
+     */
+    insertMany(leaves) {
+        if (leaves.length > this.availableSlots) {
+            throw new Error(
+                `Forest is full: max ${this.maxShards} shards of ${
+                    2 ** this.shardDepth
+                } leaves`
+            )
+        }
+        if (!this.allowDuplicates) {
+            const seen = new Set()
+            for (const leaf of leaves) {
+                const address = this.locateLeaf(leaf)
+                if (address) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} is at shard ${address.shardId}, index ${address.index}`
+                    )
+                }
+                if (seen.has(leaf)) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} appears twice in the batch`
+                    )
+                }
+                seen.add(leaf)
+            }
+        }
+
+        const addresses = []
+        let offset = 0
+        let shardId = 0
+
+        while (offset < leaves.length) {
+            if (shardId === this.shards.length) this.openShard()
+
+            const shard = this.shards[shardId]
+            const available = shardCapacity(shard)
+            if (available > 0) {
+                const chunk = leaves.slice(offset, offset + available)
+                shard
+                    .insertMany(chunk)
+                    .forEach((index) => addresses.push({ shardId, index }))
+                this.rootTree.update(shardId, shard.getRoot())
+                offset += chunk.length
+            }
+            shardId++
+        }
+
+        return addresses
+    }
+
+    insertMembers(secrets) {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    delete({ shardId, index }) {
+        const shard = this.getShard(shardId)
+        shard.delete(index)
+        this.rootTree.update(shardId, shard.getRoot())
+    }
+
+    getShard(shardId) {
+        const shard = this.shards[shardId]
+        if (!shard) throw new Error(`Invalid shard id: ${shardId}`)
+        return shard
+    }
+
+    getShardRoots() {
+        return this.shards.map((shard) => shard.getRoot())
+    }
+
+    getAggregateRoot() {
+        return this.rootTree.getRoot()
+    }
+
+    isKnownRoot(root) {
+        return this.rootTree.isKnownRoot(root)
+    }
+
+    findMember(secret) {
+        return this.locateLeaf(hashLeaf(secret))
+    }
+
+    locateLeaf(leaf) {
+        for (let shardId = 0; shardId < this.shards.length; shardId++) {
+            const index = this.shards[shardId].indexOf(leaf)
+            if (index !== -1) return { shardId, index }
+        }
+        return undefined
+    }
+
+    /**
+     * Build the two-hop proof (leaf -> shard root -> aggregate root)
+     */
+    getProof({ shardId, index }) {
+        const shard = this.getShard(shardId)
+        const leaf = shard.leaves[index]
+        if (leaf === undefined) throw new Error(`Invalid index: ${index}`)
+
+        const { path: merklePath, pathIndices } = shard.getMerklePath(index)
+        const { path: shardPath, pathIndices: shardPathIndices } =
+            this.rootTree.getMerklePath(shardId)
+
+        return {
+            shardId,
+            index,
+            leaf,
+            shardRoot: shard.getRoot(),
+            path: merklePath,
+            pathIndices,
+            shardPath,
+            shardPathIndices,
+            aggregateRoot: this.getAggregateRoot(),
+        }
+    }
+
+    getProofForSecret(secret) {
+        const address = this.findMember(secret)
+        if (!address) throw new Error("Not a member of any shard")
+        return this.getProof(address)
+    }
+
+    openShard() {
+        if (this.shards.length >= this.maxShards) {
+            throw new Error(`Forest is full: max ${this.maxShards} shards`)
+        }
+
+        const shard = new IncrementalMerkleTree({
+            depth: this.shardDepth,
+            rootHistorySize: this.rootHistorySize,
+            allowDuplicates: this.allowDuplicates,
+        })
+        this.shards.push(shard)
+        this.rootTree.insert(shard.getRoot())
+    }
+}
+
+// Number of leaves a shard can still take (free slots + unused tail)
+function shardCapacity(shard) {
+    return 2 ** shard.depth - shard.nextIndex + shard.freeSlots.length
+}
+
+/**
+ * Formats the Prover.toml for the forest circuit
+ */
+function formatForestToml(proof, secret, nullifier, verifierKey, isKYCed) {
+    const quote = (values) => values.map((v) => `"${v}"`).join(", ")
+
+    return `# IMT Forest Membership Proof
+# Shard depth: ${proof.path.length}
+# Forest depth: ${proof.shardPath.length}
+aggregate_root = "${proof.aggregateRoot}"
+nullifier = "${nullifier}"
+verifier_key = "${verifierKey}"
+secret = "${secret}"
+isKYCed = ${isKYCed}
+shard_id = "${proof.shardId}"
+leaf_index = "${proof.index}"
+merkle_path = [${quote(proof.path)}]
+path_indices = [${quote(proof.pathIndices)}]
+shard_path = [${quote(proof.shardPath)}]
+shard_path_indices = [${quote(proof.shardPathIndices)}]
+`
+}
+
+/**
+ * Generate test data for the forest circuit
+ * @param {{ shardDepth?: number }} options - Shard depth (must match main.nr)
+ */
+async function generateTestData({ shardDepth = TREE_DEPTH } = {}) {
+    console.log("🧪 Generating test data for IMT forest circuit...\n")
+
+    // 1. Generate secret from user email + salt
+    const secret = hashToField(TEST_CONFIG.userEmail + TEST_CONFIG.salt)
+    console.log(`Secret (from ${TEST_CONFIG.userEmail}): ${secret}`)
+
+    // 2. Fill the forest; the user goes in after the test secrets
+    const forest = new MerkleForest({ shardDepth })
+    forest.insertMembers(TEST_CONFIG.testSecrets)
+    const address = forest.insertMember(secret)
+    console.log(`Shards: ${forest.shardCount}`)
+    console.log(`User address: (${address.shardId}, ${address.index})`)
+
+    // 3. Build the two-hop proof
+    const proof = forest.getProof(address)
+    console.log(`Aggregate root: ${proof.aggregateRoot}`)
+
+    // 4. Generate verifier key and nullifier
+    const verifierKey = hashToField(TEST_CONFIG.verifierKey)
+    const nullifier = realPoseidon2Hash([secret, verifierKey])
+    console.log(`Nullifier: ${nullifier}`)
+
+    return {
+        shardDepth: forest.shardDepth,
+        forestDepth: forest.forestDepth,
+        secret,
+        proof,
+        nullifier,
+        verifierKey,
+        proverToml: formatForestToml(
+            proof,
+            secret,
+            nullifier,
+            verifierKey,
+            TEST_CONFIG.isKYCed
+        ),
+    }
+}
+
+/**
+ * Hash a node up a path and rebuild its index (mirrors compute_root in main.nr)
+ */
+function computeRoot(node, merklePath, pathIndices) {
+    let currentHash = node
+    let index = 0n
+    for (let i = 0; i < merklePath.length; i++) {
+        const isRight = pathIndices[i] === 1n
+        const [left, right] = isRight
+            ? [merklePath[i], currentHash]
+            : [currentHash, merklePath[i]]
+        currentHash = hashPair(left, right)
+        index += pathIndices[i] << BigInt(i)
+    }
+    return { root: currentHash, index }
+}
+
+/**
+ * Validate circuit inputs (mirrors the constraints in main.nr)
+ */
+async function validateCircuitInputs(testData) {
+    console.log("\n🔍 Validating circuit inputs...")
+
+    const { proof } = testData
+    const leaf = hashLeaf(testData.secret)
+
+    // Verify leaf -> shard root
+    const inShard = computeRoot(leaf, proof.path, proof.pathIndices)
+    const shardMatch =
+        proof.path.length === testData.shardDepth &&
+        inShard.root === proof.shardRoot &&
+        inShard.index === BigInt(proof.index)
+    console.log(`✓ Shard root verification: ${shardMatch ? "✅" : "❌"}`)
+
+    // Verify shard root -> aggregate root
+    const inForest = computeRoot(
+        inShard.root,
+        proof.shardPath,
+        proof.shardPathIndices
+    )
+    const aggregateMatch =
+        proof.shardPath.length === testData.forestDepth &&
+        inForest.root === proof.aggregateRoot &&
+        inForest.index === BigInt(proof.shardId)
+    console.log(
+        `✓ Aggregate root verification: ${aggregateMatch ? "✅" : "❌"}`
+    )
+
+    // Verify nullifier
+    const recomputedNullifier = realPoseidon2Hash([
+        testData.secret,
+        testData.verifierKey,
+    ])
+    const nullifierMatch = recomputedNullifier === testData.nullifier
+    console.log(`✓ Nullifier consistency: ${nullifierMatch ? "✅" : "❌"}`)
+
+    return shardMatch && aggregateMatch && nullifierMatch
+}
+
+/* CLI entrypoint */
+if (require.main === module) {
+    ;(async () => {
+        console.log("🚀 Starting IMT forest test data generation...\n")
+
+        try {
+            const depthArg = process.argv
+                .find((a) => a.startsWith("--depth="))
+                ?.split("=")[1]
+            const shardDepth = depthArg ? parseInt(depthArg) : TREE_DEPTH
+
+            const testData = await generateTestData({ shardDepth })
+            const isValid = await validateCircuitInputs(testData)
+
+            if (!isValid) {
+                console.error("❌ Validation failed! Please check the inputs.")
+                process.exit(1)
+            }
+
+            console.log("\n📝 Writing test data to Prover.toml...")
+            const proverPath = path.join(
+                __dirname,
+                "../forest/circuit/Prover.toml"
+            )
+            fs.writeFileSync(proverPath, testData.proverToml)
+            console.log("✅ Test data written to Prover.toml")
+
+            if (syncCircuitDepth(testData.shardDepth, FOREST_MAIN_PATH)) {
+                console.log(
+                    `✅ Updated main.nr: ${toNoirDepthGlobal(
+                        testData.shardDepth
+                    )}`
+                )
+            }
+
+            console.log("\n🎯 Ready for circuit testing!")
+            console.log("Run: cd forest/circuit && nargo execute")
+        } catch (err) {
+            console.error("Fatal error generating test data:", err)
+            process.exit(1)
+        }
+    })()
+}
+
+module.exports = {
+    MerkleForest,
+    FOREST_DEPTH,
+    FOREST_MAIN_PATH,
+    formatForestToml,
+    generateTestData,
+    validateCircuitInputs,
+}
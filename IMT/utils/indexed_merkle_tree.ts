@@ -0,0 +1,389 @@
+// indexed_merkle_tree.ts - Indexed (sorted linked-list) Merkle Tree for non-membership proofs
+// Compatible with the Noir circuit in non_membership/circuit/src/main.nr
+
+import {
+    IncrementalMerkleTree,
+    IncrementalMerkleTreeOptions,
+    RootPolicy,
+    TREE_DEPTH,
+    bn_254_fp,
+    hashLeaf,
+    poseidon2,
+    verifyMerkleProof,
+} from "./merkle_tree"
+
+/**
+ * A leaf of the indexed tree: a node of a linked list sorted by value
+ * nextValue = 0 marks the end of the list (no larger value)
+ */
+export interface IndexedLeaf {
+    value: bigint
+    nextIndex: number
+    nextValue: bigint
+}
+
+/**
+ * Result of a non-membership lookup: either the low-leaf witness, or a
+ * clear answer that the value is on the list
+ */
+export type NonMembershipWitness =
+    | {
+          isExcluded: true
+          value: bigint
+          lowLeaf: IndexedLeaf
+          lowLeafIndex: number
+          path: bigint[]
+          pathIndices: bigint[]
+          root: bigint
+      }
+    | { isExcluded: false; value: bigint; index: number }
+
+/**
+ * Compute the Merkle leaf of an indexed leaf
+ */
+export function hashIndexedLeaf(leaf: IndexedLeaf): bigint {
+    return poseidon2([leaf.value, BigInt(leaf.nextIndex), leaf.nextValue])
+}
+
+/**
+ * Indexed Merkle Tree class
+ * Leaves form a sorted linked list over the stored values, so the leaf
+ * "just below" any absent value (the low leaf) proves it is not stored
+ */
+export class IndexedMerkleTree {
+    private tree: IncrementalMerkleTree
+    private leaves: IndexedLeaf[]
+    private sortedValues: bigint[] // Ascending, starts with the 0 sentinel
+    private valueIndex: Map<bigint, number> // value -> leaf index
+
+    constructor(options: IncrementalMerkleTreeOptions = {}) {
+        this.tree = new IncrementalMerkleTree(options)
+
+        // Index 0 holds the sentinel (0, 0, 0): the head of the list
+        const sentinel: IndexedLeaf = { value: 0n, nextIndex: 0, nextValue: 0n }
+        this.leaves = [sentinel]
+        this.sortedValues = [0n]
+        this.valueIndex = new Map([[0n, 0]])
+        this.tree.insert(hashIndexedLeaf(sentinel))
+    }
+
+    get depth(): number {
+        return this.tree.depth
+    }
+
+    /**
+     * Get the number of stored values (excluding the sentinel)
+     */
+    get size(): number {
+        return this.leaves.length - 1
+    }
+
+    /**
+     * Insert a value, updating its low leaf to point at it
+     * @param value - A non-zero field element not already stored
+     * @returns The index of the new leaf
+     */
+    insert(value: bigint): number {
+        return this.insertMany([value])[0]
+    }
+
+    /**
+     * Insert a member's leaf hash (hashLeaf(secret)) as the stored value
+     */
+    insertMember(secret: bigint): number {
+        return this.insert(hashLeaf(secret))
+    }
+
+    /**
+     * Insert a batch of values
+     * Leaves get indices in input order; each leaf's pointer is its successor
+     * in the final sorted order, so the result matches sequential inserts
+     * @returns The indices of the new leaves
+     * @throws If the tree is full or a value is already stored; nothing is
+     *   inserted in that case
+     */
+    insertMany(values: bigint[]): number[] {
+        // Checked before any state changes, so a failed insert leaves no trace
+        if (this.leaves.length + values.length > this.tree.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.tree.maxLeaves} leaves`)
+        }
+        const seen = new Set<bigint>()
+        for (const value of values) {
+            assertStorableValue(value)
+            if (this.valueIndex.has(value) || seen.has(value)) {
+                throw new Error(`Value already in the indexed tree: ${value}`)
+            }
+            seen.add(value)
+        }
+        if (values.length === 0) return []
+
+        const firstIndex = this.leaves.length
+        const indices = values.map((_, i) => firstIndex + i)
+        values.forEach((value, i) => {
+            this.valueIndex.set(value, indices[i])
+        })
+
+        // Merge the new values into the sorted list
+        const incoming = [...values].sort(compareBigInt)
+        const merged: bigint[] = []
+        let i = 0
+        let j = 0
+        while (i < this.sortedValues.length || j < incoming.length) {
+            if (
+                j >= incoming.length ||
+                (i < this.sortedValues.length &&
+                    this.sortedValues[i] < incoming[j])
+            ) {
+                merged.push(this.sortedValues[i++])
+            } else {
+                merged.push(incoming[j++])
+            }
+        }
+        this.sortedValues = merged
+
+        // Relink every value whose successor is new
+        const changedExisting: number[] = []
+        for (let k = 0; k < merged.length; k++) {
+            const nextValue = k + 1 < merged.length ? merged[k + 1] : 0n
+            if (!seen.has(nextValue) && !seen.has(merged[k])) continue
+
+            const index = this.valueIndex.get(merged[k]) as number
+            const leaf: IndexedLeaf = {
+                value: merged[k],
+                nextIndex:
+                    nextValue === 0n
+                        ? 0
+                        : (this.valueIndex.get(nextValue) as number),
+                nextValue,
+            }
+            this.leaves[index] = leaf
+            if (index < firstIndex) changedExisting.push(index)
+        }
+
+        // Low leaves first, then append the new leaves in one batch
+        for (const index of changedExisting) {
+            this.tree.update(index, hashIndexedLeaf(this.leaves[index]))
+        }
+        this.tree.insertMany(
+            indices.map((index) => hashIndexedLeaf(this.leaves[index]))
+        )
+
+        return indices
+    }
+
+    /**
+     * Check whether a value is stored
+     */
+    has(value: bigint): boolean {
+        return value !== 0n && this.valueIndex.has(value)
+    }
+
+    /**
+     * Get the indexed leaf at an index
+     */
+    getLeaf(index: number): IndexedLeaf | undefined {
+        const leaf = this.leaves[index]
+        return leaf && { ...leaf }
+    }
+
+    /**
+     * Find the leaf holding the largest stored value below a value
+     */
+    findLowLeafIndex(value: bigint): number {
+        let lo = 0
+        let hi = this.sortedValues.length - 1
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2)
+            if (this.sortedValues[mid] < value) lo = mid
+            else hi = mid - 1
+        }
+        return this.valueIndex.get(this.sortedValues[lo]) as number
+    }
+
+    /**
+     * Build the low-leaf witness proving a value is not stored
+     */
+    getNonMembershipWitness(value: bigint): NonMembershipWitness {
+        assertStorableValue(value)
+
+        const index = this.valueIndex.get(value)
+        if (index !== undefined) return { isExcluded: false, value, index }
+
+        const lowLeafIndex = this.findLowLeafIndex(value)
+        const { path, pathIndices } = this.tree.getMerklePath(lowLeafIndex)
+        return {
+            isExcluded: true,
+            value,
+            lowLeaf: { ...this.leaves[lowLeafIndex] },
+            lowLeafIndex,
+            path,
+            pathIndices,
+            root: this.getRoot(),
+        }
+    }
+
+    /**
+     * Build the witness proving a member's leaf hash is not stored
+     */
+    getNonMembershipWitnessForSecret(secret: bigint): NonMembershipWitness {
+        return this.getNonMembershipWitness(hashLeaf(secret))
+    }
+
+    getRoot(): bigint {
+        return this.tree.getRoot()
+    }
+
+    isKnownRoot(root: bigint): boolean {
+        return this.tree.isKnownRoot(root)
+    }
+}
+
+/**
+ * Verify a non-membership witness locally (mirrors the Noir circuit)
+ * @param value - The value claimed absent
+ * @param lowLeaf - The leaf just below the value
+ * @param lowLeafIndex - Its index
+ * @param path - Sibling hashes
+ * @param pathIndices - Path direction bits
+ * @param roots - Accepted roots (see verifyMerkleProof)
+ * @param depth - Depth of the tree
+ * @returns true if the value is provably not stored
+ */
+export function verifyNonMembership(
+    value: bigint,
+    lowLeaf: IndexedLeaf,
+    lowLeafIndex: number,
+    path: bigint[],
+    pathIndices: bigint[],
+    roots: RootPolicy,
+    depth: number = TREE_DEPTH
+): boolean {
+    if (value <= 0n || value >= bn_254_fp) return false
+
+    // The low leaf must sit strictly below the value...
+    if (!(lowLeaf.value < value)) return false
+
+    // ...and its successor strictly above it (or be the end of the list)
+    if (lowLeaf.nextValue !== 0n && !(value < lowLeaf.nextValue)) return false
+
+    return verifyMerkleProof(
+        hashIndexedLeaf(lowLeaf),
+        lowLeafIndex,
+        path,
+        pathIndices,
+        roots,
+        depth
+    )
+}
+
+function assertStorableValue(value: bigint): void {
+    if (value <= 0n || value >= bn_254_fp) {
+        throw new Error(`Value must be a non-zero field element: ${value}`)
+    }
+}
+
+function compareBigInt(a: bigint, b: bigint): number {
+    return a < b ? -1 : a > b ? 1 : 0
+}
+
+// Self-test when run directly
+if (require.main === module) {
+    console.log("=== Testing Indexed Merkle Tree ===\n")
+
+    const tree = new IndexedMerkleTree({ depth: 8 })
+    console.log("1️⃣ Created tree with sentinel leaf")
+    console.log(`   Initial root: ${tree.getRoot()}`)
+
+    console.log("\n2️⃣ Inserting values 30, 10, 20...")
+    for (const value of [30n, 10n, 20n]) {
+        const index = tree.insert(value)
+        console.log(`   Inserted ${value} at index ${index}`)
+    }
+    const list: string[] = []
+    let cursor = tree.getLeaf(0) as IndexedLeaf
+    while (cursor.nextValue !== 0n) {
+        list.push(cursor.nextValue.toString())
+        cursor = tree.getLeaf(cursor.nextIndex) as IndexedLeaf
+    }
+    console.log(`   Linked list order: ${list.join(" -> ")}`)
+    console.log(`   Sorted: ${list.join(",") === "10,20,30" ? "✅" : "❌"}`)
+
+    console.log("\n3️⃣ Verifying non-membership witnesses...")
+    for (const value of [5n, 15n, 25n, 99n]) {
+        const witness = tree.getNonMembershipWitness(value)
+        const isValid =
+            witness.isExcluded &&
+            verifyNonMembership(
+                value,
+                witness.lowLeaf,
+                witness.lowLeafIndex,
+                witness.path,
+                witness.pathIndices,
+                witness.root,
+                tree.depth
+            )
+        console.log(`   Value ${value} not stored: ${isValid ? "✅" : "❌"}`)
+    }
+
+    console.log("\n4️⃣ Testing stored value...")
+    const stored = tree.getNonMembershipWitness(20n)
+    console.log(
+        `   Value 20 reported as stored: ${
+            stored.isExcluded ? "❌ PROBLEM" : "✅"
+        }`
+    )
+    const forged = tree.getNonMembershipWitness(15n)
+    const forgedValid =
+        forged.isExcluded &&
+        verifyNonMembership(
+            20n,
+            forged.lowLeaf,
+            forged.lowLeafIndex,
+            forged.path,
+            forged.pathIndices,
+            forged.root,
+            tree.depth
+        )
+    console.log(
+        `   Reusing a low leaf for 20: ${
+            forgedValid ? "❌ PROBLEM" : "✅ Correctly rejected"
+        }`
+    )
+
+    console.log("\n5️⃣ Testing bulk insertion...")
+    const values = [7n, 3n, 50n, 12n, 40n]
+    const sequential = new IndexedMerkleTree({ depth: 8 })
+    const bulk = new IndexedMerkleTree({ depth: 8 })
+    sequential.insert(25n)
+    bulk.insert(25n)
+    for (const value of values) sequential.insert(value)
+    bulk.insertMany(values)
+    console.log(
+        `   Roots match: ${
+            sequential.getRoot() === bulk.getRoot() ? "✅" : "❌"
+        }`
+    )
+
+    console.log("\n6️⃣ Testing a full tree...")
+    // Depth 2: the sentinel and three values fill it
+    const full = new IndexedMerkleTree({ depth: 2 })
+    full.insertMany([10n, 20n, 30n])
+    const fullRoot = full.getRoot()
+    let rejected = false
+    try {
+        full.insert(15n)
+    } catch (e) {
+        rejected = (e as Error).message.startsWith("Tree is full")
+    }
+    console.log(`   Insert past capacity rejected: ${rejected ? "✅" : "❌"}`)
+    console.log(
+        `   Tree unchanged: ${
+            !full.has(15n) && full.getRoot() === fullRoot && full.size === 3
+                ? "✅"
+                : "❌"
+        }`
+    )
+
+    console.log("\n" + "=".repeat(50))
+    console.log("🎉 All indexed Merkle tree tests completed!")
+}
@@ -0,0 +1,436 @@
+// merkle_forest.ts - Forest of IMT shards under one aggregate root
+// Compatible with the Noir circuit in forest/circuit/src/main.nr
+
+import {
+    IncrementalMerkleTree,
+    RootHistoryEntry,
+    RootPolicy,
+    TREE_DEPTH,
+    hashLeaf,
+    verifyMerkleProof,
+} from "./merkle_tree"
+
+// Default depth of the tree of shard roots: up to 2^8 = 256 shards
+// (must match FOREST_DEPTH in forest/circuit/src/main.nr)
+export const FOREST_DEPTH = 8
+
+/**
+ * Position of a member in the forest
+ */
+export interface ForestAddress {
+    shardId: number
+    index: number
+}
+
+/**
+ * Membership proof in two hops: leaf -> shard root -> aggregate root
+ */
+export interface ForestProof {
+    shardId: number
+    index: number
+    leaf: bigint
+    shardRoot: bigint
+    path: bigint[] // Siblings inside the shard
+    pathIndices: bigint[]
+    shardPath: bigint[] // Siblings in the tree of shard roots
+    shardPathIndices: bigint[]
+    aggregateRoot: bigint
+}
+
+export interface MerkleForestOptions {
+    shardDepth?: number // Depth of each shard (default TREE_DEPTH)
+    forestDepth?: number // Depth of the tree of shard roots
+    rootHistorySize?: number
+    allowDuplicates?: boolean // Accept a leaf that is already in some shard
+}
+
+/**
+ * Merkle Forest class
+ * Opens a new IncrementalMerkleTree shard when the current one is full and
+ * commits every shard root as a leaf of a small tree whose root is the
+ * aggregate root
+ */
+export class MerkleForest {
+    readonly shardDepth: number
+    readonly forestDepth: number
+    readonly allowDuplicates: boolean
+    private shards: IncrementalMerkleTree[]
+    private rootTree: IncrementalMerkleTree // Leaf i = root of shard i
+    private rootHistorySize?: number
+
+    constructor(options: MerkleForestOptions = {}) {
+        this.shardDepth = options.shardDepth ?? TREE_DEPTH
+        this.forestDepth = options.forestDepth ?? FOREST_DEPTH
+        this.rootHistorySize = options.rootHistorySize
+        this.allowDuplicates = options.allowDuplicates ?? false
+        this.shards = []
+        // Empty shards share a root, so the root tree must accept repeats
+        this.rootTree = new IncrementalMerkleTree({
+            depth: this.forestDepth,
+            rootHistorySize: options.rootHistorySize,
+            allowDuplicates: true,
+        })
+        this.openShard()
+    }
+
+    /**
+     * Maximum number of shards: 2^forestDepth
+     */
+    get maxShards(): number {
+        return 2 ** this.forestDepth
+    }
+
+    get shardCount(): number {
+        return this.shards.length
+    }
+
+    /**
+     * Number of leaves the forest can still take: free slots in the open
+     * shards plus every shard not opened yet
+     */
+    get availableSlots(): number {
+        const unopened =
+            (this.maxShards - this.shards.length) * 2 ** this.shardDepth
+        return this.shards.reduce(
+            (sum, shard) => sum + shardCapacity(shard),
+            unopened
+        )
+    }
+
+    /**
+     * Get the number of live members across all shards
+     */
+    get memberCount(): number {
+        return this.shards.reduce((sum, shard) => sum + shard.memberCount, 0)
+    }
+
+    /**
+     * Insert a leaf into the first shard with a free slot, opening a new
+     * shard when all of them are full
+     * @param leaf - The leaf value (should be hashLeaf(secret))
+     * @returns The address of the inserted leaf
+     */
+    insert(leaf: bigint): ForestAddress {
+        return this.insertMany([leaf])[0]
+    }
+
+    /**
+     * Insert a member by their secret
+     */
+    insertMember(secret: bigint): ForestAddress {
+        return this.insert(hashLeaf(secret))
+    }
+
+    /**
+     * Insert a batch of leaves, filling shards in order
+     * Each touched shard is updated with one insertMany call
+     * @returns The addresses of the inserted leaves
+     * @throws If the forest cannot hold the batch, or a leaf is already in
+     *   any shard or repeats within the batch (unless allowDuplicates);
+     *   nothing is inserted in that case
+     */
+    insertMany(leaves: bigint[]): ForestAddress[] {
+        if (leaves.length > this.availableSlots) {
+            throw new Error(
+                `Forest is full: max ${this.maxShards} shards of ${
+                    2 ** this.shardDepth
+                } leaves`
+            )
+        }
+        if (!this.allowDuplicates) {
+            const seen = new Set<bigint>()
+            for (const leaf of leaves) {
+                const address = this.locateLeaf(leaf)
+                if (address) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} is at shard ${address.shardId}, index ${address.index}`
+                    )
+                }
+                if (seen.has(leaf)) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} appears twice in the batch`
+                    )
+                }
+                seen.add(leaf)
+            }
+        }
+
+        const addresses: ForestAddress[] = []
+        let offset = 0
+        let shardId = 0
+
+        while (offset < leaves.length) {
+            if (shardId === this.shards.length) this.openShard()
+
+            const shard = this.shards[shardId]
+            const available = shardCapacity(shard)
+            if (available > 0) {
+                const chunk = leaves.slice(offset, offset + available)
+                shard
+                    .insertMany(chunk)
+                    .forEach((index) => addresses.push({ shardId, index }))
+                this.rootTree.update(shardId, shard.getRoot())
+                offset += chunk.length
+            }
+            shardId++
+        }
+
+        return addresses
+    }
+
+    /**
+     * Insert members by their secrets
+     */
+    insertMembers(secrets: bigint[]): ForestAddress[] {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    /**
+     * Delete a member, freeing their slot for reuse
+     */
+    delete(address: ForestAddress): void {
+        const shard = this.getShard(address.shardId)
+        shard.delete(address.index)
+        this.rootTree.update(address.shardId, shard.getRoot())
+    }
+
+    /**
+     * Get a shard by id
+     */
+    getShard(shardId: number): IncrementalMerkleTree {
+        const shard = this.shards[shardId]
+        if (!shard) throw new Error(`Invalid shard id: ${shardId}`)
+        return shard
+    }
+
+    getShardRoots(): bigint[] {
+        return this.shards.map((shard) => shard.getRoot())
+    }
+
+    /**
+     * Get the root committing to every shard root
+     */
+    getAggregateRoot(): bigint {
+        return this.rootTree.getRoot()
+    }
+
+    /**
+     * Check if an aggregate root is the current root or a recent one
+     */
+    isKnownRoot(root: bigint): boolean {
+        return this.rootTree.isKnownRoot(root)
+    }
+
+    getRootHistory(): RootHistoryEntry[] {
+        return this.rootTree.getRootHistory()
+    }
+
+    /**
+     * Find a member by their secret
+     * @returns The address, or undefined if not a member
+     */
+    findMember(secret: bigint): ForestAddress | undefined {
+        return this.locateLeaf(hashLeaf(secret))
+    }
+
+    private locateLeaf(leaf: bigint): ForestAddress | undefined {
+        for (let shardId = 0; shardId < this.shards.length; shardId++) {
+            const index = this.shards[shardId].indexOf(leaf)
+            if (index !== -1) return { shardId, index }
+        }
+        return undefined
+    }
+
+    /**
+     * Build the two-hop proof for a leaf against the aggregate root
+     */
+    getProof(address: ForestAddress): ForestProof {
+        const { shardId, index } = address
+        const shard = this.getShard(shardId)
+        const leaf = shard.getLeaf(index)
+        if (leaf === undefined) throw new Error(`Invalid index: ${index}`)
+
+        const { path, pathIndices } = shard.getMerklePath(index)
+        const { path: shardPath, pathIndices: shardPathIndices } =
+            this.rootTree.getMerklePath(shardId)
+
+        return {
+            shardId,
+            index,
+            leaf,
+            shardRoot: shard.getRoot(),
+            path,
+            pathIndices,
+            shardPath,
+            shardPathIndices,
+            aggregateRoot: this.getAggregateRoot(),
+        }
+    }
+
+    /**
+     * Look up a member and build their proof
+     * @throws if the secret is not a member
+     */
+    getProofForSecret(secret: bigint): ForestProof {
+        const address = this.findMember(secret)
+        if (!address) throw new Error("Not a member of any shard")
+        return this.getProof(address)
+    }
+
+    private openShard(): void {
+        if (this.shards.length >= this.maxShards) {
+            throw new Error(`Forest is full: max ${this.maxShards} shards`)
+        }
+
+        const shard = new IncrementalMerkleTree({
+            depth: this.shardDepth,
+            rootHistorySize: this.rootHistorySize,
+            allowDuplicates: this.allowDuplicates,
+        })
+        this.shards.push(shard)
+        this.rootTree.insert(shard.getRoot())
+    }
+}
+
+/**
+ * Number of leaves a shard can still take (free slots + unused tail)
+ */
+function shardCapacity(shard: IncrementalMerkleTree): number {
+    return shard.maxLeaves - shard.length + shard.getFreeSlots().length
+}
+
+/**
+ * Verify a forest proof locally (mirrors the Noir circuit)
+ * @param proof - The two-hop proof
+ * @param roots - Accepted aggregate roots (see verifyMerkleProof)
+ * @param shardDepth - Depth of each shard
+ * @param forestDepth - Depth of the tree of shard roots
+ * @returns true if the leaf is in a shard committed by the aggregate root
+ */
+export function verifyForestProof(
+    proof: ForestProof,
+    roots: RootPolicy,
+    shardDepth: number = TREE_DEPTH,
+    forestDepth: number = FOREST_DEPTH
+): boolean {
+    const inShard = verifyMerkleProof(
+        proof.leaf,
+        proof.index,
+        proof.path,
+        proof.pathIndices,
+        proof.shardRoot,
+        shardDepth
+    )
+    if (!inShard) return false
+
+    return verifyMerkleProof(
+        proof.shardRoot,
+        proof.shardId,
+        proof.shardPath,
+        proof.shardPathIndices,
+        roots,
+        forestDepth
+    )
+}
+
+// Self-test when run directly
+if (require.main === module) {
+    console.log("=== Testing Merkle Forest ===\n")
+
+    const forest = new MerkleForest({ shardDepth: 3, forestDepth: 4 })
+    console.log("1️⃣ Created forest (shards of 8 leaves, up to 16 shards)")
+    console.log(`   Aggregate root: ${forest.getAggregateRoot()}`)
+
+    console.log("\n2️⃣ Inserting 20 members...")
+    const secrets = Array.from({ length: 20 }, (_, i) => BigInt(i + 1) * 7n)
+    const addresses = forest.insertMembers(secrets)
+    console.log(`   Shards opened: ${forest.shardCount}`)
+    console.log(
+        `   Member 9 at (${addresses[9].shardId}, ${addresses[9].index}): ${
+            addresses[9].shardId === 1 && addresses[9].index === 1 ? "✅" : "❌"
+        }`
+    )
+
+    console.log("\n3️⃣ Verifying proofs against the aggregate root...")
+    let allValid = true
+    for (const secret of [secrets[0], secrets[9], secrets[19]]) {
+        const proof = forest.getProofForSecret(secret)
+        const isValid = verifyForestProof(
+            proof,
+            forest.getAggregateRoot(),
+            forest.shardDepth,
+            forest.forestDepth
+        )
+        allValid = allValid && isValid
+    }
+    console.log(`   Proofs in shards 0, 1, 2: ${allValid ? "✅" : "❌"}`)
+
+    console.log("\n4️⃣ Testing a proof from the wrong shard...")
+    const proof = forest.getProofForSecret(secrets[9])
+    const moved = { ...proof, shardId: 0 }
+    console.log(
+        `   Claimed shard 0: ${
+            verifyForestProof(moved, proof.aggregateRoot, 3, 4)
+                ? "❌ PROBLEM"
+                : "✅ Correctly rejected"
+        }`
+    )
+
+    console.log("\n5️⃣ Testing slot reuse and root history...")
+    const oldRoot = forest.getAggregateRoot()
+    forest.delete(addresses[2])
+    const reused = forest.insertMember(999n)
+    console.log(
+        `   Reused slot (${reused.shardId}, ${reused.index}): ${
+            reused.shardId === 0 && reused.index === 2 ? "✅" : "❌"
+        }`
+    )
+    console.log(
+        `   Old aggregate root still known: ${
+            forest.isKnownRoot(oldRoot) ? "✅" : "❌"
+        }`
+    )
+    const bulk = new MerkleForest({ shardDepth: 3, forestDepth: 4 })
+    const sequential = new MerkleForest({ shardDepth: 3, forestDepth: 4 })
+    bulk.insertMembers(secrets)
+    secrets.forEach((secret) => sequential.insertMember(secret))
+    console.log(
+        `   Bulk and sequential roots match: ${
+            bulk.getAggregateRoot() === sequential.getAggregateRoot()
+                ? "✅"
+                : "❌"
+        }`
+    )
+
+    console.log("\n6️⃣ Testing duplicate members across shards...")
+    try {
+        forest.insertMember(secrets[9])
+        console.log("   ❌ Should have rejected a duplicate")
+    } catch (error) {
+        console.log(`   ✅ Correctly rejected: ${(error as Error).message}`)
+    }
+
+    console.log("\n7️⃣ Testing a full forest...")
+    // Two shards of two leaves: five members do not fit
+    const small = new MerkleForest({ shardDepth: 1, forestDepth: 1 })
+    small.insertMembers([1n, 2n, 3n])
+    const smallRoot = small.getAggregateRoot()
+    try {
+        small.insertMembers([4n, 5n])
+        console.log("   ❌ Should have rejected the batch")
+    } catch (error) {
+        console.log(`   ✅ Correctly rejected: ${(error as Error).message}`)
+    }
+    console.log(
+        `   Forest unchanged: ${
+            small.memberCount === 3 &&
+            small.getAggregateRoot() === smallRoot &&
+            !small.findMember(4n)
+                ? "✅"
+                : "❌"
+        }`
+    )
+
+    console.log("\n" + "=".repeat(50))
+    console.log("🎉 All Merkle forest tests completed!")
+}
@@ -4,7 +4,7 @@
 export const bn_254_fp =
     21888242871839275222246405745257275088548364400416034343698204186575808495617n
 
-// Tree depth (must match main.nr)
+// Default tree depth (must match main.nr, see toNoirDepthGlobal)
 export const TREE_DEPTH = 20
 
 // Maximum number of leaves: 2^TREE_DEPTH
@@ -55,67 +55,273 @@ export function hashPair(left: bigint, right: bigint): bigint {
 
 /**
  * Get zero value for empty leaves
+ * Equal to hashLeaf(0n), so secret 0 is reserved and never a member
  */
 export function getZeroValue(): bigint {
     return poseidon2([0n])
 }
 
+// Leaf value of a deleted member (must match TOMBSTONE in main.nr)
+// Reaching it from a secret would need a Poseidon2 preimage of 0, and the
+// circuit rejects it explicitly
+export const TOMBSTONE_LEAF = 0n
+
+/**
+ * Check whether a leaf value can never belong to a member:
+ * a tombstone or the empty-leaf value
+ */
+export function isReservedLeaf(leaf: bigint): boolean {
+    return leaf === TOMBSTONE_LEAF || leaf === getZeroValue()
+}
+
+// Largest supported depth (leaf indices are plain JS numbers)
+export const MAX_TREE_DEPTH = 32
+
 /**
  * Precompute zero hashes for each level of the tree
  * zeroHashes[i] = hash of empty subtree of height i
  */
-function computeZeroHashes(): bigint[] {
-    const zeroHashes: bigint[] = new Array(TREE_DEPTH + 1)
+function computeZeroHashes(depth: number): bigint[] {
+    const zeroHashes: bigint[] = new Array(depth + 1)
     zeroHashes[0] = getZeroValue() // Zero leaf
 
-    for (let i = 1; i <= TREE_DEPTH; i++) {
+    for (let i = 1; i <= depth; i++) {
         zeroHashes[i] = hashPair(zeroHashes[i - 1], zeroHashes[i - 1])
     }
 
     return zeroHashes
 }
 
-export const ZERO_HASHES = computeZeroHashes()
+// Zero hashes cached per depth so trees of the same depth share them
+const zeroHashCache = new Map<number, bigint[]>()
+
+/**
+ * Get the zero hashes for a tree of the given depth
+ */
+export function getZeroHashes(depth: number = TREE_DEPTH): bigint[] {
+    let zeroHashes = zeroHashCache.get(depth)
+    if (!zeroHashes) {
+        zeroHashes = computeZeroHashes(depth)
+        zeroHashCache.set(depth, zeroHashes)
+    }
+    return zeroHashes
+}
+
+export const ZERO_HASHES = getZeroHashes(TREE_DEPTH)
+
+/**
+ * Validate a tree depth
+ */
+export function assertValidDepth(depth: number): void {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+        throw new Error(
+            `Invalid tree depth: ${depth} (expected 1..${MAX_TREE_DEPTH})`
+        )
+    }
+}
+
+/**
+ * Emit the Noir global declaration matching a tree depth
+ * Paste into (or sync with) circuit/src/main.nr
+ */
+export function toNoirDepthGlobal(depth: number = TREE_DEPTH): string {
+    assertValidDepth(depth)
+    return `global TREE_DEPTH: u32 = ${depth};`
+}
+
+// Default number of recent roots a tree remembers
+export const ROOT_HISTORY_SIZE = 30
+
+export interface RootHistoryEntry {
+    root: bigint
+    leafCount: number // Leaves in the tree when this root was current
+    sequence: number // 0 for the empty tree, +1 per recorded change
+}
+
+/**
+ * Bounded window of recent roots
+ * Lets proofs built against a slightly older root stay valid while new
+ * members keep joining
+ */
+export class RootHistory {
+    readonly size: number
+    private entries: RootHistoryEntry[]
+    private sequence: number
+
+    constructor(size: number = ROOT_HISTORY_SIZE) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid root history size: ${size}`)
+        }
+
+        this.size = size
+        this.entries = []
+        this.sequence = -1
+    }
+
+    /**
+     * Record a new current root, dropping the oldest once the window is full
+     */
+    record(root: bigint, leafCount: number): RootHistoryEntry {
+        this.sequence++
+        const entry = { root, leafCount, sequence: this.sequence }
+        this.entries.push(entry)
+        if (this.entries.length > this.size) this.entries.shift()
+        return entry
+    }
+
+    /**
+     * Check whether a root is inside the window
+     */
+    isKnownRoot(root: bigint): boolean {
+        return this.entries.some((entry) => entry.root === root)
+    }
+
+    /**
+     * Get the recorded roots, oldest first
+     */
+    getEntries(): RootHistoryEntry[] {
+        return this.entries.map((entry) => ({ ...entry }))
+    }
+}
+
+/**
+ * Which roots a proof may be checked against: one exact root, a list of
+ * accepted roots, or anything with isKnownRoot (a tree or a RootHistory)
+ */
+export type RootPolicy =
+    | bigint
+    | bigint[]
+    | { isKnownRoot(root: bigint): boolean }
+
+function acceptsRoot(policy: RootPolicy, root: bigint): boolean {
+    if (typeof policy === "bigint") return policy === root
+    if (Array.isArray(policy)) return policy.includes(root)
+    return policy.isKnownRoot(root)
+}
+
+/**
+ * Result of looking up a member: either their proof, or a clear
+ * not-a-member answer carrying only the leaf that was searched for
+ */
+export type MemberProof =
+    | {
+          isMember: true
+          index: number
+          leaf: bigint
+          path: bigint[]
+          pathIndices: bigint[]
+          root: bigint
+      }
+    | { isMember: false; leaf: bigint }
+
+/**
+ * Proof for several leaves at once: siblings shared between their paths are
+ * sent once, and siblings that are themselves proven nodes are not sent
+ */
+export interface MultiProof {
+    indices: number[] // Leaf indices, ascending and unique
+    leaves: bigint[] // Leaf values, in the same order as indices
+    proof: bigint[] // Siblings that cannot be recomputed, bottom-up
+    proofFlags: boolean[] // One per hash: true = sibling is a proven node
+    root: bigint
+}
+
+export interface DeletionLogEntry {
+    index: number
+    leaf: bigint // Leaf value before deletion
+    sequence: number // Root history sequence of the deletion
+}
+
+export interface IncrementalMerkleTreeOptions {
+    depth?: number
+    rootHistorySize?: number
+    allowDuplicates?: boolean // Accept a leaf that is already a member
+}
 
 /**
  * Incremental Merkle Tree class
  * Supports efficient insertions and Merkle path generation
  */
 export class IncrementalMerkleTree {
+    readonly depth: number
+    readonly allowDuplicates: boolean
+    private zeroHashes: bigint[]
     private leaves: bigint[]
     private nodes: Map<string, bigint> // Cache for internal nodes
     private nextIndex: number
+    private rootHistory: RootHistory
+    private leafIndex: Map<bigint, Set<number>> // Reverse index: leaf -> indices
+    private freeSlots: number[] // Tombstoned indices, reused oldest first
+    private deletionLog: DeletionLogEntry[]
+
+    constructor(options: IncrementalMerkleTreeOptions = {}) {
+        const depth = options.depth ?? TREE_DEPTH
+        assertValidDepth(depth)
 
-    constructor() {
+        this.depth = depth
+        this.allowDuplicates = options.allowDuplicates ?? false
+        this.zeroHashes = getZeroHashes(depth)
         this.leaves = []
         this.nodes = new Map()
         this.nextIndex = 0
+        this.leafIndex = new Map()
+        this.freeSlots = []
+        this.deletionLog = []
+        this.rootHistory = new RootHistory(options.rootHistorySize)
+        this.rootHistory.record(this.getRoot(), 0)
     }
 
     /**
-     * Get the current number of leaves
+     * Maximum number of leaves: 2^depth
+     */
+    get maxLeaves(): number {
+        return 2 ** this.depth
+    }
+
+    /**
+     * Get the current number of leaves (including tombstoned slots)
      */
     get length(): number {
         return this.nextIndex
     }
 
     /**
-     * Insert a new leaf into the tree
+     * Get the number of live members (leaves that are not tombstoned)
+     */
+    get memberCount(): number {
+        return this.nextIndex - this.freeSlots.length
+    }
+
+    /**
+     * Insert a new leaf into the tree, reusing a deleted slot if there is one
      * @param leaf - The leaf value (should be hashLeaf(secret))
      * @returns The index of the inserted leaf
+     * @throws If the leaf is already a member (unless allowDuplicates)
      */
     insert(leaf: bigint): number {
-        if (this.nextIndex >= Number(MAX_LEAVES)) {
-            throw new Error(`Tree is full: max ${MAX_LEAVES} leaves`)
+        assertMemberLeaf(leaf)
+        this.assertNotMember(leaf)
+
+        const freeIndex = this.freeSlots.shift()
+        if (freeIndex !== undefined) {
+            this.setLeaf(freeIndex, leaf)
+            this.rootHistory.record(this.getRoot(), this.nextIndex)
+            return freeIndex
+        }
+
+        if (this.nextIndex >= this.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
         }
 
         const index = this.nextIndex
         this.leaves[index] = leaf
+        this.indexLeaf(leaf, index)
 
         // Update the path from leaf to root
         this.updatePath(index)
 
         this.nextIndex++
+        this.rootHistory.record(this.getRoot(), this.nextIndex)
         return index
     }
 
@@ -129,6 +335,75 @@ export class IncrementalMerkleTree {
         return this.insert(leaf)
     }
 
+    /**
+     * Insert a batch of leaves, hashing each affected internal node once
+     * Produces the same roots and paths as calling insert() for each leaf
+     * Deleted slots are refilled first, the rest is appended
+     * @param leaves - The leaf values (should be hashLeaf(secret))
+     * @returns The indices of the inserted leaves
+     * @throws If a leaf is already a member or repeats within the batch
+     *   (unless allowDuplicates); nothing is inserted in that case
+     */
+    insertMany(leaves: bigint[]): number[] {
+        const available =
+            this.maxLeaves - this.nextIndex + this.freeSlots.length
+        if (leaves.length > available) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
+        }
+        leaves.forEach(assertMemberLeaf)
+        if (!this.allowDuplicates) {
+            const seen = new Set<bigint>()
+            for (const leaf of leaves) {
+                this.assertNotMember(leaf)
+                if (seen.has(leaf)) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} appears twice in the batch`
+                    )
+                }
+                seen.add(leaf)
+            }
+        }
+
+        const indices: number[] = []
+        if (leaves.length === 0) return indices
+
+        const reused = Math.min(this.freeSlots.length, leaves.length)
+        for (const leaf of leaves.slice(0, reused)) {
+            const index = this.freeSlots.shift() as number
+            this.setLeaf(index, leaf)
+            indices.push(index)
+        }
+
+        const appended = leaves.slice(reused)
+        if (appended.length === 0) {
+            this.rootHistory.record(this.getRoot(), this.nextIndex)
+            return indices
+        }
+
+        const startIndex = this.nextIndex
+        for (const leaf of appended) {
+            this.leaves[this.nextIndex] = leaf
+            this.indexLeaf(leaf, this.nextIndex)
+            indices.push(this.nextIndex)
+            this.nextIndex++
+        }
+
+        this.updateRange(startIndex, this.nextIndex - 1)
+
+        // One history entry per batch: intermediate roots never existed
+        this.rootHistory.record(this.getRoot(), this.nextIndex)
+        return indices
+    }
+
+    /**
+     * Insert a batch of members by their secrets
+     * @param secrets - The members' secrets
+     * @returns The indices of the inserted leaves
+     */
+    insertMembers(secrets: bigint[]): number[] {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
     /**
      * Update a leaf at a given index
      * @param index - The leaf index to update
@@ -138,17 +413,64 @@ export class IncrementalMerkleTree {
         if (index < 0 || index >= this.nextIndex) {
             throw new Error(`Invalid index: ${index}`)
         }
+        assertMemberLeaf(newLeaf)
+        if (this.leaves[index] !== newLeaf) this.assertNotMember(newLeaf)
 
-        this.leaves[index] = newLeaf
-        this.updatePath(index)
+        // Writing into a deleted slot takes it off the free list
+        const freePosition = this.freeSlots.indexOf(index)
+        if (freePosition !== -1) this.freeSlots.splice(freePosition, 1)
+
+        this.setLeaf(index, newLeaf)
+        this.rootHistory.record(this.getRoot(), this.nextIndex)
     }
 
     /**
-     * Delete a member by setting their leaf to zero
+     * Delete a member by replacing their leaf with the tombstone
+     * The slot is logged and reused by the next insert
      * @param index - The leaf index to delete
      */
     delete(index: number): void {
-        this.update(index, getZeroValue())
+        if (index < 0 || index >= this.nextIndex) {
+            throw new Error(`Invalid index: ${index}`)
+        }
+
+        const leaf = this.leaves[index]
+        if (leaf === TOMBSTONE_LEAF) {
+            throw new Error(`Index ${index} is already deleted`)
+        }
+
+        this.setLeaf(index, TOMBSTONE_LEAF)
+        this.freeSlots.push(index)
+
+        const { sequence } = this.rootHistory.record(
+            this.getRoot(),
+            this.nextIndex
+        )
+        this.deletionLog.push({ index, leaf, sequence })
+    }
+
+    /**
+     * Get the deleted indices waiting to be reused, in reuse order
+     */
+    getFreeSlots(): number[] {
+        return [...this.freeSlots]
+    }
+
+    /**
+     * Get every deletion so far, oldest first
+     */
+    getDeletionLog(): DeletionLogEntry[] {
+        return this.deletionLog.map((entry) => ({ ...entry }))
+    }
+
+    /**
+     * Replace a leaf, keeping the reverse index and its path in sync
+     */
+    private setLeaf(index: number, leaf: bigint): void {
+        this.unindexLeaf(this.leaves[index], index)
+        this.leaves[index] = leaf
+        this.indexLeaf(leaf, index)
+        this.updatePath(index)
     }
 
     /**
@@ -158,7 +480,7 @@ export class IncrementalMerkleTree {
         let currentIndex = index
         let currentHash = this.leaves[index]
 
-        for (let level = 0; level < TREE_DEPTH; level++) {
+        for (let level = 0; level < this.depth; level++) {
             const isRight = currentIndex % 2 === 1
             const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1
             const parentIndex = Math.floor(currentIndex / 2)
@@ -169,7 +491,7 @@ export class IncrementalMerkleTree {
                 siblingHash = this.leaves[siblingIndex] ?? getZeroValue()
             } else {
                 siblingHash =
-                    this.getNode(level, siblingIndex) ?? ZERO_HASHES[level]
+                    this.getNode(level, siblingIndex) ?? this.zeroHashes[level]
             }
 
             // Compute parent hash
@@ -186,6 +508,39 @@ export class IncrementalMerkleTree {
         }
     }
 
+    /**
+     * Recompute internal nodes above a contiguous range of leaves, level by level
+     * Each parent in the range is hashed exactly once
+     */
+    private updateRange(startIndex: number, endIndex: number): void {
+        let from = startIndex
+        let to = endIndex
+
+        for (let level = 0; level < this.depth; level++) {
+            const parentFrom = Math.floor(from / 2)
+            const parentTo = Math.floor(to / 2)
+
+            for (let parent = parentFrom; parent <= parentTo; parent++) {
+                const left = this.getNodeOrZero(level, parent * 2)
+                const right = this.getNodeOrZero(level, parent * 2 + 1)
+                this.setNode(level + 1, parent, hashPair(left, right))
+            }
+
+            from = parentFrom
+            to = parentTo
+        }
+    }
+
+    /**
+     * Get a node (or leaf at level 0), falling back to the empty subtree hash
+     */
+    private getNodeOrZero(level: number, index: number): bigint {
+        if (level === 0) {
+            return this.leaves[index] ?? this.zeroHashes[0]
+        }
+        return this.getNode(level, index) ?? this.zeroHashes[level]
+    }
+
     private getNodeKey(level: number, index: number): string {
         return `${level}:${index}`
     }
@@ -204,10 +559,24 @@ export class IncrementalMerkleTree {
     getRoot(): bigint {
         if (this.nextIndex === 0) {
             // Empty tree: root is hash of all zeros
-            return ZERO_HASHES[TREE_DEPTH]
+            return this.zeroHashes[this.depth]
         }
 
-        return this.getNode(TREE_DEPTH, 0) ?? ZERO_HASHES[TREE_DEPTH]
+        return this.getNode(this.depth, 0) ?? this.zeroHashes[this.depth]
+    }
+
+    /**
+     * Check whether a root is one of the recent roots of this tree
+     */
+    isKnownRoot(root: bigint): boolean {
+        return this.rootHistory.isKnownRoot(root)
+    }
+
+    /**
+     * Get the recent roots of this tree, oldest first
+     */
+    getRootHistory(): RootHistoryEntry[] {
+        return this.rootHistory.getEntries()
     }
 
     /**
@@ -225,7 +594,7 @@ export class IncrementalMerkleTree {
 
         let currentIndex = index
 
-        for (let level = 0; level < TREE_DEPTH; level++) {
+        for (let level = 0; level < this.depth; level++) {
             const isRight = currentIndex % 2 === 1
             const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1
 
@@ -235,7 +604,7 @@ export class IncrementalMerkleTree {
                 siblingHash = this.leaves[siblingIndex] ?? getZeroValue()
             } else {
                 siblingHash =
-                    this.getNode(level, siblingIndex) ?? ZERO_HASHES[level]
+                    this.getNode(level, siblingIndex) ?? this.zeroHashes[level]
             }
 
             path.push(siblingHash)
@@ -247,12 +616,409 @@ export class IncrementalMerkleTree {
         return { path, pathIndices }
     }
 
+    /**
+     * Get one proof for several leaves, sharing their common siblings
+     * @param indices - Leaf indices (any order, duplicates ignored)
+     * @returns Sorted indices and leaves, the minimal siblings and the flags
+     */
+    getMultiProof(indices: number[]): MultiProof {
+        const sorted = [...new Set(indices)].sort((a, b) => a - b)
+        if (sorted.length === 0) {
+            throw new Error("Multi-proof needs at least one index")
+        }
+        for (const index of sorted) {
+            if (index < 0 || index >= this.nextIndex) {
+                throw new Error(`Invalid index: ${index}`)
+            }
+        }
+
+        const proof: bigint[] = []
+        const proofFlags: boolean[] = []
+
+        let known = sorted
+        for (let level = 0; level < this.depth; level++) {
+            const parents: number[] = []
+
+            for (let k = 0; k < known.length; k++) {
+                const currentIndex = known[k]
+                const isRight = currentIndex % 2 === 1
+                const siblingIndex = isRight
+                    ? currentIndex - 1
+                    : currentIndex + 1
+
+                // A left node whose sibling is also proven consumes it
+                if (!isRight && known[k + 1] === siblingIndex) {
+                    proofFlags.push(true)
+                    k++
+                } else {
+                    proofFlags.push(false)
+                    proof.push(this.getNodeOrZero(level, siblingIndex))
+                }
+
+                parents.push(Math.floor(currentIndex / 2))
+            }
+
+            known = parents
+        }
+
+        return {
+            indices: sorted,
+            leaves: sorted.map((index) => this.leaves[index]),
+            proof,
+            proofFlags,
+            root: this.getRoot(),
+        }
+    }
+
     /**
      * Get leaf at index
      */
     getLeaf(index: number): bigint | undefined {
         return this.leaves[index]
     }
+
+    /**
+     * Find the position of a leaf
+     * @param leaf - The leaf value (hashLeaf(secret))
+     * @returns The lowest index holding the leaf, or -1 if not a member
+     */
+    indexOf(leaf: bigint): number {
+        const indices = this.leafIndex.get(leaf)
+        if (!indices || indices.size === 0) return -1
+        return Math.min(...indices)
+    }
+
+    /**
+     * Find the position of a member by their secret
+     * @returns The leaf index, or -1 if not a member
+     */
+    findMember(secret: bigint): number {
+        return this.indexOf(hashLeaf(secret))
+    }
+
+    /**
+     * Look up a member and build their proof against the current root
+     * @param secret - The member's secret
+     */
+    getProofForSecret(secret: bigint): MemberProof {
+        const leaf = hashLeaf(secret)
+        const index = this.indexOf(leaf)
+        if (index === -1) return { isMember: false, leaf }
+
+        const { path, pathIndices } = this.getMerklePath(index)
+        return {
+            isMember: true,
+            index,
+            leaf,
+            path,
+            pathIndices,
+            root: this.getRoot(),
+        }
+    }
+
+    private assertNotMember(leaf: bigint): void {
+        if (this.allowDuplicates) return
+        const index = this.indexOf(leaf)
+        if (index !== -1) {
+            throw new Error(
+                `Already a member: leaf ${leaf} is at index ${index}`
+            )
+        }
+    }
+
+    private indexLeaf(leaf: bigint, index: number): void {
+        // Empty and tombstoned slots are not members
+        if (leaf === this.zeroHashes[0] || leaf === TOMBSTONE_LEAF) return
+
+        let indices = this.leafIndex.get(leaf)
+        if (!indices) {
+            indices = new Set()
+            this.leafIndex.set(leaf, indices)
+        }
+        indices.add(index)
+    }
+
+    private unindexLeaf(leaf: bigint, index: number): void {
+        const indices = this.leafIndex.get(leaf)
+        if (!indices) return
+
+        indices.delete(index)
+        if (indices.size === 0) this.leafIndex.delete(leaf)
+    }
+}
+
+export interface FrontierMerkleTreeOptions {
+    depth?: number
+    watch?: number[]
+    rootHistorySize?: number
+}
+
+export interface StoredNode {
+    level: number
+    index: number
+    value: bigint
+}
+
+// Index of a leaf's ancestor at a level. Division rather than bit shifts:
+// JS bitwise operators are 32-bit signed, and a depth-32 tree has indices
+// up to 2^32 - 1.
+function nodeIndexAt(index: number, level: number): number {
+    return Math.floor(index / 2 ** level)
+}
+
+// The other child of the node's parent
+function siblingOf(nodeIndex: number): number {
+    return nodeIndex % 2 === 0 ? nodeIndex + 1 : nodeIndex - 1
+}
+
+/**
+ * Append-only Merkle tree that keeps only the right-edge frontier
+ * (one node per level) plus up-to-date paths for watched leaf indices
+ * Produces the same roots and paths as IncrementalMerkleTree
+ */
+export class FrontierMerkleTree {
+    readonly depth: number
+    private zeroHashes: bigint[]
+    private frontier: (bigint | undefined)[] // Last left node per level
+    private root: bigint
+    private nextIndex: number
+    private watched: Map<number, bigint[] | null> // null until inserted
+    private rootHistory: RootHistory
+
+    constructor(options: FrontierMerkleTreeOptions = {}) {
+        const depth = options.depth ?? TREE_DEPTH
+        assertValidDepth(depth)
+
+        this.depth = depth
+        this.zeroHashes = getZeroHashes(depth)
+        this.frontier = new Array(depth).fill(undefined)
+        this.root = this.zeroHashes[depth]
+        this.nextIndex = 0
+        this.watched = new Map()
+        this.rootHistory = new RootHistory(options.rootHistorySize)
+        this.rootHistory.record(this.root, 0)
+
+        for (const index of options.watch ?? []) this.watch(index)
+    }
+
+    /**
+     * Get the current number of leaves
+     */
+    get length(): number {
+        return this.nextIndex
+    }
+
+    /**
+     * Maximum number of leaves: 2^depth
+     */
+    get maxLeaves(): number {
+        return 2 ** this.depth
+    }
+
+    /**
+     * Track the Merkle path of a leaf that has not been inserted yet
+     * Paths of already-inserted leaves cannot be rebuilt from the frontier
+     * @param index - The leaf index to watch
+     */
+    watch(index: number): void {
+        if (!Number.isInteger(index) || index < 0 || index >= this.maxLeaves) {
+            throw new Error(`Invalid index: ${index}`)
+        }
+        if (this.watched.has(index)) return
+        if (index < this.nextIndex) {
+            throw new Error(
+                `Cannot watch index ${index}: already inserted in frontier mode`
+            )
+        }
+        this.watched.set(index, null)
+    }
+
+    /**
+     * Stop tracking the Merkle path of a leaf
+     */
+    unwatch(index: number): void {
+        this.watched.delete(index)
+    }
+
+    /**
+     * Insert a new leaf into the tree
+     * @returns The index of the inserted leaf
+     */
+    insert(leaf: bigint): number {
+        return this.insertMany([leaf])[0]
+    }
+
+    /**
+     * Insert a member by their secret
+     * @returns The index of the inserted leaf
+     */
+    insertMember(secret: bigint): number {
+        return this.insert(hashLeaf(secret))
+    }
+
+    /**
+     * Insert a batch of members by their secrets
+     * @returns The indices of the inserted leaves
+     */
+    insertMembers(secrets: bigint[]): number[] {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    /**
+     * Append a batch of leaves level by level, updating the frontier,
+     * the root and the paths of watched leaves
+     * @returns The indices of the inserted leaves
+     */
+    insertMany(leaves: bigint[]): number[] {
+        if (this.nextIndex + leaves.length > this.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
+        }
+        leaves.forEach(assertMemberLeaf)
+
+        const indices: number[] = []
+        if (leaves.length === 0) return indices
+
+        const startIndex = this.nextIndex
+        const endIndex = startIndex + leaves.length - 1
+        for (let i = startIndex; i <= endIndex; i++) indices.push(i)
+
+        // Watched leaves arriving in this batch start with empty siblings
+        for (const [index, path] of this.watched) {
+            if (path === null && index <= endIndex) {
+                this.watched.set(index, this.zeroHashes.slice(0, this.depth))
+            }
+        }
+
+        let nodes = leaves
+        let from = startIndex
+
+        for (let level = 0; level < this.depth; level++) {
+            const to = from + nodes.length - 1
+            const leftOfRange = this.frontier[level]
+
+            // Refresh watched siblings that changed at this level
+            for (const [index, path] of this.watched) {
+                if (path === null) continue
+                const sibling = siblingOf(nodeIndexAt(index, level))
+                if (sibling >= from && sibling <= to) {
+                    path[level] = nodes[sibling - from]
+                } else if (sibling === from - 1 && index >= startIndex) {
+                    path[level] = leftOfRange as bigint
+                }
+            }
+
+            const parentFrom = Math.floor(from / 2)
+            const parentTo = Math.floor(to / 2)
+            const parents: bigint[] = []
+
+            for (let parent = parentFrom; parent <= parentTo; parent++) {
+                const leftIndex = parent * 2
+                const left =
+                    leftIndex >= from
+                        ? nodes[leftIndex - from]
+                        : (leftOfRange as bigint)
+                const right =
+                    leftIndex + 1 <= to
+                        ? nodes[leftIndex + 1 - from]
+                        : this.zeroHashes[level]
+                parents.push(hashPair(left, right))
+            }
+
+            const lastEven = to % 2 === 0 ? to : to - 1
+            if (lastEven >= from) {
+                this.frontier[level] = nodes[lastEven - from]
+            }
+
+            nodes = parents
+            from = parentFrom
+        }
+
+        this.root = nodes[0]
+        this.nextIndex = endIndex + 1
+        this.rootHistory.record(this.root, this.nextIndex)
+        return indices
+    }
+
+    /**
+     * Get the current Merkle root
+     */
+    getRoot(): bigint {
+        return this.root
+    }
+
+    /**
+     * Check whether a root is one of the recent roots of this tree
+     */
+    isKnownRoot(root: bigint): boolean {
+        return this.rootHistory.isKnownRoot(root)
+    }
+
+    /**
+     * Get the recent roots of this tree, oldest first
+     */
+    getRootHistory(): RootHistoryEntry[] {
+        return this.rootHistory.getEntries()
+    }
+
+    /**
+     * Get the Merkle path of a watched leaf
+     * @param index - A watched, already-inserted leaf index
+     */
+    getMerklePath(index: number): { path: bigint[]; pathIndices: bigint[] } {
+        const path = this.watched.get(index)
+        if (!path) {
+            throw new Error(
+                `Index ${index} is not a watched, inserted leaf in frontier mode`
+            )
+        }
+
+        const pathIndices: bigint[] = []
+        for (let level = 0; level < this.depth; level++) {
+            pathIndices.push(nodeIndexAt(index, level) % 2 === 1 ? 1n : 0n)
+        }
+
+        return { path: [...path], pathIndices }
+    }
+
+    /**
+     * List every node this tree keeps: frontier, watched siblings and root
+     */
+    getStoredNodes(): StoredNode[] {
+        const stored = new Map<string, StoredNode>()
+        const add = (level: number, index: number, value: bigint) =>
+            stored.set(`${level}:${index}`, { level, index, value })
+
+        if (this.nextIndex > 0) {
+            for (let level = 0; level < this.depth; level++) {
+                const lastIndex = nodeIndexAt(this.nextIndex - 1, level)
+                const node = this.frontier[level]
+                if (node !== undefined) {
+                    add(level, lastIndex - (lastIndex % 2), node)
+                }
+            }
+        }
+
+        for (const [index, path] of this.watched) {
+            if (path === null) continue
+            for (let level = 0; level < this.depth; level++) {
+                add(level, siblingOf(nodeIndexAt(index, level)), path[level])
+            }
+        }
+
+        add(this.depth, 0, this.root)
+        return [...stored.values()]
+    }
+}
+
+/**
+ * Reject leaf values that can never belong to a member
+ */
+function assertMemberLeaf(leaf: bigint): void {
+    if (isReservedLeaf(leaf)) {
+        throw new Error(
+            "Reserved leaf value: tombstone or empty leaf (secret 0)"
+        )
+    }
 }
 
 /**
@@ -261,7 +1027,9 @@ export class IncrementalMerkleTree {
  * @param index - The leaf index
  * @param path - Sibling hashes
  * @param pathIndices - Path direction bits
- * @param root - Expected root
+ * @param roots - Accepted roots: an exact root, a list of roots, or a tree /
+ *   RootHistory whose recent roots are accepted
+ * @param depth - Depth of the tree the proof was taken from
  * @returns true if proof is valid
  */
 export function verifyMerkleProof(
@@ -269,16 +1037,22 @@ export function verifyMerkleProof(
     index: number,
     path: bigint[],
     pathIndices: bigint[],
-    root: bigint
+    roots: RootPolicy,
+    depth: number = TREE_DEPTH
 ): boolean {
-    if (path.length !== TREE_DEPTH || pathIndices.length !== TREE_DEPTH) {
+    if (path.length !== depth || pathIndices.length !== depth) {
+        return false
+    }
+
+    // Tombstoned and empty slots are never valid memberships
+    if (isReservedLeaf(leaf)) {
         return false
     }
 
     // Verify index matches pathIndices
     let reconstructedIndex = 0n
     let powerOfTwo = 1n
-    for (let i = 0; i < TREE_DEPTH; i++) {
+    for (let i = 0; i < depth; i++) {
         reconstructedIndex += pathIndices[i] * powerOfTwo
         powerOfTwo *= 2n
     }
@@ -289,7 +1063,7 @@ export function verifyMerkleProof(
 
     // Compute root from leaf and path
     let currentHash = leaf
-    for (let i = 0; i < TREE_DEPTH; i++) {
+    for (let i = 0; i < depth; i++) {
         const isRight = pathIndices[i] === 1n
         const [left, right] = isRight
             ? [path[i], currentHash]
@@ -297,7 +1071,82 @@ export function verifyMerkleProof(
         currentHash = hashPair(left, right)
     }
 
-    return currentHash === root
+    return acceptsRoot(roots, currentHash)
+}
+
+/**
+ * Verify a multi-proof locally, rebuilding the root once for all leaves
+ * @param indices - Leaf indices, ascending and unique
+ * @param leaves - Leaf values, in the same order as indices
+ * @param proof - Siblings from getMultiProof
+ * @param proofFlags - Flags from getMultiProof
+ * @param roots - Accepted roots (see verifyMerkleProof)
+ * @param depth - Depth of the tree the proof was taken from
+ * @returns true if every leaf is in the tree
+ */
+export function verifyMultiProof(
+    indices: number[],
+    leaves: bigint[],
+    proof: bigint[],
+    proofFlags: boolean[],
+    roots: RootPolicy,
+    depth: number = TREE_DEPTH
+): boolean {
+    if (indices.length === 0 || indices.length !== leaves.length) {
+        return false
+    }
+
+    const capacity = 2 ** depth
+    for (let k = 0; k < indices.length; k++) {
+        if (!Number.isInteger(indices[k]) || indices[k] < 0) return false
+        if (indices[k] >= capacity) return false
+        if (k > 0 && indices[k] <= indices[k - 1]) return false
+        if (isReservedLeaf(leaves[k])) return false
+    }
+
+    let nodes = indices.map((index, k) => ({ index, hash: leaves[k] }))
+    let proofPos = 0
+    let flagPos = 0
+
+    for (let level = 0; level < depth; level++) {
+        const parents: { index: number; hash: bigint }[] = []
+
+        for (let k = 0; k < nodes.length; k++) {
+            const { index, hash } = nodes[k]
+            const isRight = index % 2 === 1
+            const siblingIndex = isRight ? index - 1 : index + 1
+            const siblingIsProven = nodes[k + 1]?.index === siblingIndex
+
+            // Flags must agree with the indices
+            if (flagPos >= proofFlags.length) return false
+            if (proofFlags[flagPos++] !== (!isRight && siblingIsProven)) {
+                return false
+            }
+
+            let sibling: bigint
+            if (!isRight && siblingIsProven) {
+                sibling = nodes[++k].hash
+            } else {
+                if (proofPos >= proof.length) return false
+                sibling = proof[proofPos++]
+            }
+
+            const [left, right] = isRight ? [sibling, hash] : [hash, sibling]
+            parents.push({
+                index: Math.floor(index / 2),
+                hash: hashPair(left, right),
+            })
+        }
+
+        nodes = parents
+    }
+
+    // Every sibling and flag must be used
+    if (proofPos !== proof.length || flagPos !== proofFlags.length) {
+        return false
+    }
+
+    return acceptsRoot(roots, nodes[0].hash)
 }
 
 // Self-test when run directly
@@ -308,7 +1157,7 @@ if (require.main === module) {
     const tree = new IncrementalMerkleTree()
     console.log("1️⃣ Created empty tree")
     console.log(`   Initial root: ${tree.getRoot()}`)
-    console.log(`   Tree depth: ${TREE_DEPTH}`)
+    console.log(`   Tree depth: ${tree.depth}`)
 
     // Insert some members
     const secrets = [123n, 456n, 789n]
@@ -379,11 +1228,410 @@ if (require.main === module) {
 
     // Test delete
     console.log("\n6️⃣ Testing delete...")
+    const deletedPath = tree.getMerklePath(1)
     tree.delete(1)
     const deletedLeaf = tree.getLeaf(1)
-    const zeroLeaf = getZeroValue()
     console.log(`   Deleted index 1`)
-    console.log(`   Leaf is zero: ${deletedLeaf === zeroLeaf ? "✅" : "❌"}`)
+    console.log(
+        `   Leaf is tombstone: ${deletedLeaf === TOMBSTONE_LEAF ? "✅" : "❌"}`
+    )
+    const tombstoneProof = verifyMerkleProof(
+        TOMBSTONE_LEAF,
+        1,
+        tree.getMerklePath(1).path,
+        tree.getMerklePath(1).pathIndices,
+        tree.getRoot()
+    )
+    console.log(
+        `   Tombstone proof: ${
+            tombstoneProof ? "❌ PROBLEM" : "✅ Correctly rejected"
+        }`
+    )
+    console.log(
+        `   Secret 0 (empty leaf) reserved: ${
+            isReservedLeaf(hashLeaf(0n)) ? "✅" : "❌"
+        }`
+    )
+    console.log(
+        `   Old path no longer verifies: ${
+            verifyMerkleProof(
+                hashLeaf(456n),
+                1,
+                deletedPath.path,
+                deletedPath.pathIndices,
+                tree.getRoot()
+            )
+                ? "❌"
+                : "✅"
+        }`
+    )
+    const reusedIndex = tree.insertMember(654n)
+    console.log(
+        `   Freed slot reused: ${
+            reusedIndex === 1 ? "✅" : "❌"
+        } (index ${reusedIndex})`
+    )
+    console.log(
+        `   Deletion log: ${tree
+            .getDeletionLog()
+            .map((e) => `index ${e.index} @ #${e.sequence}`)
+            .join(", ")}`
+    )
+
+    // Test bulk insertion
+    console.log("\n7️⃣ Testing bulk insertion...")
+    const bulkSecrets = [1n, 2n, 3n, 4n, 5n, 6n, 7n]
+    const sequentialTree = new IncrementalMerkleTree()
+    const bulkTree = new IncrementalMerkleTree()
+    sequentialTree.insertMember(42n)
+    bulkTree.insertMember(42n)
+    for (const secret of bulkSecrets) sequentialTree.insertMember(secret)
+    const bulkIndices = bulkTree.insertMembers(bulkSecrets)
+    console.log(`   Inserted at indices ${bulkIndices.join(", ")}`)
+    console.log(
+        `   Roots match: ${
+            sequentialTree.getRoot() === bulkTree.getRoot() ? "✅" : "❌"
+        }`
+    )
+    const pathsMatch = bulkIndices.every((index) => {
+        const a = sequentialTree.getMerklePath(index).path
+        const b = bulkTree.getMerklePath(index).path
+        return a.every((hash, i) => hash === b[i])
+    })
+    console.log(`   Merkle paths match: ${pathsMatch ? "✅" : "❌"}`)
+
+    // Test configurable depth
+    console.log("\n8️⃣ Testing configurable depth...")
+    const smallTree = new IncrementalMerkleTree({ depth: 4 })
+    smallTree.insertMembers([10n, 20n, 30n])
+    const smallProof = smallTree.getMerklePath(2)
+    const smallValid = verifyMerkleProof(
+        hashLeaf(30n),
+        2,
+        smallProof.path,
+        smallProof.pathIndices,
+        smallTree.getRoot(),
+        smallTree.depth
+    )
+    console.log(
+        `   Depth ${smallTree.depth} path length: ${smallProof.path.length}`
+    )
+    console.log(
+        `   Depth ${smallTree.depth} proof verifies: ${
+            smallValid ? "✅" : "❌"
+        }`
+    )
+    console.log(`   Noir global: ${toNoirDepthGlobal(smallTree.depth)}`)
+    try {
+        smallTree.insertMembers(Array.from({ length: 14 }, (_, i) => BigInt(i)))
+        console.log("   ❌ Should have thrown for a full tree")
+    } catch (error) {
+        console.log(`   ✅ Correctly rejected: ${(error as Error).message}`)
+    }
+
+    // Test frontier mode
+    console.log("\n9️⃣ Testing frontier mode...")
+    const frontierSecrets = Array.from({ length: 37 }, (_, i) => BigInt(i + 1))
+    const fullTree = new IncrementalMerkleTree({ depth: 8 })
+    const frontierTree = new FrontierMerkleTree({ depth: 8, watch: [0, 5] })
+    fullTree.insertMembers(frontierSecrets.slice(0, 10))
+    frontierTree.insertMembers(frontierSecrets.slice(0, 10))
+    frontierTree.watch(20)
+    for (const secret of frontierSecrets.slice(10)) {
+        fullTree.insertMember(secret)
+        frontierTree.insertMember(secret)
+    }
+    console.log(
+        `   Roots match: ${
+            fullTree.getRoot() === frontierTree.getRoot() ? "✅" : "❌"
+        }`
+    )
+    for (const index of [0, 5, 20]) {
+        const { path, pathIndices } = frontierTree.getMerklePath(index)
+        const valid = verifyMerkleProof(
+            hashLeaf(frontierSecrets[index]),
+            index,
+            path,
+            pathIndices,
+            frontierTree.getRoot(),
+            frontierTree.depth
+        )
+        console.log(
+            `   Watched index ${index} verifies: ${valid ? "✅" : "❌"}`
+        )
+    }
+    console.log(
+        `   Stored nodes: ${frontierTree.getStoredNodes().length} (frontier)`
+    )
+
+    // Indices past 2^31 overflow 32-bit bitwise operators. Start a depth-32
+    // tree as if its left half held 2^31 empty leaves (too many to insert)
+    const wideIndex = 2 ** 31 + 1
+    const wideTree = new FrontierMerkleTree({ depth: 32, watch: [wideIndex] })
+    const wideState = wideTree as unknown as {
+        nextIndex: number
+        frontier: bigint[]
+    }
+    wideState.nextIndex = 2 ** 31
+    wideState.frontier[31] = getZeroHashes(32)[31]
+    wideTree.insertMembers([41n, 42n])
+    const widePath = wideTree.getMerklePath(wideIndex)
+    const wideValid = verifyMerkleProof(
+        hashLeaf(42n),
+        wideIndex,
+        widePath.path,
+        widePath.pathIndices,
+        wideTree.getRoot(),
+        32
+    )
+    console.log(
+        `   Watched index 2^31 + 1 (depth 32) verifies: ${
+            wideValid ? "✅" : "❌"
+        }`
+    )
+
+    // Test root history
+    console.log("\n🔟 Testing root history...")
+    const historyTree = new IncrementalMerkleTree({
+        depth: 8,
+        rootHistorySize: 3,
+    })
+    historyTree.insertMembers([1n, 2n])
+    const staleRoot = historyTree.getRoot()
+    const staleProof = historyTree.getMerklePath(1)
+    historyTree.insertMember(3n)
+    historyTree.insertMember(4n)
+    const recentValid = verifyMerkleProof(
+        hashLeaf(2n),
+        1,
+        staleProof.path,
+        staleProof.pathIndices,
+        historyTree,
+        historyTree.depth
+    )
+    console.log(
+        `   Proof against recent root accepted: ${recentValid ? "✅" : "❌"}`
+    )
+    const exactValid = verifyMerkleProof(
+        hashLeaf(2n),
+        1,
+        staleProof.path,
+        staleProof.pathIndices,
+        historyTree.getRoot(),
+        historyTree.depth
+    )
+    console.log(
+        `   Proof against latest root only: ${
+            exactValid ? "❌ PROBLEM" : "✅ Rejected (stale)"
+        }`
+    )
+    historyTree.insertMember(5n)
+    console.log(
+        `   Root evicted after window: ${
+            historyTree.isKnownRoot(staleRoot) ? "❌" : "✅"
+        }`
+    )
+    console.log(
+        `   History: ${historyTree
+            .getRootHistory()
+            .map((e) => `#${e.sequence}/${e.leafCount} leaves`)
+            .join(", ")}`
+    )
+
+    // Test member lookup
+    console.log("\n1️⃣1️⃣ Testing member lookup...")
+    const lookupTree = new IncrementalMerkleTree({ depth: 8 })
+    lookupTree.insertMembers([11n, 22n, 33n])
+    const lookup = lookupTree.getProofForSecret(22n)
+    const lookupValid =
+        lookup.isMember &&
+        verifyMerkleProof(
+            lookup.leaf,
+            lookup.index,
+            lookup.path,
+            lookup.pathIndices,
+            lookup.root,
+            lookupTree.depth
+        )
+    console.log(
+        `   Secret 22 found at index ${lookupTree.findMember(22n)}: ${
+            lookupValid ? "✅" : "❌"
+        }`
+    )
+    console.log(
+        `   Missing secret 44: ${
+            lookupTree.getProofForSecret(44n).isMember
+                ? "❌ PROBLEM"
+                : "✅ Not a member"
+        }`
+    )
+    lookupTree.update(0, hashLeaf(55n))
+    console.log(
+        `   After update: old ${
+            lookupTree.findMember(11n) === -1 ? "✅" : "❌"
+        } new ${lookupTree.findMember(55n) === 0 ? "✅" : "❌"}`
+    )
+    lookupTree.delete(2)
+    console.log(
+        `   After delete: ${
+            lookupTree.findMember(33n) === -1 ? "✅ Not a member" : "❌"
+        }`
+    )
+
+    // Test multi-proofs
+    console.log("\n1️⃣2️⃣ Testing multi-proofs...")
+    const multiTree = new IncrementalMerkleTree({ depth: 8 })
+    multiTree.insertMembers(
+        Array.from({ length: 20 }, (_, i) => BigInt(i + 1) * 101n)
+    )
+    const multi = multiTree.getMultiProof([13, 2, 3, 8, 2])
+    const multiValid = verifyMultiProof(
+        multi.indices,
+        multi.leaves,
+        multi.proof,
+        multi.proofFlags,
+        multi.root,
+        multiTree.depth
+    )
+    console.log(
+        `   Indices ${multi.indices.join(", ")}: ${multiValid ? "✅" : "❌"}`
+    )
+    console.log(
+        `   Siblings: ${multi.proof.length} vs ${
+            multi.indices.length * multiTree.depth
+        } in single paths`
+    )
+    const tamperedLeaves = [...multi.leaves]
+    tamperedLeaves[1] = hashLeaf(999n)
+    const tamperedValid = verifyMultiProof(
+        multi.indices,
+        tamperedLeaves,
+        multi.proof,
+        multi.proofFlags,
+        multi.root,
+        multiTree.depth
+    )
+    console.log(
+        `   Tampered leaf: ${
+            tamperedValid ? "❌ PROBLEM" : "✅ Correctly rejected"
+        }`
+    )
+    const single = multiTree.getMultiProof([5])
+    console.log(
+        `   Single index matches getMerklePath: ${
+            single.proof.join() === multiTree.getMerklePath(5).path.join()
+                ? "✅"
+                : "❌"
+        }`
+    )
+
+    // Test duplicate members
+    console.log("\n1️⃣3️⃣ Testing duplicate members...")
+    const setTree = new IncrementalMerkleTree({ depth: 8 })
+    setTree.insertMembers([7n, 8n])
+    for (const attempt of [
+        () => setTree.insertMember(7n),
+        () => setTree.insertMembers([9n, 9n]),
+        () => setTree.update(1, hashLeaf(7n)),
+    ]) {
+        try {
+            attempt()
+            console.log("   ❌ Should have rejected a duplicate")
+        } catch (error) {
+            console.log(`   ✅ Correctly rejected: ${(error as Error).message}`)
+        }
+    }
+    console.log(`   Tree unchanged: ${setTree.memberCount === 2 ? "✅" : "❌"}`)
+    const multiSet = new IncrementalMerkleTree({
+        depth: 8,
+        allowDuplicates: true,
+    })
+    multiSet.insertMembers([7n, 7n])
+    console.log(
+        `   allowDuplicates keeps both: ${
+            multiSet.memberCount === 2 && multiSet.findMember(7n) === 0
+                ? "✅"
+                : "❌"
+        }`
+    )
+
+    // Test the JS copies
+    console.log("\n1️⃣4️⃣ Comparing the JS port with IncrementalMerkleTree...")
+    // benchmark.js measures frontier storage and multi-proofs with the
+    // copies in test_data_generator.js
+    const jsPort = require("./test_data_generator")
+    const portSecrets = Array.from(
+        { length: 45 },
+        (_, i) => BigInt(i + 1) * 7919n
+    )
+    const portFull = new IncrementalMerkleTree({ depth: 8 })
+    const portFrontier = new jsPort.FrontierMerkleTree({
+        depth: 8,
+        watch: [0, 6, 31],
+    })
+    let rootsMatch = true
+    for (const [start, end] of [
+        [0, 1],
+        [1, 13],
+        [13, 32],
+        [32, 45],
+    ]) {
+        portFull.insertMembers(portSecrets.slice(start, end))
+        portFrontier.insertMembers(portSecrets.slice(start, end))
+        if (start === 13) portFrontier.watch(40)
+        rootsMatch &&= portFull.getRoot() === portFrontier.getRoot()
+    }
+    console.log(
+        `   Frontier roots match per batch: ${rootsMatch ? "✅" : "❌"}`
+    )
+    for (const index of [0, 6, 31, 40]) {
+        const expected = portFull.getMerklePath(index)
+        const actual = portFrontier.getMerklePath(index)
+        const match =
+            actual.path.join() === expected.path.join() &&
+            actual.pathIndices.join() === expected.pathIndices.join()
+        console.log(
+            `   Watched index ${index} path matches: ${match ? "✅" : "❌"}`
+        )
+    }
+
+    const portTree = new jsPort.IncrementalMerkleTree({ depth: 8 })
+    portTree.insertMembers(portSecrets)
+    const portMulti = portTree.getMultiProof([40, 3, 2, 17, 3])
+    const expectedMulti = portFull.getMultiProof([40, 3, 2, 17, 3])
+    console.log(
+        `   Multi-proof matches getMultiProof: ${
+            portMulti.root === expectedMulti.root &&
+            portMulti.proof.join() === expectedMulti.proof.join() &&
+            portMulti.proofFlags.join() === expectedMulti.proofFlags.join()
+                ? "✅"
+                : "❌"
+        }`
+    )
+    const portValid = jsPort.verifyMultiProof(
+        portMulti.indices,
+        portMulti.leaves,
+        portMulti.proof,
+        portMulti.proofFlags,
+        portMulti.root,
+        portTree.depth
+    )
+    console.log(`   JS verifyMultiProof accepts it: ${portValid ? "✅" : "❌"}`)
+    const portTampered = [...portMulti.proof]
+    portTampered[0] = hashLeaf(999n)
+    const portTamperedValid = jsPort.verifyMultiProof(
+        portMulti.indices,
+        portMulti.leaves,
+        portTampered,
+        portMulti.proofFlags,
+        portMulti.root,
+        portTree.depth
+    )
+    console.log(
+        `   Tampered sibling: ${
+            portTamperedValid ? "❌ PROBLEM" : "✅ Correctly rejected"
+        }`
+    )
 
     console.log("\n" + "=".repeat(50))
     console.log("🎉 All Merkle tree tests completed!")
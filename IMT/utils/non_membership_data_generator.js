@@ -0,0 +1,380 @@
+// IMT/utils/non_membership_data_generator.js
+// Indexed Merkle Tree + test data for the non-membership (revocation) circuit
+
+const fs = require("fs")
+const path = require("path")
+
+const {
+    IncrementalMerkleTree,
+    FIELD_PRIME,
+    TREE_DEPTH,
+    hashToField,
+    hashLeaf,
+    hashPair,
+    realPoseidon2Hash,
+    syncCircuitDepth,
+    toNoirDepthGlobal,
+} = require("./test_data_generator")
+
+// Non-membership circuit whose TREE_DEPTH global must follow the tree
+const NON_MEMBERSHIP_MAIN_PATH = path.join(
+    __dirname,
+    "../non_membership/circuit/src/main.nr"
+)
+
+// Test configuration: revoked secrets and a user who is not revoked
+const TEST_CONFIG = {
+    revokedSecrets: [123n, 456n, 789n],
+    userEmail: "test@example.com",
+    salt: "test_salt_123",
+    verifierKey: "verifier_key_456",
+}
+
+/**
+ * Compute the Merkle leaf of an indexed leaf { value, nextIndex, nextValue }
+ */
+function hashIndexedLeaf(leaf) {
+    return realPoseidon2Hash([
+        leaf.value,
+        BigInt(leaf.nextIndex),
+        leaf.nextValue,
+    ])
+}
+
+function assertStorableValue(value) {
+    if (value <= 0n || value >= FIELD_PRIME) {
+        throw new Error(`Value must be a non-zero field element: ${value}`)
+    }
+}
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+/**
+ * Indexed Merkle Tree: leaves form a linked list sorted by value, so the leaf
+ * just below an absent value (the low leaf) proves it is not stored.
+ * nextValue = 0 marks the end of the list.
+ */
+class IndexedMerkleTree {
+    constructor(options = {}) {
+        this.tree = new IncrementalMerkleTree(options)
+
+        // Index 0 holds the sentinel (0, 0, 0): the head of the list
+        const sentinel = { value: 0n, nextIndex: 0, nextValue: 0n }
+        this.leaves = [sentinel]
+        this.sortedValues = [0n]
+        this.valueIndex = new Map([[0n, 0]])
+        this.tree.insert(hashIndexedLeaf(sentinel))
+    }
+
+    get depth() {
+        return this.tree.depth
+    }
+
+    get size() {
+        return this.leaves.length - 1
+    }
+
+    insert(value) {
+        return this.insertMany([value])[0]
+    }
+
+    insertMember(secret) {
+        return this.insert(hashLeaf(secret))
+    }
+
+    insertMembers(secrets) {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    /**
+     * Insert a batch of values. Leaves get indices in input order; each
+     * leaf's pointer is its successor in the final sorted order, so the
+     * result matches sequential inserts. Nothing is inserted if the tree is
+     * full or a value is already stored.
+     */
+    insertMany(values) {
+        if (this.leaves.length + values.length > this.tree.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.tree.maxLeaves} leaves`)
+        }
+        const seen = new Set()
+        for (const value of values) {
+            assertStorableValue(value)
+            if (this.valueIndex.has(value) || seen.has(value)) {
+                throw new Error(`Value already in the indexed tree: ${value}`)
+            }
+            seen.add(value)
+        }
+        if (values.length === 0) return []
+
+        const firstIndex = this.leaves.length
+        const indices = values.map((_, i) => firstIndex + i)
+        values.forEach((value, i) => this.valueIndex.set(value, indices[i]))
+
+        // Merge the new values into the sorted list
+        const incoming = [...values].sort(compareBigInt)
+        const merged = []
+        let i = 0
+        let j = 0
+        while (i < this.sortedValues.length || j < incoming.length) {
+            if (
+                j >= incoming.length ||
+                (i < this.sortedValues.length &&
+                    this.sortedValues[i] < incoming[j])
+            ) {
+                merged.push(this.sortedValues[i++])
+            } else {
+                merged.push(incoming[j++])
+            }
+        }
+        this.sortedValues = merged
+
+        // Relink every value whose successor is new
+        const changedExisting = []
+        for (let k = 0; k < merged.length; k++) {
+            const nextValue = k + 1 < merged.length ? merged[k + 1] : 0n
+            if (!seen.has(nextValue) && !seen.has(merged[k])) continue
+
+            const index = this.valueIndex.get(merged[k])
+            this.leaves[index] = {
+                value: merged[k],
+                nextIndex:
+                    nextValue === 0n ? 0 : this.valueIndex.get(nextValue),
+                nextValue,
+            }
+            if (index < firstIndex) changedExisting.push(index)
+        }
+
+        // Low leaves first, then append the new leaves in one batch
+        for (const index of changedExisting) {
+            this.tree.update(index, hashIndexedLeaf(this.leaves[index]))
+        }
+        this.tree.insertMany(
+            indices.map((index) => hashIndexedLeaf(this.leaves[index]))
+        )
+
+        return indices
+    }
+
+    has(value) {
+        return value !== 0n && this.valueIndex.has(value)
+    }
+
+    getLeaf(index) {
+        const leaf = this.leaves[index]
+        return leaf && { ...leaf }
+    }
+
+    /**
+     * Find the leaf holding the largest stored value below a value
+     */
+    findLowLeafIndex(value) {
+        let lo = 0
+        let hi = this.sortedValues.length - 1
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2)
+            if (this.sortedValues[mid] < value) lo = mid
+            else hi = mid - 1
+        }
+        return this.valueIndex.get(this.sortedValues[lo])
+    }
+
+    /**
+     * Build the low-leaf witness proving a value is not stored.
+     * Returns { isExcluded: false, value, index } when it is stored.
+     */
+    getNonMembershipWitness(value) {
+        assertStorableValue(value)
+
+        const index = this.valueIndex.get(value)
+        if (index !== undefined) return { isExcluded: false, value, index }
+
+        const lowLeafIndex = this.findLowLeafIndex(value)
+        const { path, pathIndices } = this.tree.getMerklePath(lowLeafIndex)
+        return {
+            isExcluded: true,
+            value,
+            lowLeaf: { ...this.leaves[lowLeafIndex] },
+            lowLeafIndex,
+            path,
+            pathIndices,
+            root: this.getRoot(),
+        }
+    }
+
+    getNonMembershipWitnessForSecret(secret) {
+        return this.getNonMembershipWitness(hashLeaf(secret))
+    }
+
+    getRoot() {
+        return this.tree.getRoot()
+    }
+
+    isKnownRoot(root) {
+        return this.tree.isKnownRoot(root)
+    }
+}
+
+/**
+ * Formats the Prover.toml for the non-membership circuit
+ */
+function formatNonMembershipToml(witness, secret, nullifier, verifierKey) {
+    const { lowLeaf, lowLeafIndex, path: merklePath, pathIndices } = witness
+
+    return `# IMT Non-Membership Proof
+# Tree depth: ${merklePath.length}
+revocation_root = "${witness.root}"
+nullifier = "${nullifier}"
+verifier_key = "${verifierKey}"
+secret = "${secret}"
+low_leaf_value = "${lowLeaf.value}"
+low_leaf_next_index = "${lowLeaf.nextIndex}"
+low_leaf_next_value = "${lowLeaf.nextValue}"
+low_leaf_index = "${lowLeafIndex}"
+merkle_path = [${merklePath.map((p) => `"${p}"`).join(", ")}]
+path_indices = [${pathIndices.map((p) => `"${p}"`).join(", ")}]
+`
+}
+
+/**
+ * Generate test data for the non-membership circuit
+ * @param {{ depth?: number }} options - Tree depth (must match main.nr)
+ */
+async function generateTestData({ depth = TREE_DEPTH } = {}) {
+    console.log("🧪 Generating test data for IMT non-membership circuit...\n")
+
+    // 1. Generate secret from user email + salt
+    const secret = hashToField(TEST_CONFIG.userEmail + TEST_CONFIG.salt)
+    console.log(`Secret (from ${TEST_CONFIG.userEmail}): ${secret}`)
+
+    // 2. Build the revocation list (the user is not on it)
+    const tree = new IndexedMerkleTree({ depth })
+    tree.insertMembers(TEST_CONFIG.revokedSecrets)
+    console.log(`Revoked members: ${tree.size}`)
+
+    // 3. Find the low leaf for the user's leaf hash
+    const witness = tree.getNonMembershipWitnessForSecret(secret)
+    if (!witness.isExcluded) {
+        throw new Error("Test user is on the revocation list")
+    }
+    console.log(`Low leaf index: ${witness.lowLeafIndex}`)
+    console.log(`Revocation root: ${witness.root}`)
+
+    // 4. Generate verifier key and nullifier
+    const verifierKey = hashToField(TEST_CONFIG.verifierKey)
+    const nullifier = realPoseidon2Hash([secret, verifierKey])
+    console.log(`Nullifier: ${nullifier}`)
+
+    return {
+        depth: tree.depth,
+        secret,
+        witness,
+        nullifier,
+        verifierKey,
+        proverToml: formatNonMembershipToml(
+            witness,
+            secret,
+            nullifier,
+            verifierKey
+        ),
+    }
+}
+
+/**
+ * Validate circuit inputs (mirrors the constraints in main.nr)
+ */
+async function validateCircuitInputs(testData) {
+    console.log("\n🔍 Validating circuit inputs...")
+
+    const { witness } = testData
+    const value = hashLeaf(testData.secret)
+    const { lowLeaf } = witness
+
+    // Verify the low leaf brackets the value
+    const belowValue = lowLeaf.value < value
+    const aboveValue = lowLeaf.nextValue === 0n || value < lowLeaf.nextValue
+    console.log(`✓ Low leaf below value: ${belowValue ? "✅" : "❌"}`)
+    console.log(`✓ Next value above value: ${aboveValue ? "✅" : "❌"}`)
+
+    // Verify the low leaf is in the tree
+    let currentHash = hashIndexedLeaf(lowLeaf)
+    for (let i = 0; i < testData.depth; i++) {
+        const isRight = witness.pathIndices[i] === 1n
+        const [left, right] = isRight
+            ? [witness.path[i], currentHash]
+            : [currentHash, witness.path[i]]
+        currentHash = hashPair(left, right)
+    }
+    const rootMatch = currentHash === witness.root
+    console.log(`✓ Revocation root verification: ${rootMatch ? "✅" : "❌"}`)
+
+    // Verify path indices match the low leaf index
+    let reconstructedIndex = 0n
+    let powerOfTwo = 1n
+    for (let i = 0; i < testData.depth; i++) {
+        reconstructedIndex += witness.pathIndices[i] * powerOfTwo
+        powerOfTwo *= 2n
+    }
+    const indexMatch = reconstructedIndex === BigInt(witness.lowLeafIndex)
+    console.log(`✓ Low leaf index consistency: ${indexMatch ? "✅" : "❌"}`)
+
+    // Verify nullifier
+    const recomputedNullifier = realPoseidon2Hash([
+        testData.secret,
+        testData.verifierKey,
+    ])
+    const nullifierMatch = recomputedNullifier === testData.nullifier
+    console.log(`✓ Nullifier consistency: ${nullifierMatch ? "✅" : "❌"}`)
+
+    return belowValue && aboveValue && rootMatch && indexMatch && nullifierMatch
+}
+
+/* CLI entrypoint */
+if (require.main === module) {
+    ;(async () => {
+        console.log("🚀 Starting IMT non-membership test data generation...\n")
+
+        try {
+            const depthArg = process.argv
+                .find((a) => a.startsWith("--depth="))
+                ?.split("=")[1]
+            const depth = depthArg ? parseInt(depthArg) : TREE_DEPTH
+
+            const testData = await generateTestData({ depth })
+            const isValid = await validateCircuitInputs(testData)
+
+            if (!isValid) {
+                console.error("❌ Validation failed! Please check the inputs.")
+                process.exit(1)
+            }
+
+            console.log("\n📝 Writing test data to Prover.toml...")
+            const proverPath = path.join(
+                __dirname,
+                "../non_membership/circuit/Prover.toml"
+            )
+            fs.writeFileSync(proverPath, testData.proverToml)
+            console.log("✅ Test data written to Prover.toml")
+
+            if (syncCircuitDepth(testData.depth, NON_MEMBERSHIP_MAIN_PATH)) {
+                console.log(
+                    `✅ Updated main.nr: ${toNoirDepthGlobal(testData.depth)}`
+                )
+            }
+
+            console.log("\n🎯 Ready for circuit testing!")
+            console.log("Run: cd non_membership/circuit && nargo execute")
+        } catch (err) {
+            console.error("Fatal error generating test data:", err)
+            process.exit(1)
+        }
+    })()
+}
+
+module.exports = {
+    IndexedMerkleTree,
+    hashIndexedLeaf,
+    formatNonMembershipToml,
+    generateTestData,
+    validateCircuitInputs,
+    NON_MEMBERSHIP_MAIN_PATH,
+}
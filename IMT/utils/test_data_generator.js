@@ -11,9 +11,15 @@ const { poseidon2Hash } = require("@zkpassport/poseidon2")
 const FIELD_PRIME =
     21888242871839275222246405745257275088548364400416034343698204186575808495617n
 
-// Tree depth (must match main.nr)
+// Default tree depth (must match main.nr, see syncCircuitDepth)
 const TREE_DEPTH = 20
 
+// Largest supported depth (leaf indices are plain JS numbers)
+const MAX_TREE_DEPTH = 32
+
+// Noir circuit whose TREE_DEPTH global must follow the tree
+const CIRCUIT_MAIN_PATH = path.join(__dirname, "../circuit/src/main.nr")
+
 // Test configuration (same as polynomial module for consistency)
 const TEST_CONFIG = {
     testSecrets: [123n, 456n, 789n],
@@ -69,51 +75,362 @@ function hashPair(left, right) {
 }
 
 /**
- * Get zero value for empty leaves
+ * Get zero value for empty leaves (equals hashLeaf(0n): secret 0 is reserved)
  */
 function getZeroValue() {
     return realPoseidon2Hash([0n])
 }
 
+// Leaf value of a deleted member (must match TOMBSTONE in main.nr)
+const TOMBSTONE_LEAF = 0n
+
+/**
+ * Tombstones and the empty-leaf value can never belong to a member
+ */
+function isReservedLeaf(leaf) {
+    return leaf === TOMBSTONE_LEAF || leaf === getZeroValue()
+}
+
+function assertMemberLeaf(leaf) {
+    if (isReservedLeaf(leaf)) {
+        throw new Error(
+            "Reserved leaf value: tombstone or empty leaf (secret 0)"
+        )
+    }
+}
+
 /**
  * Precompute zero hashes for each level
  */
-function computeZeroHashes() {
-    const zeroHashes = new Array(TREE_DEPTH + 1)
+function computeZeroHashes(depth) {
+    const zeroHashes = new Array(depth + 1)
     zeroHashes[0] = getZeroValue()
 
-    for (let i = 1; i <= TREE_DEPTH; i++) {
+    for (let i = 1; i <= depth; i++) {
         zeroHashes[i] = hashPair(zeroHashes[i - 1], zeroHashes[i - 1])
     }
 
     return zeroHashes
 }
 
-const ZERO_HASHES = computeZeroHashes()
+// Zero hashes cached per depth
+const zeroHashCache = new Map()
+
+function getZeroHashes(depth = TREE_DEPTH) {
+    if (!zeroHashCache.has(depth)) {
+        zeroHashCache.set(depth, computeZeroHashes(depth))
+    }
+    return zeroHashCache.get(depth)
+}
+
+function assertValidDepth(depth) {
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+        throw new Error(
+            `Invalid tree depth: ${depth} (expected 1..${MAX_TREE_DEPTH})`
+        )
+    }
+}
+
+/* ------------ Circuit depth sync ------------ */
+
+const NOIR_DEPTH_PATTERN = /global TREE_DEPTH: u32 = (\d+);/
+
+/**
+ * Emit the Noir global declaration matching a tree depth
+ */
+function toNoirDepthGlobal(depth = TREE_DEPTH) {
+    assertValidDepth(depth)
+    return `global TREE_DEPTH: u32 = ${depth};`
+}
+
+/**
+ * Read the TREE_DEPTH global the circuit is currently compiled with
+ */
+function readCircuitDepth(mainNrPath = CIRCUIT_MAIN_PATH) {
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    const match = source.match(NOIR_DEPTH_PATTERN)
+    if (!match) {
+        throw new Error(`No TREE_DEPTH global found in ${mainNrPath}`)
+    }
+    return parseInt(match[1])
+}
+
+/**
+ * Rewrite the circuit's TREE_DEPTH global so it matches the tree
+ * @returns {boolean} true if main.nr was changed
+ */
+function syncCircuitDepth(depth, mainNrPath = CIRCUIT_MAIN_PATH) {
+    if (readCircuitDepth(mainNrPath) === depth) return false
+
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    fs.writeFileSync(
+        mainNrPath,
+        source.replace(NOIR_DEPTH_PATTERN, toNoirDepthGlobal(depth))
+    )
+    return true
+}
+
+/* ------------ Root history ------------ */
+
+// Default number of recent roots a tree remembers
+const ROOT_HISTORY_SIZE = 30
+
+/**
+ * Bounded window of recent roots, each tagged with the leaf count and a
+ * sequence number (0 for the empty tree, +1 per recorded change)
+ */
+class RootHistory {
+    constructor(size = ROOT_HISTORY_SIZE) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid root history size: ${size}`)
+        }
+
+        this.size = size
+        this.entries = []
+        this.sequence = -1
+    }
+
+    record(root, leafCount) {
+        this.sequence++
+        const entry = { root, leafCount, sequence: this.sequence }
+        this.entries.push(entry)
+        if (this.entries.length > this.size) this.entries.shift()
+        return entry
+    }
+
+    isKnownRoot(root) {
+        return this.entries.some((entry) => entry.root === root)
+    }
+
+    getEntries() {
+        return this.entries.map((entry) => ({ ...entry }))
+    }
+}
 
 /**
  * Simple Incremental Merkle Tree for test data generation
  */
 class IncrementalMerkleTree {
-    constructor() {
+    constructor({
+        depth = TREE_DEPTH,
+        rootHistorySize,
+        allowDuplicates = false,
+    } = {}) {
+        assertValidDepth(depth)
+
+        this.depth = depth
+        // Set semantics: inserting a leaf that is already a member throws
+        this.allowDuplicates = allowDuplicates
+        this.zeroHashes = getZeroHashes(depth)
         this.leaves = []
         this.nodes = new Map()
         this.nextIndex = 0
+        // Reverse index: leaf -> Set of indices
+        this.leafIndex = new Map()
+        // Tombstoned indices, reused oldest first
+        this.freeSlots = []
+        this.deletionLog = []
+        this.rootHistory = new RootHistory(rootHistorySize)
+        this.recordRoot()
+    }
+
+    get maxLeaves() {
+        return 2 ** this.depth
     }
 
+    get memberCount() {
+        return this.nextIndex - this.freeSlots.length
+    }
+
+    /**
+     * Insert a leaf, reusing a deleted slot if there is one
+     */
     insert(leaf) {
+        assertMemberLeaf(leaf)
+        this.assertNotMember(leaf)
+
+        if (this.freeSlots.length > 0) {
+            const index = this.freeSlots.shift()
+            this.setLeaf(index, leaf)
+            this.recordRoot()
+            return index
+        }
+
+        if (this.nextIndex >= this.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
+        }
+
         const index = this.nextIndex
         this.leaves[index] = leaf
+        this.indexLeaf(leaf, index)
         this.updatePath(index)
         this.nextIndex++
+        this.recordRoot()
         return index
     }
 
+    insertMember(secret) {
+        return this.insert(hashLeaf(secret))
+    }
+
+    /**
+     * Insert a batch of leaves, hashing each affected internal node once.
+     * Produces the same roots and paths as sequential insert() calls.
+     * Deleted slots are refilled first, the rest is appended.
+     * Throws before inserting anything if a leaf is already a member or
+     * repeats within the batch (unless allowDuplicates).
+     */
+    insertMany(leaves) {
+        const available =
+            this.maxLeaves - this.nextIndex + this.freeSlots.length
+        if (leaves.length > available) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
+        }
+        leaves.forEach(assertMemberLeaf)
+        if (!this.allowDuplicates) {
+            const seen = new Set()
+            for (const leaf of leaves) {
+                this.assertNotMember(leaf)
+                if (seen.has(leaf)) {
+                    throw new Error(
+                        `Already a member: leaf ${leaf} appears twice in the batch`
+                    )
+                }
+                seen.add(leaf)
+            }
+        }
+
+        const indices = []
+        if (leaves.length === 0) return indices
+
+        const reused = Math.min(this.freeSlots.length, leaves.length)
+        for (const leaf of leaves.slice(0, reused)) {
+            const index = this.freeSlots.shift()
+            this.setLeaf(index, leaf)
+            indices.push(index)
+        }
+
+        const appended = leaves.slice(reused)
+        if (appended.length === 0) {
+            this.recordRoot()
+            return indices
+        }
+
+        const startIndex = this.nextIndex
+        for (const leaf of appended) {
+            this.leaves[this.nextIndex] = leaf
+            this.indexLeaf(leaf, this.nextIndex)
+            indices.push(this.nextIndex)
+            this.nextIndex++
+        }
+
+        this.updateRange(startIndex, this.nextIndex - 1)
+
+        // One history entry per batch: intermediate roots never existed
+        this.recordRoot()
+        return indices
+    }
+
+    insertMembers(secrets) {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    /**
+     * Update a leaf at a given index
+     */
+    update(index, newLeaf) {
+        if (index < 0 || index >= this.nextIndex) {
+            throw new Error(`Invalid index: ${index}`)
+        }
+        assertMemberLeaf(newLeaf)
+        if (this.leaves[index] !== newLeaf) this.assertNotMember(newLeaf)
+
+        // Writing into a deleted slot takes it off the free list
+        const freePosition = this.freeSlots.indexOf(index)
+        if (freePosition !== -1) this.freeSlots.splice(freePosition, 1)
+
+        this.setLeaf(index, newLeaf)
+        this.recordRoot()
+    }
+
+    /**
+     * Delete a member by replacing their leaf with the tombstone.
+     * The slot is logged and reused by the next insert.
+     */
+    delete(index) {
+        if (index < 0 || index >= this.nextIndex) {
+            throw new Error(`Invalid index: ${index}`)
+        }
+
+        const leaf = this.leaves[index]
+        if (leaf === TOMBSTONE_LEAF) {
+            throw new Error(`Index ${index} is already deleted`)
+        }
+
+        this.setLeaf(index, TOMBSTONE_LEAF)
+        this.freeSlots.push(index)
+
+        const { sequence } = this.recordRoot()
+        this.deletionLog.push({ index, leaf, sequence })
+    }
+
+    getFreeSlots() {
+        return [...this.freeSlots]
+    }
+
+    getDeletionLog() {
+        return this.deletionLog.map((entry) => ({ ...entry }))
+    }
+
+    /**
+     * Replace a leaf, keeping the reverse index and its path in sync
+     */
+    setLeaf(index, leaf) {
+        const indices = this.leafIndex.get(this.leaves[index])
+        if (indices) {
+            indices.delete(index)
+            if (indices.size === 0) this.leafIndex.delete(this.leaves[index])
+        }
+
+        this.leaves[index] = leaf
+        this.indexLeaf(leaf, index)
+        this.updatePath(index)
+    }
+
+    /**
+     * Recompute internal nodes above a contiguous range of leaves, level by level
+     */
+    updateRange(startIndex, endIndex) {
+        let from = startIndex
+        let to = endIndex
+
+        for (let level = 0; level < this.depth; level++) {
+            const parentFrom = Math.floor(from / 2)
+            const parentTo = Math.floor(to / 2)
+
+            for (let parent = parentFrom; parent <= parentTo; parent++) {
+                const left = this.getNodeOrZero(level, parent * 2)
+                const right = this.getNodeOrZero(level, parent * 2 + 1)
+                this.nodes.set(`${level + 1}:${parent}`, hashPair(left, right))
+            }
+
+            from = parentFrom
+            to = parentTo
+        }
+    }
+
+    getNodeOrZero(level, index) {
+        if (level === 0) {
+            return this.leaves[index] ?? this.zeroHashes[0]
+        }
+        return this.nodes.get(`${level}:${index}`) ?? this.zeroHashes[level]
+    }
+
     updatePath(index) {
         let currentIndex = index
         let currentHash = this.leaves[index]
 
-        for (let level = 0; level < TREE_DEPTH; level++) {
+        for (let level = 0; level < this.depth; level++) {
             const isRight = currentIndex % 2 === 1
             const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1
             const parentIndex = Math.floor(currentIndex / 2)
@@ -124,7 +441,7 @@ class IncrementalMerkleTree {
             } else {
                 siblingHash =
                     this.nodes.get(`${level}:${siblingIndex}`) ??
-                    ZERO_HASHES[level]
+                    this.zeroHashes[level]
             }
 
             const [left, right] = isRight
@@ -139,11 +456,90 @@ class IncrementalMerkleTree {
         }
     }
 
+    /**
+     * Record the current root in the recent-roots window
+     */
+    recordRoot() {
+        return this.rootHistory.record(this.getRoot(), this.nextIndex)
+    }
+
+    isKnownRoot(root) {
+        return this.rootHistory.isKnownRoot(root)
+    }
+
+    getRootHistory() {
+        return this.rootHistory.getEntries()
+    }
+
     getRoot() {
         if (this.nextIndex === 0) {
-            return ZERO_HASHES[TREE_DEPTH]
+            return this.zeroHashes[this.depth]
+        }
+        return this.nodes.get(`${this.depth}:0`) ?? this.zeroHashes[this.depth]
+    }
+
+    /**
+     * Find the position of a leaf; -1 if not a member
+     */
+    indexOf(leaf) {
+        const indices = this.leafIndex.get(leaf)
+        if (!indices || indices.size === 0) return -1
+        return Math.min(...indices)
+    }
+
+    findMember(secret) {
+        return this.indexOf(hashLeaf(secret))
+    }
+
+    /**
+     * Look up a member and build their proof against the current root.
+     * Returns { isMember: false, leaf } when the secret is not in the tree.
+     */
+    getProofForSecret(secret) {
+        const leaf = hashLeaf(secret)
+        const index = this.indexOf(leaf)
+        if (index === -1) return { isMember: false, leaf }
+
+        const { path, pathIndices } = this.getMerklePath(index)
+        return {
+            isMember: true,
+            index,
+            leaf,
+            path,
+            pathIndices,
+            root: this.getRoot(),
+        }
+    }
+
+    assertNotMember(leaf) {
+        if (this.allowDuplicates) return
+        const index = this.indexOf(leaf)
+        if (index !== -1) {
+            throw new Error(
+                `Already a member: leaf ${leaf} is at index ${index}`
+            )
+        }
+    }
+
+    indexLeaf(leaf, index) {
+        // Empty and tombstoned slots are not members
+        if (leaf === this.zeroHashes[0] || leaf === TOMBSTONE_LEAF) return
+
+        if (!this.leafIndex.has(leaf)) this.leafIndex.set(leaf, new Set())
+        this.leafIndex.get(leaf).add(index)
+    }
+
+    /**
+     * Rebuild the reverse index and free-slot list after leaves were set
+     * directly (deserializers)
+     */
+    rebuildIndexes() {
+        this.leafIndex = new Map()
+        this.freeSlots = []
+        for (let i = 0; i < this.nextIndex; i++) {
+            this.indexLeaf(this.leaves[i], i)
+            if (this.leaves[i] === TOMBSTONE_LEAF) this.freeSlots.push(i)
         }
-        return this.nodes.get(`${TREE_DEPTH}:0`) ?? ZERO_HASHES[TREE_DEPTH]
     }
 
     getMerklePath(index) {
@@ -152,7 +548,7 @@ class IncrementalMerkleTree {
 
         let currentIndex = index
 
-        for (let level = 0; level < TREE_DEPTH; level++) {
+        for (let level = 0; level < this.depth; level++) {
             const isRight = currentIndex % 2 === 1
             const siblingIndex = isRight ? currentIndex - 1 : currentIndex + 1
 
@@ -162,7 +558,7 @@ class IncrementalMerkleTree {
             } else {
                 siblingHash =
                     this.nodes.get(`${level}:${siblingIndex}`) ??
-                    ZERO_HASHES[level]
+                    this.zeroHashes[level]
             }
 
             path.push(siblingHash)
@@ -173,12 +569,339 @@ class IncrementalMerkleTree {
 
         return { path, pathIndices }
     }
+
+    /**
+     * One proof for several leaves: shared siblings are sent once, and a
+     * flag per hash tells whether the sibling is another proven node
+     */
+    getMultiProof(indices) {
+        const sorted = [...new Set(indices)].sort((a, b) => a - b)
+        if (sorted.length === 0) {
+            throw new Error("Multi-proof needs at least one index")
+        }
+        for (const index of sorted) {
+            if (index < 0 || index >= this.nextIndex) {
+                throw new Error(`Invalid index: ${index}`)
+            }
+        }
+
+        const proof = []
+        const proofFlags = []
+
+        let known = sorted
+        for (let level = 0; level < this.depth; level++) {
+            const parents = []
+
+            for (let k = 0; k < known.length; k++) {
+                const currentIndex = known[k]
+                const isRight = currentIndex % 2 === 1
+                const siblingIndex = isRight
+                    ? currentIndex - 1
+                    : currentIndex + 1
+
+                if (!isRight && known[k + 1] === siblingIndex) {
+                    proofFlags.push(true)
+                    k++
+                } else {
+                    proofFlags.push(false)
+                    proof.push(this.getNodeOrZero(level, siblingIndex))
+                }
+
+                parents.push(Math.floor(currentIndex / 2))
+            }
+
+            known = parents
+        }
+
+        return {
+            indices: sorted,
+            leaves: sorted.map((index) => this.leaves[index]),
+            proof,
+            proofFlags,
+            root: this.getRoot(),
+        }
+    }
+}
+
+/**
+ * Verify a multi-proof by rebuilding the root once (mirrors merkle_tree.ts)
+ */
+function verifyMultiProof(
+    indices,
+    leaves,
+    proof,
+    proofFlags,
+    root,
+    depth = TREE_DEPTH
+) {
+    if (indices.length === 0 || indices.length !== leaves.length) {
+        return false
+    }
+
+    const capacity = 2 ** depth
+    for (let k = 0; k < indices.length; k++) {
+        if (!Number.isInteger(indices[k]) || indices[k] < 0) return false
+        if (indices[k] >= capacity) return false
+        if (k > 0 && indices[k] <= indices[k - 1]) return false
+        if (isReservedLeaf(leaves[k])) return false
+    }
+
+    let nodes = indices.map((index, k) => ({ index, hash: leaves[k] }))
+    let proofPos = 0
+    let flagPos = 0
+
+    for (let level = 0; level < depth; level++) {
+        const parents = []
+
+        for (let k = 0; k < nodes.length; k++) {
+            const { index, hash } = nodes[k]
+            const isRight = index % 2 === 1
+            const siblingIndex = isRight ? index - 1 : index + 1
+            const siblingIsProven = nodes[k + 1]?.index === siblingIndex
+
+            if (flagPos >= proofFlags.length) return false
+            if (proofFlags[flagPos++] !== (!isRight && siblingIsProven)) {
+                return false
+            }
+
+            let sibling
+            if (!isRight && siblingIsProven) {
+                sibling = nodes[++k].hash
+            } else {
+                if (proofPos >= proof.length) return false
+                sibling = proof[proofPos++]
+            }
+
+            const [left, right] = isRight ? [sibling, hash] : [hash, sibling]
+            parents.push({
+                index: Math.floor(index / 2),
+                hash: hashPair(left, right),
+            })
+        }
+
+        nodes = parents
+    }
+
+    if (proofPos !== proof.length || flagPos !== proofFlags.length) {
+        return false
+    }
+
+    return nodes[0].hash === root
+}
+
+// Index of a leaf's ancestor at a level. Division rather than bit shifts:
+// JS bitwise operators are 32-bit signed, and a depth-32 tree has indices
+// up to 2^32 - 1.
+function nodeIndexAt(index, level) {
+    return Math.floor(index / 2 ** level)
+}
+
+// The other child of the node's parent
+function siblingOf(nodeIndex) {
+    return nodeIndex % 2 === 0 ? nodeIndex + 1 : nodeIndex - 1
+}
+
+/**
+ * Append-only Merkle tree that stores only the right-edge frontier (one node
+ * per level) plus up-to-date paths for a chosen set of watched leaf indices.
+ * Produces the same roots and paths as IncrementalMerkleTree.
+ */
+class FrontierMerkleTree {
+    constructor({ depth = TREE_DEPTH, watch = [], rootHistorySize } = {}) {
+        assertValidDepth(depth)
+
+        this.depth = depth
+        this.zeroHashes = getZeroHashes(depth)
+        // frontier[level] = last left (even-index) node at that level
+        this.frontier = new Array(depth).fill(undefined)
+        this.root = this.zeroHashes[depth]
+        this.nextIndex = 0
+        // leaf index -> sibling path (null until the leaf is inserted)
+        this.watched = new Map()
+        this.rootHistory = new RootHistory(rootHistorySize)
+        this.rootHistory.record(this.root, 0)
+
+        for (const index of watch) this.watch(index)
+    }
+
+    get maxLeaves() {
+        return 2 ** this.depth
+    }
+
+    /**
+     * Track the Merkle path of a leaf that has not been inserted yet.
+     * Paths of already-inserted leaves cannot be rebuilt from the frontier.
+     */
+    watch(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.maxLeaves) {
+            throw new Error(`Invalid index: ${index}`)
+        }
+        if (this.watched.has(index)) return
+        if (index < this.nextIndex) {
+            throw new Error(
+                `Cannot watch index ${index}: already inserted in frontier mode`
+            )
+        }
+        this.watched.set(index, null)
+    }
+
+    unwatch(index) {
+        this.watched.delete(index)
+    }
+
+    insert(leaf) {
+        return this.insertMany([leaf])[0]
+    }
+
+    insertMember(secret) {
+        return this.insert(hashLeaf(secret))
+    }
+
+    insertMembers(secrets) {
+        return this.insertMany(secrets.map((secret) => hashLeaf(secret)))
+    }
+
+    /**
+     * Append a batch of leaves level by level, updating the frontier, the
+     * root and the paths of watched leaves.
+     */
+    insertMany(leaves) {
+        if (this.nextIndex + leaves.length > this.maxLeaves) {
+            throw new Error(`Tree is full: max ${this.maxLeaves} leaves`)
+        }
+        leaves.forEach(assertMemberLeaf)
+
+        const indices = []
+        if (leaves.length === 0) return indices
+
+        const startIndex = this.nextIndex
+        const endIndex = startIndex + leaves.length - 1
+        for (let i = startIndex; i <= endIndex; i++) indices.push(i)
+
+        // Watched leaves arriving in this batch start with empty siblings
+        for (const [index, path] of this.watched) {
+            if (path === null && index <= endIndex) {
+                this.watched.set(index, this.zeroHashes.slice(0, this.depth))
+            }
+        }
+
+        let nodes = leaves
+        let from = startIndex
+
+        for (let level = 0; level < this.depth; level++) {
+            const to = from + nodes.length - 1
+            const leftOfRange = this.frontier[level]
+
+            for (const [index, path] of this.watched) {
+                if (path === null) continue
+                const sibling = siblingOf(nodeIndexAt(index, level))
+                if (sibling >= from && sibling <= to) {
+                    path[level] = nodes[sibling - from]
+                } else if (sibling === from - 1 && index >= startIndex) {
+                    path[level] = leftOfRange
+                }
+            }
+
+            const parentFrom = Math.floor(from / 2)
+            const parentTo = Math.floor(to / 2)
+            const parents = []
+
+            for (let parent = parentFrom; parent <= parentTo; parent++) {
+                const leftIndex = parent * 2
+                const left =
+                    leftIndex >= from ? nodes[leftIndex - from] : leftOfRange
+                const right =
+                    leftIndex + 1 <= to
+                        ? nodes[leftIndex + 1 - from]
+                        : this.zeroHashes[level]
+                parents.push(hashPair(left, right))
+            }
+
+            const lastEven = to % 2 === 0 ? to : to - 1
+            if (lastEven >= from) {
+                this.frontier[level] = nodes[lastEven - from]
+            }
+
+            nodes = parents
+            from = parentFrom
+        }
+
+        this.root = nodes[0]
+        this.nextIndex = endIndex + 1
+        this.rootHistory.record(this.root, this.nextIndex)
+        return indices
+    }
+
+    getRoot() {
+        return this.root
+    }
+
+    isKnownRoot(root) {
+        return this.rootHistory.isKnownRoot(root)
+    }
+
+    getRootHistory() {
+        return this.rootHistory.getEntries()
+    }
+
+    /**
+     * Get the Merkle path of a watched leaf
+     */
+    getMerklePath(index) {
+        const path = this.watched.get(index)
+        if (!path) {
+            throw new Error(
+                `Index ${index} is not a watched, inserted leaf in frontier mode`
+            )
+        }
+
+        const pathIndices = []
+        for (let level = 0; level < this.depth; level++) {
+            pathIndices.push(nodeIndexAt(index, level) % 2 === 1 ? 1n : 0n)
+        }
+
+        return { path: [...path], pathIndices }
+    }
+
+    /**
+     * List every node this tree keeps: frontier, watched siblings and root
+     * @returns {{ level: number, index: number, value: bigint }[]}
+     */
+    getStoredNodes() {
+        const stored = new Map()
+        const add = (level, index, value) =>
+            stored.set(`${level}:${index}`, { level, index, value })
+
+        if (this.nextIndex > 0) {
+            for (let level = 0; level < this.depth; level++) {
+                const lastIndex = nodeIndexAt(this.nextIndex - 1, level)
+                if (this.frontier[level] !== undefined) {
+                    add(
+                        level,
+                        lastIndex - (lastIndex % 2),
+                        this.frontier[level]
+                    )
+                }
+            }
+        }
+
+        for (const [index, path] of this.watched) {
+            if (path === null) continue
+            for (let level = 0; level < this.depth; level++) {
+                add(level, siblingOf(nodeIndexAt(index, level)), path[level])
+            }
+        }
+
+        add(this.depth, 0, this.root)
+        return [...stored.values()]
+    }
 }
 
 /**
  * Generate test data for the IMT circuit
+ * @param {{ depth?: number }} options - Tree depth (must match main.nr)
  */
-async function generateTestData() {
+async function generateTestData({ depth = TREE_DEPTH } = {}) {
     console.log("🧪 Generating test data for IMT ZKP circuit...\n")
 
     // 1. Generate secret from user email + salt
@@ -186,7 +909,7 @@ async function generateTestData() {
     console.log(`Secret (from ${TEST_CONFIG.userEmail}): ${secret}`)
 
     // 2. Build Merkle tree with test secrets + user secret
-    const tree = new IncrementalMerkleTree()
+    const tree = new IncrementalMerkleTree({ depth })
 
     // Insert test secrets first
     for (const testSecret of TEST_CONFIG.testSecrets) {
@@ -216,7 +939,7 @@ async function generateTestData() {
 
     // 7. Format for Prover.toml
     const proverToml = `# IMT Membership Proof - Generated Test Data
-# Tree depth: ${TREE_DEPTH}
+# Tree depth: ${tree.depth}
 # User index: ${userIndex}
 
 # Public inputs
@@ -233,6 +956,7 @@ path_indices = [${pathIndices.map((p) => `"${p}"`).join(", ")}]
 `
 
     return {
+        depth: tree.depth,
         secret,
         userIndex,
         merkleRoot,
@@ -254,9 +978,19 @@ async function validateCircuitInputs(testData) {
     const computedLeaf = hashLeaf(testData.secret)
     console.log(`✓ Computed leaf: ${computedLeaf}`)
 
+    // Tombstoned and empty slots are never valid memberships
+    const notReserved = testData.secret !== 0n && !isReservedLeaf(computedLeaf)
+    console.log(`✓ Leaf is not a tombstone: ${notReserved ? "✅" : "❌"}`)
+
+    // Verify path length matches the tree depth
+    const depthMatch =
+        testData.merklePath.length === testData.depth &&
+        testData.pathIndices.length === testData.depth
+    console.log(`✓ Path length matches depth: ${depthMatch ? "✅" : "❌"}`)
+
     // Verify Merkle path by recomputing root
     let currentHash = computedLeaf
-    for (let i = 0; i < TREE_DEPTH; i++) {
+    for (let i = 0; i < testData.depth; i++) {
         const isRight = testData.pathIndices[i] === 1n
         const [left, right] = isRight
             ? [testData.merklePath[i], currentHash]
@@ -278,14 +1012,16 @@ async function validateCircuitInputs(testData) {
     // Verify path indices match leaf index
     let reconstructedIndex = 0n
     let powerOfTwo = 1n
-    for (let i = 0; i < TREE_DEPTH; i++) {
+    for (let i = 0; i < testData.depth; i++) {
         reconstructedIndex += testData.pathIndices[i] * powerOfTwo
         powerOfTwo *= 2n
     }
     const indexMatch = reconstructedIndex === BigInt(testData.userIndex)
     console.log(`✓ Leaf index consistency: ${indexMatch ? "✅" : "❌"}`)
 
-    return rootMatch && nullifierMatch && indexMatch
+    return (
+        notReserved && depthMatch && rootMatch && nullifierMatch && indexMatch
+    )
 }
 
 /* CLI entrypoint */
@@ -294,7 +1030,12 @@ if (require.main === module) {
         console.log("🚀 Starting IMT ZKP test data generation...\n")
 
         try {
-            const testData = await generateTestData()
+            const depthArg = process.argv
+                .find((a) => a.startsWith("--depth="))
+                ?.split("=")[1]
+            const depth = depthArg ? parseInt(depthArg) : TREE_DEPTH
+
+            const testData = await generateTestData({ depth })
             const isValid = await validateCircuitInputs(testData)
 
             if (!isValid) {
@@ -307,13 +1048,19 @@ if (require.main === module) {
             fs.writeFileSync(proverPath, testData.proverToml)
             console.log("✅ Test data written to Prover.toml")
 
+            if (syncCircuitDepth(testData.depth)) {
+                console.log(
+                    `✅ Updated main.nr: ${toNoirDepthGlobal(testData.depth)}`
+                )
+            }
+
             console.log("\n📊 Test Summary:")
             console.log(`- Secret: ${testData.secret}`)
             console.log(`- User index: ${testData.userIndex}`)
             console.log(`- Merkle root: ${testData.merkleRoot}`)
             console.log(`- Nullifier: ${testData.nullifier}`)
             console.log(`- Verifier key: ${testData.verifierKey}`)
-            console.log(`- Tree depth: ${TREE_DEPTH}`)
+            console.log(`- Tree depth: ${testData.depth}`)
             console.log(`- Using Poseidon2 for hashing ✅`)
 
             console.log("\n🎯 Ready for circuit testing!")
@@ -328,9 +1075,22 @@ if (require.main === module) {
 module.exports = {
     generateTestData,
     toPositiveField,
+    hashToField,
     FIELD_PRIME,
     TREE_DEPTH,
+    MAX_TREE_DEPTH,
+    getZeroHashes,
+    toNoirDepthGlobal,
+    readCircuitDepth,
+    syncCircuitDepth,
     realPoseidon2Hash,
     validateCircuitInputs,
     IncrementalMerkleTree,
+    FrontierMerkleTree,
+    RootHistory,
+    verifyMultiProof,
+    TOMBSTONE_LEAF,
+    isReservedLeaf,
+    hashLeaf,
+    hashPair,
 }
@@ -6,10 +6,24 @@ const { spawnSync } = require("child_process")
 // Import Helpers
 const imtHelper = require("./IMT/utils/benchmark_imt_helper")
 const polyHelper = require("./polynomial/utils/benchmark_poly_helper")
+const { BACKENDS, createBackend } = require("./proving_backend")
+const { STAT_COLUMNS, summarize, formatSummary } = require("./benchmark_stats")
+const {
+    MEMORY_HEADER,
+    probeStructureMemory,
+    memoryColumns,
+} = require("./memory_probe")
 
 // Argument parsing
 const args = process.argv.slice(2)
 const isDryRun = args.includes("--dry-run")
+const isNonMembership = args.includes("--non-membership")
+const isForest = args.includes("--forest")
+const isPolyConstruction = args.includes("--poly-construction")
+const isBlinded = args.includes("--blinded")
+const isDegreeSweep = args.includes("--poly-degree-sweep")
+const isResume = args.includes("--resume")
+const backendArg = args.find((a) => a.startsWith("--backend="))?.split("=")[1]
 
 // --- Configuration ---
 // 2^7 to 2^20
@@ -19,12 +33,104 @@ const USER_COUNTS = [
 ]
 const specificCount = args.find((a) => a.startsWith("--count="))?.split("=")[1]
 const TARGET_COUNTS = specificCount ? [parseInt(specificCount)] : USER_COUNTS
-const SAMPLE_SIZE = 5 // Randomly sample 5 users for timing
+// Users sampled for proof timing (--samples=), and untimed proving runs
+// before them (--warmup=) so compilation caches and JIT do not skew the first
+const samplesArg = args.find((a) => a.startsWith("--samples="))?.split("=")[1]
+const SAMPLE_SIZE = samplesArg ? parseInt(samplesArg) : 5
+const warmupArg = args.find((a) => a.startsWith("--warmup="))?.split("=")[1]
+const WARMUP_RUNS = warmupArg ? parseInt(warmupArg) : 1
+// Population is timed in this many chunks, each giving a per-member sample
+const POPULATION_CHUNKS = 10
+// Leaves per multi-proof when sizing audit exports
+const MULTI_PROOF_SIZES = [1, 4, 16, 64, 256, 1024]
+// Polynomial degrees for --poly-construction (2^7 to 2^16)
+const CONSTRUCTION_DEGREES = [
+    128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536,
+]
+// Root-by-root interpolation is O(n^2): above this it would take hours
+const SCALAR_MAX_DEGREE = 8192
+// MAX_POLY_DEGREE values for --poly-degree-sweep (default 32 to 1024)
+const degreesArg = args
+    .find((a) => a.startsWith("--poly-degrees="))
+    ?.split("=")[1]
+const SWEEP_DEGREES = degreesArg
+    ? degreesArg.split(",").map(Number)
+    : polyHelper.DEGREE_SWEEP
+// Members per sweep run (--count= overrides)
+const SWEEP_USER_COUNT = specificCount ? parseInt(specificCount) : 1024
+// IMT depth (default TREE_DEPTH, 2^20 members); the circuit is synced to match
+const depthArg = args.find((a) => a.startsWith("--depth="))?.split("=")[1]
+const IMT_DEPTH =
+    depthArg !== undefined ? Number(depthArg) : imtHelper.TREE_DEPTH
+if (
+    !Number.isInteger(IMT_DEPTH) ||
+    IMT_DEPTH < 1 ||
+    IMT_DEPTH > imtHelper.MAX_TREE_DEPTH
+) {
+    console.error(
+        `Invalid --depth=${depthArg} (expected an integer 1..${imtHelper.MAX_TREE_DEPTH})`
+    )
+    process.exit(1)
+}
+const IMT_CAPACITY = 2 ** IMT_DEPTH
+// Polynomial batch assignment (see polynomial/utils/batch_strategies.js)
+const strategyArg = args
+    .find((a) => a.startsWith("--batch-strategy="))
+    ?.split("=")[1]
+const POLY_STRATEGY = strategyArg || "fill-first"
+if (!polyHelper.BATCH_STRATEGIES[POLY_STRATEGY]) {
+    console.error(
+        `Unknown --batch-strategy=${POLY_STRATEGY} (expected ${Object.keys(
+            polyHelper.BATCH_STRATEGIES
+        ).join(", ")})`
+    )
+    process.exit(1)
+}
+const shardsArg = args.find((a) => a.startsWith("--shards="))?.split("=")[1]
+// hash-sharded: enough shards for the largest count at half load by default
+const POLY_STRATEGY_OPTIONS = {
+    strategy: POLY_STRATEGY,
+    shardCount: shardsArg
+        ? parseInt(shardsArg)
+        : Math.ceil(
+              (2 * Math.max(...TARGET_COUNTS)) / polyHelper.MAX_POLY_DEGREE
+          ),
+}
+// Proving backend: nargo/bb (cli), or in-process constraint checks (mock)
+const BACKEND_NAME = backendArg || "cli"
+if (!BACKENDS[BACKEND_NAME]) {
+    console.error(
+        `Unknown --backend=${BACKEND_NAME} (expected ${Object.keys(
+            BACKENDS
+        ).join(", ")})`
+    )
+    process.exit(1)
+}
+const BACKEND = createBackend(BACKEND_NAME, execute)
 // Output Handling
-const suffix = isDryRun ? "_dryrun.csv" : ".csv"
-const IMT_CSV_FILE = `imt_results${suffix}`
-const POLY_CSV_FILE = `polynomial_results${suffix}`
+const backendSuffix = BACKEND_NAME === "cli" ? "" : `_${BACKEND_NAME}`
+const suffix = `${backendSuffix}${isDryRun ? "_dryrun" : ""}.csv`
+const depthSuffix = depthArg ? `_depth${IMT_DEPTH}` : ""
+const IMT_CSV_FILE = `imt_results${depthSuffix}${suffix}`
+const strategySuffix = strategyArg ? `_${POLY_STRATEGY}` : ""
+const blindedSuffix = isBlinded ? "_blinded" : ""
+const POLY_CSV_FILE = `polynomial_results${strategySuffix}${blindedSuffix}${suffix}`
+const HYBRID_CSV_FILE = `hybrid_results${strategySuffix}${blindedSuffix}${suffix}`
+const MULTI_PROOF_CSV_FILE = `imt_multiproof_results${depthSuffix}${suffix}`
+const POLY_CONSTRUCTION_CSV_FILE = `poly_construction_results${suffix}`
+const FOREST_CSV_FILE = `imt_forest_results${depthSuffix}${suffix}`
+const NON_MEMBERSHIP_CSV_FILE = `imt_non_membership_results${depthSuffix}${suffix}`
+const POLY_DEGREE_CSV_FILE = `polynomial_degree_results${strategySuffix}${blindedSuffix}${suffix}`
+const HYBRID_DEGREE_CSV_FILE = `hybrid_degree_results${strategySuffix}${blindedSuffix}${suffix}`
 const USERS_DB_FILE = "users.csv"
+// Written after each count so --resume can carry on after a failure
+const CHECKPOINT_DIR = "benchmark_checkpoint"
+const CHECKPOINT_FILE = path.join(CHECKPOINT_DIR, "checkpoint.json")
+const CHECKPOINT_IMT_FILE = path.join(CHECKPOINT_DIR, "imt.bin")
+const CHECKPOINT_POLY_FILE = path.join(CHECKPOINT_DIR, "poly.bin")
+
+const RESULT_HEADER =
+    "user_count,proof_size_bytes,proof_gen_time_ms,vk_size_bytes,verification_time_ms,total_population_time_ms,avg_population_time_ms,total_structure_storage_bytes"
 
 // Fixed test config
 const VERIFIER_KEY = "benchmark_vk_123"
@@ -33,9 +139,20 @@ const FIELD_PRIME =
 
 // State management
 let IMT_TREE = null
+let IMT_FRONTIER = null
+let IMT_REVOCATION = null
+let totalPopulationTimeRevocation = 0
+let IMT_FOREST = null
+let totalPopulationTimeForest = 0
+let HYBRID_BATCH_TREE = null // Tree of POLY_BATCHES hashes (hybrid scheme)
+// Generated secrets that collided with an existing member and were redrawn
+let duplicateSecrets = 0
 let POLY_BATCHES = []
 let POLY_ROOTS = []
 let POLY_USER_MAP = new Map()
+// Result writes for the count being measured, run once its checkpoint is
+// saved so a count that fails midway leaves no rows for --resume to repeat
+let PENDING_WRITES = null
 
 // --- Utilities ---
 
@@ -78,6 +195,55 @@ function execute(command, cwd) {
     return durationMs
 }
 
+function timeMs(fn) {
+    const start = process.hrtime.bigint()
+    fn()
+    return Number(process.hrtime.bigint() - start) / 1_000_000
+}
+
+/**
+ * Inserts items in POPULATION_CHUNKS chunks, timing each
+ * @returns {{ time: number, members: number, samples: number[] }} Total ms,
+ *   and ms per member for each chunk
+ */
+function timePopulation(items, insert) {
+    const chunkSize = Math.max(1, Math.ceil(items.length / POPULATION_CHUNKS))
+    let time = 0
+    const samples = []
+    // An empty population still runs once, so the structure is created
+    for (let i = 0; i === 0 || i < items.length; i += chunkSize) {
+        const chunk = items.slice(i, i + chunkSize)
+        const chunkTime = timeMs(() => insert(chunk))
+        time += chunkTime
+        if (chunk.length > 0) samples.push(chunkTime / chunk.length)
+    }
+    return { time, members: items.length, samples }
+}
+
+/**
+ * Heap and RSS of one structure holding these members, built alone in a
+ * fresh process (see memory_probe.js)
+ */
+function measureMemory(name, scheme, members, options = {}) {
+    log(`[${name}] Measuring memory...`)
+    return probeStructureMemory(scheme, members, {
+        depth: IMT_DEPTH,
+        ...options,
+    })
+}
+
+// Hybrid population: the polynomial chunks plus one batch tree update,
+// spread evenly over the members
+function withBatchTreeUpdate(population, treeTime) {
+    return {
+        time: population.time + treeTime,
+        members: population.members,
+        samples: population.samples.map(
+            (s) => s + treeTime / population.members
+        ),
+    }
+}
+
 function getFileSize(filePath) {
     try {
         return fs.statSync(filePath).size
@@ -98,6 +264,68 @@ function getDirSize(dirPath) {
     return size
 }
 
+// Runs a result write now, or after the checkpoint when a count is in progress
+function writeResults(write) {
+    if (PENDING_WRITES) PENDING_WRITES.push(write)
+    else write()
+}
+
+/**
+ * Creates a result CSV with its header, or brings an existing one up to it.
+ * A file whose columns are all in the header (an older run, before columns
+ * were added) is rewritten with the new header, its rows padded by column
+ * name with empty values. Any other file is moved aside to
+ * <name>_legacy_<timestamp>.csv and a fresh one started, so new rows never
+ * land under a header they do not match.
+ * @param {string} file
+ * @param {string} header - Comma-separated column names
+ */
+function initResultFile(file, header) {
+    if (!fs.existsSync(file)) {
+        fs.writeFileSync(file, header + "\n")
+        return
+    }
+
+    const lines = fs
+        .readFileSync(file, "utf-8")
+        .split("\n")
+        .filter((l) => l.trim().length > 0)
+    const oldHeader = lines[0] ?? ""
+    if (oldHeader === header) return
+
+    const columns = header.split(",")
+    const oldColumns = oldHeader.split(",")
+    const rows = lines.slice(1).map((l) => l.split(","))
+    const migratable =
+        oldColumns.every((c) => columns.includes(c)) &&
+        rows.every((fields) => fields.length === oldColumns.length)
+
+    if (migratable) {
+        const migrated = rows.map((fields) =>
+            columns
+                .map((c) => {
+                    const i = oldColumns.indexOf(c)
+                    return i === -1 ? "" : fields[i]
+                })
+                .join(",")
+        )
+        fs.writeFileSync(file, [header, ...migrated].join("\n") + "\n")
+        const added = columns.filter((c) => !oldColumns.includes(c))
+        log(
+            `Migrated ${file} to the current columns (added ${added.join(
+                ", "
+            )})`
+        )
+        return
+    }
+
+    const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14)
+    const legacyFile = file.replace(/\.csv$/, `_legacy_${stamp}.csv`)
+    fs.renameSync(file, legacyFile)
+    fs.writeFileSync(file, header + "\n")
+    log(`${file} had other columns: moved it to ${legacyFile}`)
+}
+
 // --- User Management ---
 
 function loadUsers() {
@@ -122,43 +350,358 @@ function saveUsers(users) {
     fs.writeFileSync(USERS_DB_FILE, lines.join("\n"))
 }
 
+// Per-user salt for blinded polynomial roots (--blinded)
+function blindingSalt(user) {
+    return hashToField(`blind:${user.email}${user.salt}`)
+}
+
 function generateNewUsers(currentUsers, targetCount) {
     const needed = targetCount - currentUsers.length
     if (needed <= 0) return []
 
     log(`Generating ${needed} new users...`)
+    const known = new Set(currentUsers.map((u) => u.secret.toString()))
     const newUsers = []
-    for (let i = 0; i < needed; i++) {
-        const email = `user_${currentUsers.length + i}_${Date.now()}@test.com`
+    while (newUsers.length < needed) {
+        const email = `user_${
+            currentUsers.length + newUsers.length
+        }_${Date.now()}@test.com`
         const salt = crypto.randomBytes(8).toString("hex")
         const secret = hashToField(email + salt)
+        // Both structures reject a repeated member, so draw a new salt
+        if (known.has(secret.toString())) {
+            duplicateSecrets++
+            log(`⚠️ ${email}: secret is already a member, regenerating`)
+            continue
+        }
+        known.add(secret.toString())
         newUsers.push({ email, secret, salt })
     }
     return newUsers
 }
 
+// Random distinct members from the first 'count' users
+function sampleMembers(users, count) {
+    const sampleUsers = []
+    // Pick random samples from the CURRENT pool of 'count' users
+    const availableIndices = Array.from({ length: count }, (_, i) => i)
+    for (let i = 0; i < Math.min(SAMPLE_SIZE, count); i++) {
+        const randIdx = Math.floor(Math.random() * availableIndices.length)
+        const userIdx = availableIndices[randIdx]
+        availableIndices.splice(randIdx, 1) // remove to avoid duplicate
+        sampleUsers.push({
+            index: userIdx,
+            secret: users[userIdx].secret,
+            salt: isBlinded ? blindingSalt(users[userIdx]) : undefined,
+        })
+    }
+    return sampleUsers
+}
+
+// Polynomial roots of members, in order (commitments when blinded)
+function polyRootsOf(users) {
+    return users.map((u) =>
+        isBlinded ? polyHelper.blindRoot(u.secret, blindingSalt(u)) : u.secret
+    )
+}
+
+// Polynomial root of a member: the secret, or its commitment when blinded
+function memberRoot(user) {
+    return isBlinded
+        ? polyHelper.blindRoot(user.secret, user.salt)
+        : user.secret
+}
+
+// Input generator for the polynomial circuit over POLY_BATCHES
+function polyInputs(options) {
+    return (user) => {
+        const batchIdx = polyHelper.locateBatch(
+            memberRoot(user),
+            POLY_ROOTS,
+            POLY_USER_MAP,
+            options
+        )
+        return polyHelper.generateProverToml(
+            POLY_BATCHES[batchIdx],
+            user.secret,
+            hashToField(VERIFIER_KEY),
+            { maxDegree: options.maxDegree, salt: user.salt }
+        )
+    }
+}
+
+// Input generator for the hybrid circuit over HYBRID_BATCH_TREE
+function hybridInputs(options) {
+    return (user) => {
+        const batchIdx = polyHelper.locateBatch(
+            memberRoot(user),
+            POLY_ROOTS,
+            POLY_USER_MAP,
+            options
+        )
+        return polyHelper.generateHybridProverToml(
+            HYBRID_BATCH_TREE,
+            POLY_BATCHES,
+            batchIdx,
+            user.secret,
+            hashToField(VERIFIER_KEY),
+            { maxDegree: options.maxDegree, salt: user.salt }
+        )
+    }
+}
+
+// Set TREE_DEPTH in the IMT circuits this run proves with
+function syncImtCircuits(depth) {
+    if (imtHelper.syncCircuitDepth(depth)) {
+        log(`[IMT] Set circuit TREE_DEPTH to ${depth}`)
+    }
+    if (
+        isNonMembership &&
+        imtHelper.syncCircuitDepth(depth, imtHelper.NON_MEMBERSHIP_MAIN_PATH)
+    ) {
+        log(`[NonMembership] Set circuit TREE_DEPTH to ${depth}`)
+    }
+    if (
+        isForest &&
+        imtHelper.syncCircuitDepth(depth, imtHelper.FOREST_MAIN_PATH)
+    ) {
+        log(`[Forest] Set circuit TREE_DEPTH to ${depth}`)
+    }
+}
+
+// Set MAX_POLY_DEGREE and BLINDED (default: from --blinded) in the
+// polynomial and hybrid circuits
+function syncPolyCircuits(degree, blinded = isBlinded) {
+    if (polyHelper.syncCircuitDegree(degree, polyHelper.POLY_MAIN_PATH)) {
+        log(`[Poly] Set circuit MAX_POLY_DEGREE to ${degree}`)
+    }
+    if (polyHelper.syncCircuitDegree(degree, polyHelper.HYBRID_MAIN_PATH)) {
+        log(`[Hybrid] Set circuit MAX_POLY_DEGREE to ${degree}`)
+    }
+    if (polyHelper.syncCircuitBlinded(blinded, polyHelper.POLY_MAIN_PATH)) {
+        log(`[Poly] Set circuit BLINDED to ${blinded}`)
+    }
+    if (polyHelper.syncCircuitBlinded(blinded, polyHelper.HYBRID_MAIN_PATH)) {
+        log(`[Hybrid] Set circuit BLINDED to ${blinded}`)
+    }
+}
+
+// Put the committed globals back in the tracked circuit sources
+function restoreCircuitDefaults() {
+    syncImtCircuits(imtHelper.TREE_DEPTH)
+    syncPolyCircuits(polyHelper.MAX_POLY_DEGREE, false)
+}
+
+// --- Checkpoint ---
+
+// Flags that change what the structures hold or where results go; a
+// checkpoint only resumes a run with the same ones
+function checkpointConfig() {
+    return {
+        backend: BACKEND_NAME,
+        dryRun: isDryRun,
+        depth: IMT_DEPTH,
+        strategy: POLY_STRATEGY,
+        // hash-sharded places members by shard count, so it must not change
+        shardCount: polyHelper.usesUserMap(POLY_STRATEGY)
+            ? null
+            : POLY_STRATEGY_OPTIONS.shardCount,
+        maxPolyDegree: polyHelper.MAX_POLY_DEGREE,
+        blinded: isBlinded,
+        forest: isForest,
+        nonMembership: isNonMembership,
+    }
+}
+
+/**
+ * Snapshots the IMT and the polynomial batches, then records the progress.
+ * The frontier, forest, revocation list and batch tree are rebuilt from
+ * users.csv on resume, so only their member counts are kept.
+ * @param {number[]} completedCounts - User counts whose results are recorded
+ * @param {number} memberCount - Users inserted so far
+ * @param {Object<string, number>} populationTimes - Cumulative ms per scheme
+ */
+function saveCheckpoint(completedCounts, memberCount, populationTimes) {
+    fs.mkdirSync(CHECKPOINT_DIR, { recursive: true })
+    if (IMT_TREE) imtHelper.saveIMTSnapshot(IMT_TREE, CHECKPOINT_IMT_FILE)
+    polyHelper.savePolySnapshot(POLY_BATCHES, POLY_ROOTS, CHECKPOINT_POLY_FILE)
+
+    const checkpoint = {
+        config: checkpointConfig(),
+        completedCounts,
+        memberCount,
+        members: {
+            imt: IMT_TREE ? IMT_TREE.nextIndex : 0,
+            forest: IMT_FOREST ? memberCount : 0,
+            revocation: IMT_REVOCATION ? IMT_REVOCATION.size : 0,
+        },
+        populationTimes: {
+            ...populationTimes,
+            forest: totalPopulationTimeForest,
+            revocation: totalPopulationTimeRevocation,
+        },
+        duplicateSecrets,
+    }
+    // Replace the previous checkpoint only once the new one is complete
+    fs.writeFileSync(`${CHECKPOINT_FILE}.tmp`, JSON.stringify(checkpoint))
+    fs.renameSync(`${CHECKPOINT_FILE}.tmp`, CHECKPOINT_FILE)
+}
+
+/**
+ * Reloads the structures and cumulative times of an earlier run
+ * @param {Object[]} users - users.csv, whose first members are the ones
+ *   the checkpoint's structures hold
+ * @returns {Object | null} The checkpoint, or null if there is none
+ */
+function restoreCheckpoint(users) {
+    if (!fs.existsSync(CHECKPOINT_FILE)) {
+        log("No checkpoint found: starting from the first count")
+        return null
+    }
+
+    const checkpoint = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, "utf-8"))
+    const expected = JSON.stringify(checkpointConfig())
+    if (JSON.stringify(checkpoint.config) !== expected) {
+        throw new Error(
+            `Checkpoint in ${CHECKPOINT_DIR} was written with different flags (${JSON.stringify(
+                checkpoint.config
+            )}). Rerun with the same flags, or delete it to start over.`
+        )
+    }
+    if (users.length < checkpoint.memberCount) {
+        throw new Error(
+            `${USERS_DB_FILE} has ${users.length} users but the checkpoint holds ${checkpoint.memberCount}`
+        )
+    }
+
+    const secrets = (count) => users.slice(0, count).map((u) => u.secret)
+    const { members } = checkpoint
+    if (members.imt > 0) {
+        IMT_TREE = imtHelper.loadIMTSnapshot(CHECKPOINT_IMT_FILE)
+        IMT_FRONTIER = imtHelper.createFrontierIMT(
+            null,
+            secrets(members.imt),
+            IMT_DEPTH
+        )
+    }
+    const polyState = polyHelper.loadPolySnapshot(CHECKPOINT_POLY_FILE, {
+        strategy: POLY_STRATEGY,
+    })
+    POLY_BATCHES = polyState.batches
+    POLY_ROOTS = polyState.batchRoots
+    POLY_USER_MAP = polyState.userMap
+    if (POLY_BATCHES.length > 0) {
+        HYBRID_BATCH_TREE = polyHelper.createBatchTree(null, POLY_BATCHES)
+    }
+    if (members.forest > 0) {
+        IMT_FOREST = imtHelper.createForestIMT(
+            null,
+            secrets(members.forest),
+            IMT_DEPTH
+        )
+    }
+    if (members.revocation > 0) {
+        IMT_REVOCATION = imtHelper.createIndexedIMT(
+            null,
+            secrets(members.revocation),
+            IMT_DEPTH
+        )
+    }
+
+    const polyMembers = POLY_ROOTS.reduce((n, roots) => n + roots.length, 0)
+    if (
+        (IMT_TREE && IMT_TREE.nextIndex !== members.imt) ||
+        (members.imt > 0 && polyMembers !== members.imt)
+    ) {
+        throw new Error(
+            `Checkpoint snapshots do not hold the ${members.imt} members recorded in ${CHECKPOINT_FILE}`
+        )
+    }
+
+    totalPopulationTimeForest = checkpoint.populationTimes.forest
+    totalPopulationTimeRevocation = checkpoint.populationTimes.revocation
+    duplicateSecrets = checkpoint.duplicateSecrets
+    log(
+        `Resuming after ${
+            checkpoint.memberCount
+        } users (done: ${checkpoint.completedCounts.join(", ")})`
+    )
+    return checkpoint
+}
+
 // --- Benchmark Runner ---
 
 async function runBenchmark() {
-    log(`🚀 Starting Benchmark [Dry Run: ${isDryRun}]`)
+    log(
+        `🚀 Starting Benchmark [Dry Run: ${isDryRun}] [Backend: ${BACKEND_NAME}] [IMT depth: ${IMT_DEPTH}]`
+    )
+
+    // Keep the circuits' globals in line with the structures, for this run only
+    syncImtCircuits(IMT_DEPTH)
+    syncPolyCircuits(polyHelper.MAX_POLY_DEGREE)
+    try {
+        await runUserCounts()
+    } finally {
+        restoreCircuitDefaults()
+    }
+
+    log("🏁 Benchmark Complete!")
+}
 
+// Measures every scheme at each of TARGET_COUNTS, growing the structures
+async function runUserCounts() {
     // Initialize results CSVs
-    if (!fs.existsSync(IMT_CSV_FILE)) {
-        fs.writeFileSync(
-            IMT_CSV_FILE,
-            "user_count,proof_size_bytes,proof_gen_time_ms,vk_size_bytes,verification_time_ms,total_population_time_ms,avg_population_time_ms,total_structure_storage_bytes\n"
+    initResultFile(
+        IMT_CSV_FILE,
+        `${RESULT_HEADER},binary_storage_bytes,frontier_population_time_ms,frontier_storage_bytes,duplicate_secrets,${MEMORY_HEADER}`
+    )
+    initResultFile(
+        POLY_CSV_FILE,
+        `${RESULT_HEADER},binary_storage_bytes,duplicate_secrets,${MEMORY_HEADER}`
+    )
+    initResultFile(
+        HYBRID_CSV_FILE,
+        `${RESULT_HEADER},batch_count,${MEMORY_HEADER}`
+    )
+    initResultFile(
+        MULTI_PROOF_CSV_FILE,
+        "user_count,proven_leaves,multi_proof_siblings,multi_proof_bytes,single_paths_bytes,size_ratio"
+    )
+    if (isForest) {
+        initResultFile(
+            FOREST_CSV_FILE,
+            `${RESULT_HEADER},shard_count,${MEMORY_HEADER}`
         )
     }
-    if (!fs.existsSync(POLY_CSV_FILE)) {
-        fs.writeFileSync(
-            POLY_CSV_FILE,
-            "user_count,proof_size_bytes,proof_gen_time_ms,vk_size_bytes,verification_time_ms,total_population_time_ms,avg_population_time_ms,total_structure_storage_bytes\n"
+    if (isNonMembership) {
+        initResultFile(
+            NON_MEMBERSHIP_CSV_FILE,
+            `${RESULT_HEADER},${MEMORY_HEADER}`
         )
     }
 
     let existingUsers = loadUsers()
-    let totalPopulationTimeIMT = 0
-    let totalPopulationTimePoly = 0
+    const checkpoint = isResume ? restoreCheckpoint(existingUsers) : null
+    const completedCounts = checkpoint ? checkpoint.completedCounts : []
+    // Members already in the structures; users past it are inserted next
+    let memberCount = checkpoint ? checkpoint.memberCount : 0
+    let totalPopulationTimeIMT = checkpoint?.populationTimes.imt ?? 0
+    let totalPopulationTimeFrontier = checkpoint?.populationTimes.frontier ?? 0
+    let totalPopulationTimePoly = checkpoint?.populationTimes.poly ?? 0
+    let totalPopulationTimeHybrid = checkpoint?.populationTimes.hybrid ?? 0
+    const saveProgress = (count) => {
+        completedCounts.push(count)
+        memberCount = count
+        saveCheckpoint(completedCounts, memberCount, {
+            imt: totalPopulationTimeIMT,
+            frontier: totalPopulationTimeFrontier,
+            poly: totalPopulationTimePoly,
+            hybrid: totalPopulationTimeHybrid,
+        })
+        const writes = PENDING_WRITES
+        PENDING_WRITES = null
+        writes.forEach((write) => write())
+    }
 
     // Install dependencies once
     log("Installing dependencies...")
@@ -166,66 +709,161 @@ async function runBenchmark() {
     execute("npm install", "./polynomial")
 
     for (const count of TARGET_COUNTS) {
+        if (completedCounts.includes(count)) {
+            log(`Skipping ${count} users: already recorded (--resume)`)
+            continue
+        }
+
+        // Past one tree's capacity only the forest keeps going
+        const fitsOneTree = count <= IMT_CAPACITY
+        if (!fitsOneTree && !isForest) {
+            log(
+                `Skipping ${count} users: exceeds depth ${IMT_DEPTH} capacity (${IMT_CAPACITY})`
+            )
+            break
+        }
+
         log(`\n=== Processing User Count: ${count} ===`)
+        PENDING_WRITES = []
 
         // 1. Generate incremental users
-        const newUsers = generateNewUsers(existingUsers, count)
-        existingUsers = [...existingUsers, ...newUsers]
+        existingUsers = [
+            ...existingUsers,
+            ...generateNewUsers(existingUsers, count),
+        ]
         saveUsers(existingUsers)
+        const newUsers = existingUsers.slice(memberCount, count)
 
         const newSecrets = newUsers.map((u) => u.secret)
         const allSecrets = existingUsers.slice(0, count).map((u) => u.secret)
 
+        // --- IMT forest (shards of depth IMT_DEPTH) ---
+        if (isForest) {
+            await runForest(
+                count,
+                newSecrets,
+                allSecrets,
+                sampleMembers(existingUsers, count)
+            )
+        }
+        if (!fitsOneTree) {
+            log(`${count} users exceed one tree: only the forest was measured`)
+            saveProgress(count)
+            continue
+        }
+
         // --- System 1: IMT ---
         log(`[IMT] Populating tree...`)
-        const startIMT = process.hrtime.bigint()
-        IMT_TREE = imtHelper.createIncrementalIMT(IMT_TREE, newSecrets)
-        const endIMT = process.hrtime.bigint()
-        const popTimeIMT = Number(endIMT - startIMT) / 1_000_000
-        totalPopulationTimeIMT += popTimeIMT
+        const populationIMT = timePopulation(newSecrets, (chunk) => {
+            IMT_TREE = imtHelper.createIncrementalIMT(
+                IMT_TREE,
+                chunk,
+                IMT_DEPTH
+            )
+        })
+        totalPopulationTimeIMT += populationIMT.time
 
         // Storage Measurement
         const imtCsv = imtHelper.serializeIMTtoCSV(IMT_TREE)
         const imtStorageFile = "temp_imt_storage.csv"
         fs.writeFileSync(imtStorageFile, imtCsv)
         const imtStorageSize = getFileSize(imtStorageFile)
+        const imtBinaryFile = "temp_imt_storage.bin"
+        const imtBinarySize = imtHelper.saveIMTSnapshot(IMT_TREE, imtBinaryFile)
 
-        // --- System 2: Polynomial ---
-        log(`[Poly] Populating batches...`)
-        const startPoly = process.hrtime.bigint()
-        const polyState = polyHelper.addSecretsToBatches(
-            POLY_BATCHES,
-            POLY_ROOTS,
-            POLY_USER_MAP,
-            newSecrets
+        // Frontier-only mode of the same tree, for storage comparison
+        const startFrontier = process.hrtime.bigint()
+        IMT_FRONTIER = imtHelper.createFrontierIMT(
+            IMT_FRONTIER,
+            newSecrets,
+            IMT_DEPTH
+        )
+        const endFrontier = process.hrtime.bigint()
+        totalPopulationTimeFrontier +=
+            Number(endFrontier - startFrontier) / 1_000_000
+
+        const frontierStorageFile = "temp_imt_frontier.csv"
+        fs.writeFileSync(
+            frontierStorageFile,
+            imtHelper.serializeIMTtoCSV(IMT_FRONTIER)
         )
-        POLY_BATCHES = polyState.batches
-        POLY_ROOTS = polyState.batchRoots
-        POLY_USER_MAP = polyState.userMap
-        const endPoly = process.hrtime.bigint()
-        const popTimePoly = Number(endPoly - startPoly) / 1_000_000
-        totalPopulationTimePoly += popTimePoly
+        const frontierStorageSize = getFileSize(frontierStorageFile)
+
+        // Multi-proof size against one path per leaf
+        recordMultiProofSizes(count)
+
+        // --- System 2: Polynomial ---
+        log(`[Poly] Populating batches (${POLY_STRATEGY})...`)
+        // Blinded mode commits to each secret instead of using it as the root
+        const newRoots = polyRootsOf(newUsers)
+        const populationPoly = timePopulation(newRoots, (chunk) => {
+            const polyState = polyHelper.addSecretsToBatches(
+                POLY_BATCHES,
+                POLY_ROOTS,
+                POLY_USER_MAP,
+                chunk,
+                POLY_STRATEGY_OPTIONS
+            )
+            POLY_BATCHES = polyState.batches
+            POLY_ROOTS = polyState.batchRoots
+            POLY_USER_MAP = polyState.userMap
+        })
+        totalPopulationTimePoly += populationPoly.time
 
         // Storage Measurement
         const polyCoeffsCsv = polyHelper.serializePolynomialToCSV(POLY_BATCHES)
-        const polyMapCsv = polyHelper.serializeUserBatchMapToCSV(POLY_USER_MAP)
         const polyStorageFile = "temp_poly_storage.csv"
         const polyMapFile = "temp_poly_map.csv"
         fs.writeFileSync(polyStorageFile, polyCoeffsCsv)
-        fs.writeFileSync(polyMapFile, polyMapCsv)
+        // hash-sharded recomputes each user's batch, so it stores no map
+        if (polyHelper.usesUserMap(POLY_STRATEGY)) {
+            const polyMapCsv =
+                polyHelper.serializeUserBatchMapToCSV(POLY_USER_MAP)
+            fs.writeFileSync(polyMapFile, polyMapCsv)
+        }
         const polyStorageSize =
             getFileSize(polyStorageFile) + getFileSize(polyMapFile)
+        const polyBinaryFile = "temp_poly_storage.bin"
+        const polyBinarySize = polyHelper.savePolySnapshot(
+            POLY_BATCHES,
+            POLY_ROOTS,
+            polyBinaryFile
+        )
+
+        // --- System 3: Hybrid (batch hashes committed in a batch tree) ---
+        log(`[Hybrid] Updating batch tree...`)
+        const startHybrid = process.hrtime.bigint()
+        HYBRID_BATCH_TREE = polyHelper.createBatchTree(
+            HYBRID_BATCH_TREE,
+            POLY_BATCHES
+        )
+        const endHybrid = process.hrtime.bigint()
+        // Same batches as the polynomial scheme, plus the tree update
+        const populationHybrid = withBatchTreeUpdate(
+            populationPoly,
+            Number(endHybrid - startHybrid) / 1_000_000
+        )
+        totalPopulationTimeHybrid += populationHybrid.time
+
+        const hybridTreeFile = "temp_hybrid_tree.csv"
+        fs.writeFileSync(
+            hybridTreeFile,
+            imtHelper.serializeIMTtoCSV(HYBRID_BATCH_TREE)
+        )
+        const hybridStorageSize = polyStorageSize + getFileSize(hybridTreeFile)
+
+        // --- In-memory cost of each structure, built alone ---
+        const memoryIMT = measureMemory("IMT", "imt", allSecrets)
+        const allRoots = polyRootsOf(existingUsers.slice(0, count))
+        const memoryPoly = measureMemory("Poly", "poly", allRoots, {
+            polyOptions: POLY_STRATEGY_OPTIONS,
+        })
+        const memoryHybrid = measureMemory("Hybrid", "hybrid", allRoots, {
+            polyOptions: POLY_STRATEGY_OPTIONS,
+        })
 
         // --- Proof Generation & Verification Sampling ---
-        const sampleUsers = []
-        // Pick random samples from the CURRENT pool of 'count' users
-        const availableIndices = Array.from({ length: count }, (_, i) => i)
-        for (let i = 0; i < Math.min(SAMPLE_SIZE, count); i++) {
-            const randIdx = Math.floor(Math.random() * availableIndices.length)
-            const userIdx = availableIndices[randIdx]
-            availableIndices.splice(randIdx, 1) // remove to avoid duplicate
-            sampleUsers.push({ index: userIdx, secret: allSecrets[userIdx] })
-        }
+        const sampleUsers = sampleMembers(existingUsers, count)
 
         log(`Sampling ${sampleUsers.length} users for proofs...`)
 
@@ -236,9 +874,8 @@ async function runBenchmark() {
             "b2b_membership_imt",
             sampleUsers,
             (user) =>
-                imtHelper.generateProverToml(
+                imtHelper.generateProverTomlForSecret(
                     IMT_TREE,
-                    user.index,
                     user.secret,
                     hashToField(VERIFIER_KEY)
                 )
@@ -250,16 +887,18 @@ async function runBenchmark() {
             "./polynomial",
             "b2b_membership",
             sampleUsers,
-            (user) => {
-                const secretStr = user.secret.toString()
-                const batchIdx = POLY_USER_MAP.get(secretStr)
-                const batch = POLY_BATCHES[batchIdx]
-                return polyHelper.generateProverToml(
-                    batch,
-                    user.secret,
-                    hashToField(VERIFIER_KEY)
-                )
-            }
+            polyInputs(POLY_STRATEGY_OPTIONS),
+            { abiArray: "polynomial" }
+        )
+
+        // Measure Hybrid
+        let metricsHybrid = await measureCircuit(
+            "Hybrid",
+            "./polynomial/hybrid",
+            "b2b_hybrid_membership",
+            sampleUsers,
+            hybridInputs(POLY_STRATEGY_OPTIONS),
+            { abiArray: "polynomial" }
         )
 
         // Log Results
@@ -267,105 +906,627 @@ async function runBenchmark() {
             IMT_CSV_FILE,
             count,
             metricsIMT,
-            getFileSize("./IMT/circuit/target/vk"),
+            metricsIMT.vkSize,
             totalPopulationTimeIMT,
-            imtStorageSize
+            imtStorageSize,
+            [
+                imtBinarySize,
+                totalPopulationTimeFrontier.toFixed(2),
+                frontierStorageSize,
+                duplicateSecrets,
+            ],
+            memoryIMT
+        )
+        recordSamples(
+            IMT_CSV_FILE,
+            { user_count: count },
+            metricsIMT,
+            populationIMT
         )
         appendResult(
             POLY_CSV_FILE,
             count,
             metricsPoly,
-            getFileSize("./polynomial/circuit/target/vk"),
+            metricsPoly.vkSize,
             totalPopulationTimePoly,
-            polyStorageSize
+            polyStorageSize,
+            [polyBinarySize, duplicateSecrets],
+            memoryPoly
+        )
+        recordSamples(
+            POLY_CSV_FILE,
+            { user_count: count },
+            metricsPoly,
+            populationPoly
+        )
+        appendResult(
+            HYBRID_CSV_FILE,
+            count,
+            metricsHybrid,
+            metricsHybrid.vkSize,
+            totalPopulationTimeHybrid,
+            hybridStorageSize,
+            [POLY_BATCHES.length],
+            memoryHybrid
+        )
+        recordSamples(
+            HYBRID_CSV_FILE,
+            { user_count: count },
+            metricsHybrid,
+            populationHybrid
         )
 
+        // --- System 4: IMT non-membership (users form the revocation list) ---
+        if (isNonMembership) {
+            await runNonMembership(count, newSecrets, allSecrets)
+        }
+
         // Cleanup temp files if not keeping them
         if (!isDryRun) {
             try {
                 fs.unlinkSync(imtStorageFile)
             } catch (e) {}
+            try {
+                fs.unlinkSync(imtBinaryFile)
+            } catch (e) {}
+            try {
+                fs.unlinkSync(frontierStorageFile)
+            } catch (e) {}
             try {
                 fs.unlinkSync(polyStorageFile)
             } catch (e) {}
+            try {
+                fs.unlinkSync(polyBinaryFile)
+            } catch (e) {}
             try {
                 fs.unlinkSync(polyMapFile)
             } catch (e) {}
+            try {
+                fs.unlinkSync(hybridTreeFile)
+            } catch (e) {}
         }
+
+        saveProgress(count)
     }
+}
 
-    log("🏁 Benchmark Complete!")
+function recordMultiProofSizes(count) {
+    const rows = []
+    for (const size of MULTI_PROOF_SIZES) {
+        if (size > count) break
+
+        // Random distinct leaves from the current population
+        const indices = new Set()
+        while (indices.size < size) {
+            indices.add(Math.floor(Math.random() * count))
+        }
+
+        const m = imtHelper.measureMultiProof(IMT_TREE, [...indices])
+        const ratio = m.multiProofBytes / m.singlePathsBytes
+        rows.push(
+            `${count},${m.provenLeaves},${m.siblings},${m.multiProofBytes},${
+                m.singlePathsBytes
+            },${ratio.toFixed(4)}\n`
+        )
+    }
+    writeResults(() => {
+        fs.appendFileSync(MULTI_PROOF_CSV_FILE, rows.join(""))
+        log(`[IMT] Recorded multi-proof sizes in ${MULTI_PROOF_CSV_FILE}`)
+    })
+}
+
+function runPolyConstructionBenchmark() {
+    log(`🚀 Timing polynomial construction [Dry Run: ${isDryRun}]`)
+
+    initResultFile(
+        POLY_CONSTRUCTION_CSV_FILE,
+        "degree,scalar_time_ms,ntt_time_ms,speedup,coefficients_match"
+    )
+
+    for (const degree of CONSTRUCTION_DEGREES) {
+        const roots = Array.from({ length: degree }, (_, i) =>
+            hashToField(`root_${degree}_${i}_${Date.now()}`)
+        )
+        const includeScalar = degree <= SCALAR_MAX_DEGREE
+        const t = polyHelper.timePolynomialConstruction(roots, {
+            includeScalar,
+        })
+
+        const speedup = includeScalar
+            ? (t.scalarTimeMs / t.nttTimeMs).toFixed(2)
+            : ""
+        fs.appendFileSync(
+            POLY_CONSTRUCTION_CSV_FILE,
+            `${degree},${
+                includeScalar ? t.scalarTimeMs.toFixed(2) : ""
+            },${t.nttTimeMs.toFixed(2)},${speedup},${
+                includeScalar ? t.coefficientsMatch : ""
+            }\n`
+        )
+        log(
+            `[Poly] Degree ${degree}: NTT ${t.nttTimeMs.toFixed(2)}ms${
+                includeScalar ? `, scalar ${t.scalarTimeMs.toFixed(2)}ms` : ""
+            }`
+        )
+
+        if (includeScalar && !t.coefficientsMatch) {
+            throw new Error(`NTT coefficients differ at degree ${degree}`)
+        }
+    }
+
+    log("🏁 Construction Benchmark Complete!")
 }
 
-async function measureCircuit(name, cwd, circuitName, sampleUsers, inputGenFn) {
-    let totalProofTime = 0
-    let totalVerifyTime = 0
-    let proofSize = 0
+async function runPolyDegreeSweep() {
+    log(
+        `🚀 Sweeping MAX_POLY_DEGREE ${SWEEP_DEGREES.join(
+            ", "
+        )} [Dry Run: ${isDryRun}] [Users: ${SWEEP_USER_COUNT}]`
+    )
+    SWEEP_DEGREES.forEach(polyHelper.assertValidDegree)
+
+    for (const file of [POLY_DEGREE_CSV_FILE, HYBRID_DEGREE_CSV_FILE]) {
+        initResultFile(
+            file,
+            `${RESULT_HEADER},max_poly_degree,batch_count,${MEMORY_HEADER}`
+        )
+    }
+
+    // Same members at every degree
+    let users = loadUsers()
+    users = [...users, ...generateNewUsers(users, SWEEP_USER_COUNT)]
+    saveUsers(users)
+    users = users.slice(0, SWEEP_USER_COUNT)
+    const roots = polyRootsOf(users)
+
+    log("Installing dependencies...")
+    execute("npm install", "./polynomial")
+
+    try {
+        for (const degree of SWEEP_DEGREES) {
+            log(`\n=== MAX_POLY_DEGREE: ${degree} ===`)
+            syncPolyCircuits(degree)
+
+            // hash-sharded: scale the default shard count with the degree
+            const options = {
+                ...POLY_STRATEGY_OPTIONS,
+                maxDegree: degree,
+                shardCount: shardsArg
+                    ? parseInt(shardsArg)
+                    : Math.ceil((2 * SWEEP_USER_COUNT) / degree),
+            }
+
+            POLY_BATCHES = []
+            POLY_ROOTS = []
+            POLY_USER_MAP = new Map()
+            const populationPoly = timePopulation(roots, (chunk) => {
+                const polyState = polyHelper.addSecretsToBatches(
+                    POLY_BATCHES,
+                    POLY_ROOTS,
+                    POLY_USER_MAP,
+                    chunk,
+                    options
+                )
+                POLY_BATCHES = polyState.batches
+                POLY_ROOTS = polyState.batchRoots
+                POLY_USER_MAP = polyState.userMap
+            })
+
+            const startHybrid = process.hrtime.bigint()
+            HYBRID_BATCH_TREE = polyHelper.createBatchTree(
+                null,
+                POLY_BATCHES,
+                degree
+            )
+            const populationHybrid = withBatchTreeUpdate(
+                populationPoly,
+                Number(process.hrtime.bigint() - startHybrid) / 1_000_000
+            )
+
+            const polyBinaryFile = "temp_poly_storage.bin"
+            const polyStorageSize = polyHelper.savePolySnapshot(
+                POLY_BATCHES,
+                POLY_ROOTS,
+                polyBinaryFile,
+                degree
+            )
+            const hybridTreeFile = "temp_hybrid_tree.csv"
+            fs.writeFileSync(
+                hybridTreeFile,
+                imtHelper.serializeIMTtoCSV(HYBRID_BATCH_TREE)
+            )
+            const hybridStorageSize =
+                polyStorageSize + getFileSize(hybridTreeFile)
+
+            const memoryPoly = measureMemory("Poly", "poly", roots, {
+                polyOptions: options,
+            })
+            const memoryHybrid = measureMemory("Hybrid", "hybrid", roots, {
+                polyOptions: options,
+            })
+
+            const sampleUsers = sampleMembers(users, SWEEP_USER_COUNT)
+            log(`Sampling ${sampleUsers.length} users for proofs...`)
+
+            const metricsPoly = await measureCircuit(
+                "Poly",
+                "./polynomial",
+                "b2b_membership",
+                sampleUsers,
+                polyInputs(options),
+                { abiArray: "polynomial" }
+            )
+            const metricsHybrid = await measureCircuit(
+                "Hybrid",
+                "./polynomial/hybrid",
+                "b2b_hybrid_membership",
+                sampleUsers,
+                hybridInputs(options),
+                { abiArray: "polynomial" }
+            )
+
+            appendResult(
+                POLY_DEGREE_CSV_FILE,
+                SWEEP_USER_COUNT,
+                metricsPoly,
+                metricsPoly.vkSize,
+                populationPoly.time,
+                polyStorageSize,
+                [degree, POLY_BATCHES.length],
+                memoryPoly
+            )
+            recordSamples(
+                POLY_DEGREE_CSV_FILE,
+                { user_count: SWEEP_USER_COUNT, max_poly_degree: degree },
+                metricsPoly,
+                populationPoly
+            )
+            appendResult(
+                HYBRID_DEGREE_CSV_FILE,
+                SWEEP_USER_COUNT,
+                metricsHybrid,
+                metricsHybrid.vkSize,
+                populationHybrid.time,
+                hybridStorageSize,
+                [degree, POLY_BATCHES.length],
+                memoryHybrid
+            )
+            recordSamples(
+                HYBRID_DEGREE_CSV_FILE,
+                { user_count: SWEEP_USER_COUNT, max_poly_degree: degree },
+                metricsHybrid,
+                populationHybrid
+            )
+
+            if (!isDryRun) {
+                try {
+                    fs.unlinkSync(polyBinaryFile)
+                } catch (e) {}
+                try {
+                    fs.unlinkSync(hybridTreeFile)
+                } catch (e) {}
+            }
+        }
+    } finally {
+        restoreCircuitDefaults()
+    }
+
+    log("🏁 Degree Sweep Complete!")
+}
+
+// sampleUsers are drawn from the whole population, so later shards are covered
+async function runForest(count, newSecrets, allSecrets, sampleUsers) {
+    log(`[Forest] Populating shards...`)
+    const populationForest = timePopulation(newSecrets, (chunk) => {
+        IMT_FOREST = imtHelper.createForestIMT(IMT_FOREST, chunk, IMT_DEPTH)
+    })
+    totalPopulationTimeForest += populationForest.time
+
+    const forestStorageFile = "temp_imt_forest.csv"
+    fs.writeFileSync(
+        forestStorageFile,
+        imtHelper.serializeForestToCSV(IMT_FOREST)
+    )
+    const forestStorageSize = getFileSize(forestStorageFile)
+    const memoryForest = measureMemory("Forest", "forest", allSecrets)
+
+    const metricsForest = await measureCircuit(
+        "Forest",
+        "./IMT/forest",
+        "b2b_forest_imt",
+        sampleUsers,
+        (user) =>
+            imtHelper.generateForestProverToml(
+                IMT_FOREST,
+                user.secret,
+                hashToField(VERIFIER_KEY)
+            )
+    )
+
+    appendResult(
+        FOREST_CSV_FILE,
+        count,
+        metricsForest,
+        metricsForest.vkSize,
+        totalPopulationTimeForest,
+        forestStorageSize,
+        [IMT_FOREST.shardCount],
+        memoryForest
+    )
+    recordSamples(
+        FOREST_CSV_FILE,
+        { user_count: count },
+        metricsForest,
+        populationForest
+    )
+
+    if (!isDryRun) {
+        try {
+            fs.unlinkSync(forestStorageFile)
+        } catch (e) {}
+    }
+}
+
+async function runNonMembership(count, newSecrets, allSecrets) {
+    // The sentinel takes one leaf, so a full tree cannot hold the list
+    if (count >= IMT_CAPACITY) {
+        log(
+            `[NonMembership] Skipping ${count} revoked users: exceeds depth ${IMT_DEPTH} capacity`
+        )
+        return
+    }
+
+    log(`[NonMembership] Populating revocation list...`)
+    const populationRevocation = timePopulation(newSecrets, (chunk) => {
+        IMT_REVOCATION = imtHelper.createIndexedIMT(
+            IMT_REVOCATION,
+            chunk,
+            IMT_DEPTH
+        )
+    })
+    totalPopulationTimeRevocation += populationRevocation.time
+
+    const revocationStorageFile = "temp_imt_revocation.csv"
+    fs.writeFileSync(
+        revocationStorageFile,
+        imtHelper.serializeIndexedIMTtoCSV(IMT_REVOCATION)
+    )
+    const revocationStorageSize = getFileSize(revocationStorageFile)
+    const memoryRevocation = measureMemory(
+        "NonMembership",
+        "revocation",
+        allSecrets
+    )
+
+    // Fresh users who are not on the list
+    const sampleUsers = []
+    for (let i = 0; i < SAMPLE_SIZE; i++) {
+        const email = `non_member_${count}_${i}_${Date.now()}@test.com`
+        const salt = crypto.randomBytes(8).toString("hex")
+        sampleUsers.push({ index: i, secret: hashToField(email + salt) })
+    }
+
+    const metricsRevocation = await measureCircuit(
+        "NonMembership",
+        "./IMT/non_membership",
+        "b2b_non_membership_imt",
+        sampleUsers,
+        (user) =>
+            imtHelper.generateNonMembershipProverToml(
+                IMT_REVOCATION,
+                user.secret,
+                hashToField(VERIFIER_KEY)
+            )
+    )
+
+    appendResult(
+        NON_MEMBERSHIP_CSV_FILE,
+        count,
+        metricsRevocation,
+        metricsRevocation.vkSize,
+        totalPopulationTimeRevocation,
+        revocationStorageSize,
+        [],
+        memoryRevocation
+    )
+    recordSamples(
+        NON_MEMBERSHIP_CSV_FILE,
+        { user_count: count },
+        metricsRevocation,
+        populationRevocation
+    )
+
+    if (!isDryRun) {
+        try {
+            fs.unlinkSync(revocationStorageFile)
+        } catch (e) {}
+    }
+}
+
+/**
+ * Proves and verifies a circuit for each sampled user with the selected backend
+ * @param {{ abiArray?: string }} options - Array input whose length in each
+ *   Prover.toml is checked against the compiled ABI before proving
+ */
+async function measureCircuit(
+    name,
+    cwd,
+    circuitName,
+    sampleUsers,
+    inputGenFn,
+    options = {}
+) {
+    const circuitDir = path.join(cwd, "circuit")
+    const samples = {
+        witness_time_ms: [],
+        proof_time_ms: [],
+        verify_time_ms: [],
+        proof_size_bytes: [],
+    }
+    let vkSize = 0
 
     // Compile once per count (assumes circuit doesn't change based on number of users, which is true for these fixed-depth/fixed-batch circuits)
-    log(`[${name}] Compiling circuit...`)
-    execute("nargo compile", path.join(cwd, "circuit"))
+    log(`[${name}] Compiling circuit (${BACKEND.name})...`)
+    BACKEND.compile(circuitDir, circuitName)
 
-    for (const user of sampleUsers) {
+    const proveUser = async (user) => {
         // Generate Input
         const inputs = inputGenFn(user)
         fs.writeFileSync(
-            path.join(cwd, "circuit/Prover.toml"),
+            path.join(circuitDir, "Prover.toml"),
             inputs.proverToml
         )
+        if (options.abiArray) {
+            polyHelper.assertProverTomlMatchesAbi(
+                inputs.proverToml,
+                path.join(circuitDir, `target/${circuitName}.json`),
+                options.abiArray
+            )
+        }
 
         // Generate Witness
-        execute("nargo execute", path.join(cwd, "circuit"))
+        const witnessTime = timeMs(() =>
+            BACKEND.witness(circuitDir, circuitName)
+        )
 
         // Generate VK (needed once, but doing loop for simplicity as it's fast)
-        execute(
-            `bb write_vk -b ./target/${circuitName}.json -o ./target --oracle_hash keccak`,
-            path.join(cwd, "circuit")
-        )
+        BACKEND.writeVk(circuitDir, circuitName)
 
-        // Prove
         const t0 = process.hrtime.bigint()
-        execute(
-            `bb prove -b ./target/${circuitName}.json -w ./target/${circuitName}.gz -o ./target --oracle_hash keccak`,
-            path.join(cwd, "circuit")
-        )
-        const t1 = process.hrtime.bigint()
-        totalProofTime += Number(t1 - t0) / 1_000_000
+        const { peakRssBytes } = await BACKEND.prove(circuitDir, circuitName)
+        const proofTime = Number(process.hrtime.bigint() - t0) / 1_000_000
+        const verifyTime = timeMs(() => BACKEND.verify(circuitDir, circuitName))
+        return { witnessTime, proofTime, verifyTime, peakRssBytes }
+    }
 
-        // Verify
-        const v0 = process.hrtime.bigint()
-        execute(
-            `bb verify -k ./target/vk -p ./target/proof --oracle_hash keccak`,
-            path.join(cwd, "circuit")
-        )
-        const v1 = process.hrtime.bigint()
-        totalVerifyTime += Number(v1 - v0) / 1_000_000
+    for (let i = 0; i < WARMUP_RUNS && sampleUsers.length > 0; i++) {
+        await proveUser(sampleUsers[i % sampleUsers.length])
+    }
 
-        // Capture size
-        proofSize = getFileSize(path.join(cwd, "circuit/target/proof"))
+    const peakRss = []
+    for (const user of sampleUsers) {
+        const run = await proveUser(user)
+        const sizes = BACKEND.artifactSizes(circuitDir)
+        samples.witness_time_ms.push(run.witnessTime)
+        samples.proof_time_ms.push(run.proofTime)
+        samples.verify_time_ms.push(run.verifyTime)
+        samples.proof_size_bytes.push(sizes.proofSize)
+        if (run.peakRssBytes !== null) peakRss.push(run.peakRssBytes)
+        vkSize = sizes.vkSize
     }
+    // Only backends with a prover process report its memory
+    if (peakRss.length > 0) samples.prove_peak_rss_bytes = peakRss
 
+    const mean = (values) =>
+        values.reduce((sum, x) => sum + x, 0) / values.length
     return {
-        proofTime: totalProofTime / sampleUsers.length,
-        verifyTime: totalVerifyTime / sampleUsers.length,
-        proofSize: proofSize,
+        proofTime: mean(samples.proof_time_ms),
+        verifyTime: mean(samples.verify_time_ms),
+        witnessTime: mean(samples.witness_time_ms),
+        proofSize: Math.max(0, ...samples.proof_size_bytes),
+        provePeakRss: peakRss.length > 0 ? Math.max(...peakRss) : null,
+        vkSize,
+        samples,
     }
 }
 
-function appendResult(file, count, metrics, vkSize, totalPopTime, storageSize) {
-    const line = `${count},${metrics.proofSize},${metrics.proofTime.toFixed(
-        2
-    )},${vkSize},${metrics.verifyTime.toFixed(2)},${totalPopTime.toFixed(2)},${(
-        totalPopTime / count
-    ).toFixed(4)},${storageSize}`
-    fs.appendFileSync(file, line + "\n")
-    log(`Recorded result for ${count} users in ${file}`)
+function appendResult(
+    file,
+    count,
+    metrics,
+    vkSize,
+    totalPopTime,
+    storageSize,
+    extraColumns = [],
+    memory = null
+) {
+    const line = [
+        `${count},${metrics.proofSize},${metrics.proofTime.toFixed(
+            2
+        )},${vkSize},${metrics.verifyTime.toFixed(2)},${totalPopTime.toFixed(
+            2
+        )},${(totalPopTime / count).toFixed(4)},${storageSize}`,
+        ...extraColumns,
+        ...memoryColumns(memory, metrics.provePeakRss),
+    ].join(",")
+    writeResults(() => {
+        fs.appendFileSync(file, line + "\n")
+        log(`Recorded result for ${count} users in ${file}`)
+    })
+}
+
+/**
+ * Writes the spread of every per-sample metric next to a result file:
+ * <file>_stats.csv (min/median/p95/stddev/95% CI), and the raw values in
+ * <file>_samples.csv and <file>_samples.json
+ * @param {Object} key - Leading columns identifying the run, e.g. { user_count }
+ * @param {{ samples: Object<string, number[]> }} metrics - From measureCircuit
+ * @param {{ samples: number[] }} population - From timePopulation
+ */
+function recordSamples(file, key, metrics, population) {
+    const samples = {
+        ...metrics.samples,
+        population_time_ms_per_member: population.samples,
+    }
+    const keyColumns = Object.keys(key)
+    const keyValues = Object.values(key).join(",")
+    const statsFile = file.replace(/\.csv$/, "_stats.csv")
+    const samplesFile = file.replace(/\.csv$/, "_samples.csv")
+    const jsonFile = file.replace(/\.csv$/, "_samples.json")
+
+    writeResults(() => {
+        initResultFile(
+            statsFile,
+            [...keyColumns, "metric", ...STAT_COLUMNS].join(",")
+        )
+        initResultFile(
+            samplesFile,
+            [...keyColumns, "metric", "sample", "value"].join(",")
+        )
+
+        const summaries = {}
+        for (const [metric, values] of Object.entries(samples)) {
+            summaries[metric] = summarize(values)
+            fs.appendFileSync(
+                statsFile,
+                `${keyValues},${metric},${formatSummary(summaries[metric])}\n`
+            )
+            fs.appendFileSync(
+                samplesFile,
+                values
+                    .map((v, i) => `${keyValues},${metric},${i},${v}\n`)
+                    .join("")
+            )
+        }
+
+        const runs = fs.existsSync(jsonFile)
+            ? JSON.parse(fs.readFileSync(jsonFile, "utf-8"))
+            : []
+        runs.push({
+            ...key,
+            backend: BACKEND_NAME,
+            warmup_runs: WARMUP_RUNS,
+            samples,
+            summary: summaries,
+        })
+        fs.writeFileSync(jsonFile, JSON.stringify(runs, null, 2))
+    })
 }
 
 // Start
-try {
-    runBenchmark()
-} catch (e) {
+function fail(e) {
     console.error("CRITICAL ERROR:", e)
     process.exit(1)
 }
+
+if (isPolyConstruction) {
+    try {
+        runPolyConstructionBenchmark()
+    } catch (e) {
+        fail(e)
+    }
+} else if (isDegreeSweep) {
+    runPolyDegreeSweep().catch(fail)
+} else {
+    runBenchmark().catch(fail)
+}
@@ -0,0 +1,109 @@
+// benchmark_stats.js
+// Summary statistics for benchmark samples: spread, percentiles and a 95%
+// confidence interval of the mean
+
+// Two-sided 95% Student's t critical values by degrees of freedom. Between
+// entries the next lower df is used, which widens the interval slightly.
+const T_CRITICAL_95 = [
+    [1, 12.706],
+    [2, 4.303],
+    [3, 3.182],
+    [4, 2.776],
+    [5, 2.571],
+    [6, 2.447],
+    [7, 2.365],
+    [8, 2.306],
+    [9, 2.262],
+    [10, 2.228],
+    [12, 2.179],
+    [15, 2.131],
+    [20, 2.086],
+    [25, 2.06],
+    [30, 2.042],
+    [40, 2.021],
+    [60, 2.0],
+    [120, 1.98],
+    [Infinity, 1.96],
+]
+
+const STAT_COLUMNS = [
+    "samples",
+    "mean",
+    "min",
+    "median",
+    "p95",
+    "stddev",
+    "ci95_low",
+    "ci95_high",
+]
+
+function tCritical95(df) {
+    let value = T_CRITICAL_95[0][1]
+    for (const [entryDf, t] of T_CRITICAL_95) {
+        if (entryDf > df) break
+        value = t
+    }
+    return value
+}
+
+/**
+ * Percentile by linear interpolation between the closest ranks
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} p - Between 0 and 1
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN
+    const rank = (sorted.length - 1) * p
+    const lower = Math.floor(rank)
+    const upper = Math.ceil(rank)
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * @param {number[]} samples
+ * @returns {{ samples: number, mean: number, min: number, median: number, p95: number, stddev: number, ci95_low: number, ci95_high: number }}
+ *   stddev is the sample standard deviation; with fewer than two samples it
+ *   and the interval are NaN
+ */
+function summarize(samples) {
+    const n = samples.length
+    const sorted = [...samples].sort((a, b) => a - b)
+    const mean = n > 0 ? samples.reduce((sum, x) => sum + x, 0) / n : NaN
+    const stddev =
+        n > 1
+            ? Math.sqrt(
+                  samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1)
+              )
+            : NaN
+    const halfWidth = (tCritical95(n - 1) * stddev) / Math.sqrt(n)
+
+    return {
+        samples: n,
+        mean,
+        min: sorted[0] ?? NaN,
+        median: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        stddev,
+        ci95_low: mean - halfWidth,
+        ci95_high: mean + halfWidth,
+    }
+}
+
+/**
+ * One CSV row of a summary in STAT_COLUMNS order; NaN is left empty
+ */
+function formatSummary(summary, digits = 4) {
+    return STAT_COLUMNS.map((column) => {
+        const value = summary[column]
+        if (Number.isNaN(value)) return ""
+        return column === "samples" ? String(value) : value.toFixed(digits)
+    }).join(",")
+}
+
+module.exports = {
+    STAT_COLUMNS,
+    tCritical95,
+    percentile,
+    summarize,
+    formatSummary,
+}
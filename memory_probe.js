@@ -0,0 +1,145 @@
+// memory_probe.js
+// In-memory cost of each scheme's structure. Each structure is built in a
+// fresh Node process so its heap and RSS are not mixed with the benchmark's
+// other structures.
+
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+
+const PROBE_INPUT_FILE = path.join(__dirname, "temp_memory_input.txt")
+
+const MEMORY_HEADER =
+    "heap_used_bytes,rss_bytes,retained_bytes,prove_peak_rss_bytes"
+
+/**
+ * Builds one scheme's structure from its members, as benchmark.js populates
+ * it. Members arrive as decimal strings and are parsed here, so their
+ * bigints count towards the structure when it keeps them.
+ */
+const STRUCTURE_BUILDERS = {
+    imt(members, { depth }) {
+        const imtHelper = require("./IMT/utils/benchmark_imt_helper")
+        return imtHelper.createIncrementalIMT(null, members.map(BigInt), depth)
+    },
+    forest(members, { depth }) {
+        const imtHelper = require("./IMT/utils/benchmark_imt_helper")
+        return imtHelper.createForestIMT(null, members.map(BigInt), depth)
+    },
+    revocation(members, { depth }) {
+        const imtHelper = require("./IMT/utils/benchmark_imt_helper")
+        return imtHelper.createIndexedIMT(null, members.map(BigInt), depth)
+    },
+    poly(members, { polyOptions }) {
+        const polyHelper = require("./polynomial/utils/benchmark_poly_helper")
+        return polyHelper.addSecretsToBatches(
+            [],
+            [],
+            new Map(),
+            members.map(BigInt),
+            polyOptions
+        )
+    },
+    hybrid(members, options) {
+        const polyHelper = require("./polynomial/utils/benchmark_poly_helper")
+        const polyState = STRUCTURE_BUILDERS.poly(members, options)
+        const batchTree = polyHelper.createBatchTree(
+            null,
+            polyState.batches,
+            options.polyOptions?.maxDegree
+        )
+        return { polyState, batchTree }
+    },
+}
+
+/**
+ * Measures a structure in a child process
+ * @param {string} scheme - A key of STRUCTURE_BUILDERS
+ * @param {bigint[]} members - Secrets (or polynomial roots) it holds
+ * @param {{ depth?: number, polyOptions?: Object }} options - Passed to the builder
+ * @returns {{ heapUsed: number, rss: number, retained: number }} Heap used and
+ *   RSS of the child after building, and the heap (plus external memory) the
+ *   structure keeps alive after garbage collection
+ */
+function probeStructureMemory(scheme, members, options = {}) {
+    if (!STRUCTURE_BUILDERS[scheme]) {
+        throw new Error(`Unknown structure for memory probe: ${scheme}`)
+    }
+    fs.writeFileSync(PROBE_INPUT_FILE, members.join("\n"))
+    try {
+        const result = spawnSync(
+            process.execPath,
+            [
+                "--expose-gc",
+                __filename,
+                scheme,
+                PROBE_INPUT_FILE,
+                JSON.stringify(options),
+            ],
+            { cwd: __dirname, encoding: "utf-8" }
+        )
+        if (result.status !== 0) {
+            throw new Error(
+                `Memory probe failed for ${scheme}\nStderr: ${result.stderr}`
+            )
+        }
+        return JSON.parse(result.stdout)
+    } finally {
+        try {
+            fs.unlinkSync(PROBE_INPUT_FILE)
+        } catch (e) {}
+    }
+}
+
+/**
+ * CSV columns for MEMORY_HEADER; values that were not measured are empty
+ * @param {{ heapUsed: number, rss: number, retained: number } | null} memory
+ * @param {number | null} provePeakRss - Peak RSS of the prover process
+ */
+function memoryColumns(memory, provePeakRss) {
+    return [
+        memory ? memory.heapUsed : "",
+        memory ? memory.rss : "",
+        memory ? memory.retained : "",
+        provePeakRss ?? "",
+    ]
+}
+
+// Child side of probeStructureMemory: node --expose-gc memory_probe.js <scheme> <input> <options>
+if (require.main === module) {
+    const [scheme, inputFile, optionsJson] = process.argv.slice(2)
+    const options = JSON.parse(optionsJson || "{}")
+    const content = fs.readFileSync(inputFile, "utf-8")
+    const members = content.length > 0 ? content.split("\n") : []
+
+    // Build a one-member structure first, so the helpers' modules and lazy
+    // caches (Poseidon2 constants, zero hashes) are in the baseline
+    STRUCTURE_BUILDERS[scheme](["1"], options)
+    global.gc()
+    global.gc()
+    const before = process.memoryUsage()
+
+    // Still referenced here, so the collection below keeps it
+    const structure = STRUCTURE_BUILDERS[scheme](members, options)
+    global.gc()
+    global.gc()
+    const after = process.memoryUsage()
+
+    process.stdout.write(
+        JSON.stringify({
+            heapUsed: after.heapUsed,
+            rss: after.rss,
+            retained:
+                after.heapUsed +
+                after.external -
+                (before.heapUsed + before.external),
+        })
+    )
+}
+
+module.exports = {
+    MEMORY_HEADER,
+    STRUCTURE_BUILDERS,
+    probeStructureMemory,
+    memoryColumns,
+}
@@ -0,0 +1,221 @@
+// polynomial/utils/batch_strategies.js
+// Batch-assignment strategies for addSecretsToBatches
+const { realPoseidon2Hash } = require("./test_data_generator")
+
+/**
+ * A strategy is a factory (batchRoots, options) -> allocator, built once per
+ * addSecretsToBatches call from the current batch loads. The allocator's
+ * assign(secret) returns the batch for a new secret (batchRoots.length opens
+ * a new batch) and counts the secret as added there.
+ *
+ * Options: maxDegree (roots per batch), shardCount (hash-sharded),
+ * targetLoad (balanced).
+ */
+
+/**
+ * Binary min-heap over batch indices, ordered by a less(a, b) comparator
+ */
+class MinHeap {
+    constructor(less) {
+        this.less = less
+        this.items = []
+    }
+
+    get size() {
+        return this.items.length
+    }
+
+    peek() {
+        return this.items[0]
+    }
+
+    push(item) {
+        const items = this.items
+        items.push(item)
+        let i = items.length - 1
+        while (i > 0) {
+            const parent = (i - 1) >> 1
+            if (!this.less(items[i], items[parent])) break
+            ;[items[i], items[parent]] = [items[parent], items[i]]
+            i = parent
+        }
+    }
+
+    pop() {
+        const items = this.items
+        const top = items[0]
+        const last = items.pop()
+        if (items.length > 0) {
+            items[0] = last
+            let i = 0
+            for (;;) {
+                const left = 2 * i + 1
+                const right = left + 1
+                let smallest = i
+                if (
+                    left < items.length &&
+                    this.less(items[left], items[smallest])
+                )
+                    smallest = left
+                if (
+                    right < items.length &&
+                    this.less(items[right], items[smallest])
+                )
+                    smallest = right
+                if (smallest === i) break
+                ;[items[i], items[smallest]] = [items[smallest], items[i]]
+                i = smallest
+            }
+        }
+        return top
+    }
+}
+
+/**
+ * Fill-first: a free list (min-heap) of batches with spare capacity. The
+ * lowest-index batch with space is filled first, as the original linear scan
+ * did, in O(log batches) per insert. Freed slots are refilled first.
+ */
+function fillFirstStrategy(batchRoots, { maxDegree }) {
+    const loads = batchRoots.map((roots) => roots.length)
+    const open = new MinHeap((a, b) => a < b)
+    loads.forEach((load, i) => {
+        if (load < maxDegree) open.push(i)
+    })
+
+    return {
+        assign() {
+            if (open.size === 0) {
+                loads.push(0)
+                open.push(loads.length - 1)
+            }
+            const batchIdx = open.peek()
+            if (++loads[batchIdx] === maxDegree) open.pop()
+            return batchIdx
+        },
+    }
+}
+
+/**
+ * Hash-sharded: batch = poseidon2([secret]) mod shardCount, probing to the
+ * next batch when that one is full. The batch can be recomputed from the
+ * secret (see locateBatch), so no user -> batch map is stored.
+ */
+function hashShardedStrategy(batchRoots, { maxDegree, shardCount }) {
+    if (!Number.isInteger(shardCount) || shardCount < 1) {
+        throw new Error(
+            `hash-sharded needs a positive shardCount: ${shardCount}`
+        )
+    }
+    const loads = batchRoots.map((roots) => roots.length)
+
+    return {
+        assign(secret) {
+            const home = homeShard(secret, shardCount)
+            for (let probe = 0; probe < shardCount; probe++) {
+                const batchIdx = (home + probe) % shardCount
+                while (loads.length <= batchIdx) loads.push(0)
+                if (loads[batchIdx] < maxDegree) {
+                    loads[batchIdx]++
+                    return batchIdx
+                }
+            }
+            throw new Error(
+                `All ${shardCount} shards are full: increase shardCount`
+            )
+        },
+    }
+}
+
+/**
+ * Balanced: every secret goes to the least-loaded batch. A new batch opens
+ * once the average load would pass targetLoad, so all batches keep spare
+ * capacity and stay at similar degrees.
+ */
+function balancedStrategy(
+    batchRoots,
+    { maxDegree, targetLoad = Math.floor((maxDegree * 3) / 4) }
+) {
+    const loads = batchRoots.map((roots) => roots.length)
+    let members = loads.reduce((sum, load) => sum + load, 0)
+    const byLoad = new MinHeap((a, b) =>
+        loads[a] === loads[b] ? a < b : loads[a] < loads[b]
+    )
+    loads.forEach((_, i) => byLoad.push(i))
+
+    return {
+        assign() {
+            const full = byLoad.size === 0 || loads[byLoad.peek()] >= maxDegree
+            if (full || members + 1 > loads.length * targetLoad) {
+                loads.push(0)
+                byLoad.push(loads.length - 1)
+            }
+
+            const batchIdx = byLoad.pop()
+            loads[batchIdx]++
+            members++
+            byLoad.push(batchIdx)
+            return batchIdx
+        },
+    }
+}
+
+const BATCH_STRATEGIES = {
+    "fill-first": fillFirstStrategy,
+    "hash-sharded": hashShardedStrategy,
+    balanced: balancedStrategy,
+}
+
+/**
+ * Whether a strategy needs the user -> batch map to find a member's batch
+ */
+function usesUserMap(strategy) {
+    return strategy !== "hash-sharded"
+}
+
+/**
+ * Builds the allocator for a strategy name
+ */
+function createBatchAllocator(strategy, batchRoots, options) {
+    const factory = BATCH_STRATEGIES[strategy]
+    if (!factory) {
+        throw new Error(
+            `Unknown batch strategy: ${strategy} (expected ${Object.keys(
+                BATCH_STRATEGIES
+            ).join(", ")})`
+        )
+    }
+    return factory(batchRoots, options)
+}
+
+/**
+ * Index of the batch a secret hashes to before probing
+ */
+function homeShard(secret, shardCount) {
+    return Number(realPoseidon2Hash([secret]) % BigInt(shardCount))
+}
+
+/**
+ * Finds the batch holding a secret
+ * @returns {number | undefined} - The batch index, or undefined if not a member
+ */
+function locateBatch(secret, batchRoots, userMap, options = {}) {
+    const { strategy = "fill-first", shardCount } = options
+    if (usesUserMap(strategy)) {
+        return userMap.get(secret.toString())
+    }
+
+    const home = homeShard(secret, shardCount)
+    for (let probe = 0; probe < shardCount; probe++) {
+        const batchIdx = (home + probe) % shardCount
+        if (batchRoots[batchIdx]?.includes(secret)) return batchIdx
+    }
+    return undefined
+}
+
+module.exports = {
+    BATCH_STRATEGIES,
+    createBatchAllocator,
+    usesUserMap,
+    locateBatch,
+}
@@ -1,8 +1,38 @@
 // polynomial/utils/benchmark_poly_helper.js
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
 const {
     realPoseidon2Hash,
     FIELD_PRIME,
+    interpolatePolynomial,
+    buildPolynomialFromRoots,
+    evaluatePolynomial,
+    checkMembers,
+    blindRoot,
 } = require("./test_data_generator")
+const {
+    BATCH_TREE_DEPTH,
+    syncBatchTree,
+    buildHybridInputs,
+    formatHybridToml,
+} = require("./hybrid_data_generator")
+const {
+    BATCH_STRATEGIES,
+    createBatchAllocator,
+    usesUserMap,
+    locateBatch,
+} = require("./batch_strategies")
+const {
+    MAX_POLY_DEGREE,
+    DEGREE_SWEEP,
+    POLY_MAIN_PATH,
+    HYBRID_MAIN_PATH,
+    assertValidDegree,
+    syncCircuitDegree,
+    syncCircuitBlinded,
+    assertProverTomlMatchesAbi,
+} = require("./poly_config")
 
 // Helper to keep numbers in the field
 const mod = (x, f = FIELD_PRIME) => {
@@ -34,66 +64,293 @@ function addRoot(oldPoly, newRoot) {
     return newPoly
 }
 
-// Global constant matching circuit
-const MAX_POLY_DEGREE = 128
+/**
+ * Removes a root from a polynomial by synthetic division by (x - root).
+ * @param {bigint[]} oldPoly - Coefficients of P(x) from x^0 to x^n
+ * @param {bigint} rootToRemove - The root to remove
+ * @returns {bigint[] | null} - Coefficients of P(x) / (x - root), or null if it is not a root
+ */
+function removeRoot(oldPoly, rootToRemove) {
+    const n = oldPoly.length - 1
+    if (n <= 0) throw new Error("Polynomial degree too low")
+
+    const newPoly = new Array(n).fill(0n)
+
+    let carry = 0n
+    for (let i = n; i >= 0; i--) {
+        const coeff = mod(oldPoly[i] + carry)
+        if (i > 0) {
+            newPoly[i - 1] = coeff
+            carry = mod(coeff * rootToRemove)
+        } else if (coeff !== 0n) {
+            // Non-zero remainder: not a root
+            return null
+        }
+    }
+
+    return newPoly
+}
+
+// Binary snapshot layout (all integers big-endian):
+//   0..3   magic "POLB"
+//   4      format version
+//   5      reserved (0)
+//   6..7   max polynomial degree
+//   8..11  batch count
+//   then per batch:
+//          coefficient count (4 bytes), root count (4 bytes),
+//          Poseidon2 polynomial hash (32 bytes, the circuit's polynomial_hash),
+//          coefficients lowest degree first, then roots (32 bytes each)
+const BINARY_MAGIC = "POLB"
+const BINARY_VERSION = 1
+const BINARY_HEADER_SIZE = 12
+const BATCH_HEADER_SIZE = 8
+const FIELD_ELEMENT_SIZE = 32
 
 /**
  * Adds new secrets to existing batches or creates new batches.
  * @param {Array<bigint[]>} batches - Array of polynomial coefficient arrays [batch1, batch2...]
  * @param {Array<bigint[]>} batchRoots - Array of roots for each batch (to allow adding more)
+ * @param {Map<string, number>} userMap - secret (string) -> batch index
  * @param {bigint[]} newSecrets - New secrets to add
+ * @param {object} options - { strategy, shardCount, targetLoad, maxDegree, allowDuplicates }:
+ *   the batch assignment strategy (see batch_strategies.js, default
+ *   "fill-first") and its settings. hash-sharded leaves userMap untouched.
  * @returns {object} { batches, batchRoots, userMap } - Updated state and user->batch map
+ * @throws if a secret is already a member or repeats in newSecrets, unless
+ *   allowDuplicates (nothing is added in that case)
  */
 function addSecretsToBatches(
     batches = [],
     batchRoots = [],
     userMap = new Map(),
-    newSecrets
+    newSecrets,
+    options = {}
 ) {
+    const {
+        strategy = "fill-first",
+        allowDuplicates = false,
+        ...strategyOptions
+    } = options
+
+    // A repeated secret would be a double root, or a root of two batches
+    if (!allowDuplicates) {
+        // hash-sharded keeps no map, and probing every shard for each new
+        // secret would make population quadratic: collect the roots once
+        const members = usesUserMap(strategy)
+            ? null
+            : new Set(batchRoots.flat())
+        const seen = new Set()
+        for (const secret of newSecrets) {
+            const key = secret.toString()
+            if (members ? members.has(secret) : userMap.has(key)) {
+                const batchIdx = locateBatch(
+                    secret,
+                    batchRoots,
+                    userMap,
+                    options
+                )
+                throw new Error(
+                    `Already a member: ${key} is in batch ${batchIdx}`
+                )
+            }
+            if (seen.has(key)) {
+                throw new Error(
+                    `Already a member: ${key} appears twice in newSecrets`
+                )
+            }
+            seen.add(key)
+        }
+    }
+
     // Deep copy to avoid mutating inputs directly if passed by reference
     const currentBatches = [...batches]
     const currentRoots = batchRoots.map((r) => [...r])
-    // userMap maps secret (string) -> { batchIndex, localIndex }
+    const allocator = createBatchAllocator(strategy, currentRoots, {
+        maxDegree: MAX_POLY_DEGREE,
+        ...strategyOptions,
+    })
+    const trackUsers = usesUserMap(strategy)
 
     for (const secret of newSecrets) {
-        let inserted = false
+        const batchIdx = allocator.assign(secret)
 
-        // Try to fit in existing batch
-        for (let i = 0; i < currentRoots.length; i++) {
-            if (currentRoots[i].length < MAX_POLY_DEGREE) {
-                currentRoots[i].push(secret)
+        // Open empty batches up to the assigned one: P(x) = 1 (no roots)
+        while (currentRoots.length <= batchIdx) {
+            currentRoots.push([])
+            currentBatches.push([1n])
+        }
 
-                // Efficiently update the polynomial by adding one root
-                currentBatches[i] = addRoot(currentBatches[i], secret)
+        currentRoots[batchIdx].push(secret)
 
-                userMap.set(secret.toString(), i) // Track which batch this user belongs to
-                inserted = true
-                break
-            }
+        // Efficiently update the polynomial by adding one root
+        currentBatches[batchIdx] = addRoot(currentBatches[batchIdx], secret)
+
+        // Track which batch this user belongs to (hash-sharded recomputes it)
+        if (trackUsers) userMap.set(secret.toString(), batchIdx)
+    }
+
+    return {
+        batches: currentBatches,
+        batchRoots: currentRoots,
+        userMap,
+    }
+}
+
+/**
+ * Finds a batch holding a secret: its user map entry (or hash shard), else
+ * the first batch with it as a root, which covers copies added with
+ * allowDuplicates whose map entry is gone
+ * @returns {number | undefined} - The batch index, or undefined if not a member
+ */
+function findBatch(secret, batchRoots, userMap, options = {}) {
+    const batchIdx = locateBatch(secret, batchRoots, userMap, options)
+    if (batchIdx !== undefined) return batchIdx
+
+    const found = batchRoots.findIndex((roots) => roots.includes(secret))
+    return found === -1 ? undefined : found
+}
+
+// Batch index of every copy of each root, keyed by the root as a string
+function indexCopies(batchRoots) {
+    const copies = new Map()
+    batchRoots.forEach((roots, batchIdx) => {
+        for (const root of roots) {
+            const key = root.toString()
+            if (!copies.has(key)) copies.set(key, [])
+            copies.get(key).push(batchIdx)
         }
+    })
+    return copies
+}
 
-        // If no space, create new batch
-        if (!inserted) {
-            const newBatchRoots = [secret]
+/**
+ * Removes (revokes) secrets from their batches.
+ * Each batch polynomial is divided by (x - secret), its root list and the
+ * user map are updated, and the freed capacity is reused by the next
+ * addSecretsToBatches call. The inputs are not modified.
+ * @param {Array<bigint[]>} batches - Array of polynomial coefficient arrays
+ * @param {Array<bigint[]>} batchRoots - Array of roots for each batch
+ * @param {Map<string, number>} userMap - secret (string) -> batch index
+ * @param {bigint[]} secrets - Secrets to remove
+ * @param {object} options - { strategy, shardCount, maxDegree, allowDuplicates },
+ *   as passed to addSecretsToBatches. Each listed secret removes one copy, so
+ *   a secret added twice with allowDuplicates can be listed twice.
+ * @returns {object} { batches, batchRoots, userMap, changedBatches } where
+ *   userMap is an updated copy and changedBatches lists
+ *   { batchIndex, polynomialHash } for every batch whose commitment must be
+ *   rotated
+ * @throws if a secret is not in any batch, or is listed more often than it
+ *   is a member (nothing is removed in either case)
+ */
+function removeSecretsFromBatches(
+    batches = [],
+    batchRoots = [],
+    userMap = new Map(),
+    secrets,
+    options = {}
+) {
+    // Copies of each secret to remove
+    const requested = new Map()
+    for (const secret of secrets) {
+        const key = secret.toString()
+        const entry = requested.get(key) ?? { secret, count: 0 }
+        entry.count++
+        requested.set(key, entry)
+    }
 
-            // Start with polynomial P(x) = 1 (empty roots)
-            // Then add the first root
-            let newBatchPoly = [1n]
-            newBatchPoly = addRoot(newBatchPoly, secret)
+    // Check every secret before changing anything. Only allowDuplicates can
+    // leave more than one copy, possibly in different batches.
+    const copiesOf = options.allowDuplicates ? indexCopies(batchRoots) : null
+    const removals = []
+    for (const [key, { secret, count }] of requested) {
+        let copies
+        if (copiesOf) {
+            copies = copiesOf.get(key) ?? []
+        } else {
+            const batchIdx = findBatch(secret, batchRoots, userMap, options)
+            copies = batchIdx === undefined ? [] : [batchIdx]
+        }
+        if (copies.length === 0) {
+            throw new Error(`Unknown secret: ${key} is not in any batch`)
+        }
+        if (count > copies.length) {
+            throw new Error(
+                `Duplicate secret in removal list: ${key} is listed ${count} times but is a member ${copies.length} time(s)`
+            )
+        }
+        removals.push({
+            key,
+            secret,
+            from: copies.slice(0, count),
+            remaining: copies.slice(count),
+        })
+    }
+
+    // Work on copies, so a failure below leaves the inputs untouched
+    const currentBatches = [...batches]
+    const currentRoots = batchRoots.map((r) => [...r])
+    const currentMap = new Map(userMap)
+    const trackUsers = usesUserMap(options.strategy ?? "fill-first")
+    const changed = new Set()
+
+    for (const { key, secret, from, remaining } of removals) {
+        for (const batchIdx of from) {
+            const reduced = removeRoot(currentBatches[batchIdx], secret)
+            if (reduced === null) {
+                throw new Error(
+                    `Batch ${batchIdx} polynomial does not have ${secret} as a root`
+                )
+            }
+
+            currentBatches[batchIdx] = reduced
+            const roots = currentRoots[batchIdx]
+            roots.splice(roots.indexOf(secret), 1)
+            changed.add(batchIdx)
+        }
 
-            currentRoots.push(newBatchRoots)
-            currentBatches.push(newBatchPoly)
-            userMap.set(secret.toString(), currentRoots.length - 1)
+        // The map points at a remaining copy until the last one goes
+        if (remaining.length === 0) {
+            currentMap.delete(key)
+        } else if (trackUsers) {
+            currentMap.set(key, remaining[0])
         }
     }
 
+    const changedBatches = [...changed]
+        .sort((a, b) => a - b)
+        .map((batchIndex) => ({
+            batchIndex,
+            polynomialHash: computeBatchHash(
+                currentBatches[batchIndex],
+                options.maxDegree
+            ),
+        }))
+
     return {
         batches: currentBatches,
         batchRoots: currentRoots,
-        userMap,
+        userMap: currentMap,
+        changedBatches,
     }
 }
 
+/**
+ * Pads a batch polynomial to maxDegree + 1 coefficients (circuit input size)
+ */
+function padPolynomial(batchPoly, maxDegree = MAX_POLY_DEGREE) {
+    const paddedPoly = [...batchPoly]
+    while (paddedPoly.length <= maxDegree) paddedPoly.push(0n)
+    return paddedPoly
+}
+
+/**
+ * Computes the polynomial_hash the circuit checks for a batch
+ */
+function computeBatchHash(batchPoly, maxDegree = MAX_POLY_DEGREE) {
+    return realPoseidon2Hash(padPolynomial(batchPoly, maxDegree))
+}
+
 /**
  * Serializes all polynomial batches to CSV.
  * Format: batch_index,coeff_index,value
@@ -125,13 +382,285 @@ function serializeUserBatchMapToCSV(userMap) {
     return lines.join("\n")
 }
 
+/**
+ * Checks every batch: degree within maxDegree, coefficients and roots in the
+ * field and each of its roots a zero of the polynomial. Throws on the first
+ * failure. A root stored as r + p would evaluate like r, so it is rejected
+ * before evaluation.
+ * @param {Array<bigint[]>} batches
+ * @param {Array<bigint[]>} batchRoots
+ * @param {{ maxDegree?: number }} options
+ */
+function verifyBatchIntegrity(
+    batches,
+    batchRoots,
+    { maxDegree = MAX_POLY_DEGREE } = {}
+) {
+    batches.forEach((poly, batchIdx) => {
+        if (poly.length - 1 > maxDegree) {
+            throw new Error(
+                `Batch ${batchIdx} has degree ${
+                    poly.length - 1
+                }, above MAX_POLY_DEGREE ${maxDegree}`
+            )
+        }
+
+        poly.forEach((coeff, coeffIdx) => {
+            if (coeff < 0n || coeff >= FIELD_PRIME) {
+                throw new Error(
+                    `Coefficient out of field in batch ${batchIdx}, index ${coeffIdx}`
+                )
+            }
+        })
+
+        const roots = batchRoots[batchIdx] ?? []
+        if (roots.length > poly.length - 1) {
+            throw new Error(
+                `Batch ${batchIdx} has ${roots.length} roots but degree ${
+                    poly.length - 1
+                }`
+            )
+        }
+        for (const root of roots) {
+            if (root < 0n || root >= FIELD_PRIME) {
+                throw new Error(
+                    `Root out of field in batch ${batchIdx}: ${root}`
+                )
+            }
+            if (evaluatePolynomial(poly, root) !== 0n) {
+                throw new Error(`${root} is not a root of batch ${batchIdx}`)
+            }
+        }
+    })
+}
+
+/**
+ * Rebuilds { batches, batchRoots, userMap } from the CSVs produced by
+ * serializePolynomialToCSV and serializeUserBatchMapToCSV.
+ * hash-sharded stores no map: pass its members as secrets and each one is
+ * placed in the batch that vanishes at it.
+ * @param {string} coeffsCsv - batch_index,coeff_index,value
+ * @param {string} mapCsv - user_secret,batch_index (empty if there is no map)
+ * @param {{ secrets?: bigint[], strategy?: string, maxDegree?: number, verify?: boolean }} options -
+ *   set verify to false to skip the integrity check for trusted input
+ */
+function deserializePolynomialsFromCSV(coeffsCsv, mapCsv = "", options = {}) {
+    const { secrets = [], strategy = "fill-first", verify = true } = options
+    const rows = (csv) =>
+        csv
+            .split("\n")
+            .slice(1)
+            .filter((l) => l.trim().length > 0)
+            .map((l) => l.split(","))
+
+    const batches = []
+    for (const [batchStr, coeffStr, valueStr] of rows(coeffsCsv)) {
+        const batchIdx = parseInt(batchStr)
+        const batch = (batches[batchIdx] ??= [])
+        batch[parseInt(coeffStr)] = BigInt(valueStr)
+    }
+    for (let i = 0; i < batches.length; i++) {
+        if (batches[i] === undefined) throw new Error(`Missing batch ${i}`)
+        for (let j = 0; j < batches[i].length; j++) {
+            if (batches[i][j] === undefined) {
+                throw new Error(`Missing coefficient ${j} in batch ${i}`)
+            }
+        }
+    }
+
+    const batchRoots = batches.map(() => [])
+    const userMap = new Map()
+    for (const [secretStr, batchStr] of rows(mapCsv)) {
+        const batchIdx = parseInt(batchStr)
+        if (batchRoots[batchIdx] === undefined) {
+            throw new Error(`Map entry points to missing batch ${batchIdx}`)
+        }
+        batchRoots[batchIdx].push(BigInt(secretStr))
+        if (usesUserMap(strategy)) userMap.set(secretStr, batchIdx)
+    }
+    const located = checkMembers(batches, secrets)
+    secrets.forEach((secret, i) => {
+        const batchIdx = located[i]
+        if (batchIdx === null) {
+            throw new Error(`${secret} is not a root of any batch`)
+        }
+        batchRoots[batchIdx].push(secret)
+        if (usesUserMap(strategy)) userMap.set(secret.toString(), batchIdx)
+    })
+
+    if (verify) verifyBatchIntegrity(batches, batchRoots, options)
+
+    return { batches, batchRoots, userMap }
+}
+
+function writeFieldElement(buffer, offset, value) {
+    buffer.write(
+        value.toString(16).padStart(FIELD_ELEMENT_SIZE * 2, "0"),
+        offset,
+        FIELD_ELEMENT_SIZE,
+        "hex"
+    )
+}
+
+function readFieldElement(buffer, offset) {
+    return BigInt(
+        "0x" + buffer.toString("hex", offset, offset + FIELD_ELEMENT_SIZE)
+    )
+}
+
+/**
+ * Serializes the batches and their roots to the binary snapshot format.
+ * Each batch carries its Poseidon2 hash so a loader can check it against the
+ * on-chain commitment without rehashing.
+ * @param {number} maxDegree - The circuit's MAX_POLY_DEGREE (hash padding)
+ * @returns {Buffer}
+ */
+function serializePolynomialsToBinary(
+    batches,
+    batchRoots,
+    maxDegree = MAX_POLY_DEGREE
+) {
+    const size = batches.reduce(
+        (total, poly, i) =>
+            total +
+            BATCH_HEADER_SIZE +
+            (1 + poly.length + (batchRoots[i]?.length ?? 0)) *
+                FIELD_ELEMENT_SIZE,
+        BINARY_HEADER_SIZE
+    )
+
+    const buffer = Buffer.alloc(size)
+    buffer.write(BINARY_MAGIC, 0, 4, "ascii")
+    buffer.writeUInt8(BINARY_VERSION, 4)
+    buffer.writeUInt16BE(maxDegree, 6)
+    buffer.writeUInt32BE(batches.length, 8)
+
+    let offset = BINARY_HEADER_SIZE
+    batches.forEach((poly, i) => {
+        const roots = batchRoots[i] ?? []
+        buffer.writeUInt32BE(poly.length, offset)
+        buffer.writeUInt32BE(roots.length, offset + 4)
+        offset += BATCH_HEADER_SIZE
+
+        const hash = computeBatchHash(poly, maxDegree)
+        for (const value of [hash, ...poly, ...roots]) {
+            writeFieldElement(buffer, offset, value)
+            offset += FIELD_ELEMENT_SIZE
+        }
+    })
+
+    return buffer
+}
+
+/**
+ * Rebuilds { batches, batchRoots, userMap } from a binary snapshot produced
+ * by serializePolynomialsToBinary.
+ * @param {Buffer} buffer
+ * @param {{ strategy?: string, verify?: boolean }} options - userMap is only
+ *   filled for strategies that use it; set verify to false to skip the hash
+ *   and integrity checks for trusted input
+ */
+function deserializePolynomialsFromBinary(buffer, options = {}) {
+    const { strategy = "fill-first", verify = true } = options
+    if (
+        buffer.length < BINARY_HEADER_SIZE ||
+        buffer.toString("ascii", 0, 4) !== BINARY_MAGIC
+    ) {
+        throw new Error("Not a polynomial binary snapshot")
+    }
+
+    const version = buffer.readUInt8(4)
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Unsupported polynomial snapshot version: ${version}`)
+    }
+
+    const maxDegree = buffer.readUInt16BE(6)
+    const batchCount = buffer.readUInt32BE(8)
+    const batches = []
+    const batchRoots = []
+    const userMap = new Map()
+
+    let offset = BINARY_HEADER_SIZE
+    for (let batchIdx = 0; batchIdx < batchCount; batchIdx++) {
+        if (offset + BATCH_HEADER_SIZE > buffer.length) {
+            throw new Error("Truncated polynomial binary snapshot")
+        }
+        const coeffCount = buffer.readUInt32BE(offset)
+        const rootCount = buffer.readUInt32BE(offset + 4)
+        offset += BATCH_HEADER_SIZE
+
+        const elements = 1 + coeffCount + rootCount
+        if (offset + elements * FIELD_ELEMENT_SIZE > buffer.length) {
+            throw new Error("Truncated polynomial binary snapshot")
+        }
+        const values = []
+        for (let i = 0; i < elements; i++) {
+            values.push(readFieldElement(buffer, offset))
+            offset += FIELD_ELEMENT_SIZE
+        }
+
+        const [storedHash, ...rest] = values
+        const poly = rest.slice(0, coeffCount)
+        const roots = rest.slice(coeffCount)
+        if (verify && computeBatchHash(poly, maxDegree) !== storedHash) {
+            throw new Error(`Batch ${batchIdx} does not match its stored hash`)
+        }
+
+        batches.push(poly)
+        batchRoots.push(roots)
+        if (usesUserMap(strategy)) {
+            roots.forEach((root) => userMap.set(root.toString(), batchIdx))
+        }
+    }
+
+    if (offset !== buffer.length) {
+        throw new Error(
+            `Polynomial binary snapshot has ${
+                buffer.length - offset
+            } trailing bytes`
+        )
+    }
+
+    if (verify) verifyBatchIntegrity(batches, batchRoots, { maxDegree })
+
+    return { batches, batchRoots, userMap }
+}
+
+/**
+ * Writes a binary snapshot of the batches to disk
+ * @returns {number} Snapshot size in bytes
+ */
+function savePolySnapshot(
+    batches,
+    batchRoots,
+    filePath,
+    maxDegree = MAX_POLY_DEGREE
+) {
+    const buffer = serializePolynomialsToBinary(batches, batchRoots, maxDegree)
+    fs.writeFileSync(filePath, buffer)
+    return buffer.length
+}
+
+/**
+ * Loads batches from a binary snapshot on disk
+ */
+function loadPolySnapshot(filePath, options = {}) {
+    return deserializePolynomialsFromBinary(fs.readFileSync(filePath), options)
+}
+
 /**
  * Generates Prover.toml for a specific user and their batch
+ * @param {object} options - { salt, maxDegree }: when a salt is given the
+ *   batch roots are blinded commitments (blindRoot(secret, salt)), and the
+ *   circuit must be compiled with BLINDED = true (syncCircuitBlinded);
+ *   maxDegree is the circuit's MAX_POLY_DEGREE
  */
-function generateProverToml(batchPoly, secret, verifierKey) {
+function generateProverToml(batchPoly, secret, verifierKey, options = {}) {
+    // The circuit ignores the salt unless it is compiled with BLINDED
+    const salt = options.salt ?? 0n
+
     // Pad polynomial to MAX_POLY_DEGREE
-    const paddedPoly = [...batchPoly]
-    while (paddedPoly.length <= MAX_POLY_DEGREE) paddedPoly.push(0n)
+    const paddedPoly = padPolynomial(batchPoly, options.maxDegree)
 
     // Hash polynomial
     const polynomialHash = realPoseidon2Hash(paddedPoly)
@@ -143,6 +672,7 @@ function generateProverToml(batchPoly, secret, verifierKey) {
 nullifier = "${nullifier}"
 polynomial = [${paddedPoly.map((p) => `"${p}"`).join(", ")}]
 polynomial_hash = "${polynomialHash}"
+salt = "${salt}"
 secret = "${secret}"
 verifier_key = "${verifierKey}"`
 
@@ -153,10 +683,384 @@ verifier_key = "${verifierKey}"`
     }
 }
 
+/**
+ * Commits every batch hash as a leaf of the batch tree (hybrid scheme),
+ * updating changed batches and appending new ones
+ * @param {IncrementalMerkleTree | null} existingTree - The current batch tree (or null)
+ * @param {Array<bigint[]>} batches - Polynomial coefficient arrays
+ * @param {number} maxDegree - The hybrid circuit's MAX_POLY_DEGREE
+ * @returns {IncrementalMerkleTree} - The updated batch tree
+ */
+function createBatchTree(existingTree, batches, maxDegree = MAX_POLY_DEGREE) {
+    return syncBatchTree(
+        existingTree,
+        batches.map((batch) => computeBatchHash(batch, maxDegree))
+    )
+}
+
+/**
+ * Generates Prover.toml for the hybrid circuit: the user's batch polynomial
+ * plus its path in the batch tree
+ * @param {object} options - { salt, maxDegree }, as for generateProverToml
+ */
+function generateHybridProverToml(
+    batchTree,
+    batches,
+    batchIdx,
+    secret,
+    verifierKey,
+    options = {}
+) {
+    const inputs = buildHybridInputs(
+        batchTree,
+        batches[batchIdx],
+        batchIdx,
+        secret,
+        verifierKey,
+        options
+    )
+
+    return {
+        proverToml: formatHybridToml(inputs),
+        batchRoot: inputs.batchRoot,
+        nullifier: inputs.nullifier,
+    }
+}
+
+/**
+ * Times building the polynomial for a set of roots, once with the O(n^2)
+ * root-by-root interpolation and once with the NTT product tree.
+ * @param {bigint[]} roots - Polynomial roots
+ * @param {{ includeScalar?: boolean }} options - Skip the scalar run for large degrees
+ * @returns {{ scalarTimeMs: number | null, nttTimeMs: number, coefficientsMatch: boolean | null }}
+ */
+function timePolynomialConstruction(roots, { includeScalar = true } = {}) {
+    const n0 = process.hrtime.bigint()
+    const nttPoly = buildPolynomialFromRoots(roots)
+    const n1 = process.hrtime.bigint()
+    const nttTimeMs = Number(n1 - n0) / 1_000_000
+
+    if (!includeScalar) {
+        return { scalarTimeMs: null, nttTimeMs, coefficientsMatch: null }
+    }
+
+    const s0 = process.hrtime.bigint()
+    const scalarPoly = interpolatePolynomial(roots)
+    const s1 = process.hrtime.bigint()
+
+    return {
+        scalarTimeMs: Number(s1 - s0) / 1_000_000,
+        nttTimeMs,
+        coefficientsMatch:
+            scalarPoly.length === nttPoly.length &&
+            scalarPoly.every((coeff, i) => coeff === nttPoly[i]),
+    }
+}
+
+if (require.main === module) {
+    const throwsWith = (fn, message) => {
+        try {
+            fn()
+            return false
+        } catch (e) {
+            return e.message.includes(message)
+        }
+    }
+    const mark = (ok) => (ok ? "✅" : "❌")
+
+    console.log("=== Testing Batch Helpers ===\n")
+
+    console.log("1️⃣ Removing secrets from two batches...")
+    const secrets = Array.from(
+        { length: 300 },
+        (_, i) => BigInt(i + 1) * 1000003n
+    )
+    const state = addSecretsToBatches([], [], new Map(), secrets)
+    const revoked = [secrets[5], secrets[200]]
+    const removed = removeSecretsFromBatches(
+        state.batches,
+        state.batchRoots,
+        state.userMap,
+        revoked
+    )
+    console.log(
+        `   Changed batches [0, 1]: ${mark(
+            removed.changedBatches.map((c) => c.batchIndex).join() === "0,1"
+        )}`
+    )
+    console.log(
+        `   Re-hashed from the remaining roots: ${mark(
+            removed.changedBatches.every(
+                ({ batchIndex, polynomialHash }) =>
+                    polynomialHash ===
+                    computeBatchHash(
+                        buildPolynomialFromRoots(removed.batchRoots[batchIndex])
+                    )
+            )
+        )}`
+    )
+    console.log(
+        `   Revoked secrets left the map: ${mark(
+            revoked.every((s) => !removed.userMap.has(s.toString())) &&
+                removed.userMap.size === secrets.length - 2
+        )}`
+    )
+    console.log(
+        `   Inputs unchanged: ${mark(
+            state.batchRoots[0].length === MAX_POLY_DEGREE &&
+                state.userMap.size === secrets.length
+        )}`
+    )
+
+    console.log("\n2️⃣ Testing rejected removals...")
+    console.log(
+        `   Unknown secret: ${mark(
+            throwsWith(
+                () =>
+                    removeSecretsFromBatches(
+                        state.batches,
+                        state.batchRoots,
+                        state.userMap,
+                        [secrets[0], 7n]
+                    ),
+                "Unknown secret: 7"
+            )
+        )}`
+    )
+    console.log(
+        `   Secret listed twice: ${mark(
+            throwsWith(
+                () =>
+                    removeSecretsFromBatches(
+                        state.batches,
+                        state.batchRoots,
+                        state.userMap,
+                        [secrets[0], secrets[0]]
+                    ),
+                "Duplicate secret in removal list"
+            )
+        )}`
+    )
+    // Batch 1's polynomial no longer has secrets[200] as a root
+    const stale = [state.batches[0], removed.batches[1], state.batches[2]]
+    const rejected = throwsWith(
+        () =>
+            removeSecretsFromBatches(stale, state.batchRoots, state.userMap, [
+                secrets[0],
+                secrets[200],
+            ]),
+        "does not have"
+    )
+    console.log(
+        `   Polynomial without the root: ${mark(
+            rejected &&
+                state.userMap.has(secrets[0].toString()) &&
+                state.batchRoots[0].includes(secrets[0])
+        )}`
+    )
+
+    console.log("\n3️⃣ Removing duplicate copies...")
+    const dupOptions = { allowDuplicates: true }
+    const dup = addSecretsToBatches([], [], new Map(), [5n, 5n, 6n], dupOptions)
+    const once = removeSecretsFromBatches(
+        dup.batches,
+        dup.batchRoots,
+        dup.userMap,
+        [5n],
+        dupOptions
+    )
+    const twice = removeSecretsFromBatches(
+        once.batches,
+        once.batchRoots,
+        once.userMap,
+        [5n],
+        dupOptions
+    )
+    console.log(
+        `   One copy at a time: ${mark(
+            once.userMap.has("5") &&
+                twice.batchRoots[0].join() === "6" &&
+                !twice.userMap.has("5")
+        )}`
+    )
+    const both = removeSecretsFromBatches(
+        dup.batches,
+        dup.batchRoots,
+        dup.userMap,
+        [5n, 5n],
+        dupOptions
+    )
+    console.log(
+        `   Both copies in one call: ${mark(
+            both.batchRoots[0].join() === "6" &&
+                computeBatchHash(both.batches[0]) ===
+                    computeBatchHash(buildPolynomialFromRoots([6n]))
+        )}`
+    )
+
+    console.log("\n4️⃣ Round-tripping the batches...")
+    const sameState = (a, b) =>
+        a.batches.map(String).join("|") === b.batches.map(String).join("|") &&
+        a.batchRoots.map(String).join("|") ===
+            b.batchRoots.map(String).join("|") &&
+        [...a.userMap].join("|") === [...b.userMap].join("|")
+    const coeffsCsv = serializePolynomialToCSV(removed.batches)
+    const mapCsv = serializeUserBatchMapToCSV(removed.userMap)
+    console.log(
+        `   CSV: ${mark(
+            sameState(removed, deserializePolynomialsFromCSV(coeffsCsv, mapCsv))
+        )}`
+    )
+    const snapshotPath = path.join(
+        os.tmpdir(),
+        `poly_snapshot_${process.pid}.bin`
+    )
+    savePolySnapshot(removed.batches, removed.batchRoots, snapshotPath)
+    const loaded = loadPolySnapshot(snapshotPath)
+    fs.unlinkSync(snapshotPath)
+    console.log(`   Binary snapshot: ${mark(sameState(removed, loaded))}`)
+
+    console.log("\n5️⃣ Testing rejected snapshots...")
+    const snapshot = serializePolynomialsToBinary(
+        removed.batches,
+        removed.batchRoots
+    )
+    const hashOffset = BINARY_HEADER_SIZE + BATCH_HEADER_SIZE
+    const tampered = Buffer.from(snapshot)
+    tampered[hashOffset + FIELD_ELEMENT_SIZE - 1] ^= 1
+    console.log(
+        `   Tampered hash: ${mark(
+            throwsWith(
+                () => deserializePolynomialsFromBinary(tampered),
+                "does not match its stored hash"
+            )
+        )}`
+    )
+    console.log(
+        `   Truncated buffer: ${mark(
+            throwsWith(
+                () =>
+                    deserializePolynomialsFromBinary(
+                        snapshot.subarray(0, snapshot.length - 1)
+                    ),
+                "Truncated"
+            )
+        )}`
+    )
+    console.log(
+        `   Trailing bytes: ${mark(
+            throwsWith(
+                () =>
+                    deserializePolynomialsFromBinary(
+                        Buffer.concat([snapshot, Buffer.alloc(1)])
+                    ),
+                "trailing bytes"
+            )
+        )}`
+    )
+    const outOfField = coeffsCsv.replace(
+        /^0,0,\d+$/m,
+        `0,0,${removed.batches[0][0] + FIELD_PRIME}`
+    )
+    console.log(
+        `   Out-of-field coefficient: ${mark(
+            throwsWith(
+                () => deserializePolynomialsFromCSV(outOfField, mapCsv),
+                "Coefficient out of field"
+            )
+        )}`
+    )
+    // Batch 0's first root, stored as r + p: still a zero modulo p
+    const shifted = Buffer.from(snapshot)
+    const firstRootOffset =
+        hashOffset + (1 + removed.batches[0].length) * FIELD_ELEMENT_SIZE
+    writeFieldElement(
+        shifted,
+        firstRootOffset,
+        removed.batchRoots[0][0] + FIELD_PRIME
+    )
+    console.log(
+        `   Root stored as r + p: ${mark(
+            throwsWith(
+                () => deserializePolynomialsFromBinary(shifted),
+                "Root out of field"
+            )
+        )}`
+    )
+
+    console.log("\n6️⃣ Adding to hash-sharded batches...")
+    const shardOptions = { strategy: "hash-sharded", shardCount: 4 }
+    const sharded = addSecretsToBatches(
+        [],
+        [],
+        new Map(),
+        secrets,
+        shardOptions
+    )
+    console.log(
+        `   Every member located: ${mark(
+            secrets.every((s) => {
+                const batchIdx = locateBatch(
+                    s,
+                    sharded.batchRoots,
+                    sharded.userMap,
+                    shardOptions
+                )
+                return sharded.batchRoots[batchIdx]?.includes(s)
+            })
+        )}`
+    )
+    console.log(
+        `   Existing member rejected: ${mark(
+            throwsWith(
+                () =>
+                    addSecretsToBatches(
+                        sharded.batches,
+                        sharded.batchRoots,
+                        sharded.userMap,
+                        [7n, secrets[42]],
+                        shardOptions
+                    ),
+                `Already a member: ${secrets[42]}`
+            )
+        )}`
+    )
+
+    console.log("\n" + "=".repeat(50))
+    console.log("🎉 All batch helper tests completed!")
+}
+
 module.exports = {
+    MAX_POLY_DEGREE,
+    DEGREE_SWEEP,
+    POLY_MAIN_PATH,
+    HYBRID_MAIN_PATH,
+    assertValidDegree,
+    syncCircuitDegree,
+    syncCircuitBlinded,
+    assertProverTomlMatchesAbi,
     addSecretsToBatches,
+    removeSecretsFromBatches,
+    computeBatchHash,
+    BATCH_STRATEGIES,
+    usesUserMap,
+    locateBatch,
+    checkMembers,
     serializePolynomialToCSV,
     serializeUserBatchMapToCSV,
+    verifyBatchIntegrity,
+    deserializePolynomialsFromCSV,
+    serializePolynomialsToBinary,
+    deserializePolynomialsFromBinary,
+    savePolySnapshot,
+    loadPolySnapshot,
     generateProverToml,
+    BATCH_TREE_DEPTH,
+    createBatchTree,
+    generateHybridProverToml,
     addRoot,
+    removeRoot,
+    blindRoot,
+    buildPolynomialFromRoots,
+    timePolynomialConstruction,
 }
@@ -0,0 +1,291 @@
+// polynomial/utils/hybrid_data_generator.js
+// Hybrid scheme: polynomial batch hashes as the leaves of an IMT (the batch
+// tree), so a verifier only needs its root + test data for the hybrid circuit
+
+const fs = require("fs")
+const path = require("path")
+
+const {
+    IncrementalMerkleTree,
+    hashPair,
+} = require("../../IMT/utils/test_data_generator")
+const {
+    hashToField,
+    realPoseidon2Hash,
+    toPositiveField,
+    buildPolynomialFromRoots,
+    evaluatePolynomial,
+    blindRoot,
+} = require("./test_data_generator")
+const { MAX_POLY_DEGREE, writeBlindedCircuit } = require("./poly_config")
+
+// Must match BATCH_TREE_DEPTH in hybrid/circuit/src/main.nr
+const BATCH_TREE_DEPTH = 16
+
+// Test configuration: the user's batch is the second of three
+const TEST_CONFIG = {
+    batches: [[123n, 456n], [], [789n, 1011n, 1213n]],
+    userBatch: 1,
+    userEmail: "test@example.com",
+    salt: "test_salt_123",
+    verifierKey: "verifier_key_456",
+    isKYCed: true,
+    rootSalt: "root_salt_789", // Blinding salt for --blinded
+}
+
+/**
+ * Pads a batch polynomial to maxDegree + 1 coefficients (circuit input size)
+ */
+function padPolynomial(polynomial, maxDegree = MAX_POLY_DEGREE) {
+    const padded = polynomial.map((coeff) => toPositiveField(coeff))
+    while (padded.length <= maxDegree) padded.push(0n)
+    return padded
+}
+
+/**
+ * Batch tree leaf: the Poseidon2 hash of the padded polynomial, the same
+ * value the polynomial circuit takes as polynomial_hash
+ */
+function hashBatch(polynomial, maxDegree = MAX_POLY_DEGREE) {
+    return realPoseidon2Hash(padPolynomial(polynomial, maxDegree))
+}
+
+/**
+ * Brings a batch tree in line with the current batch hashes: changed leaves
+ * are updated in place and new batches are appended in one insertMany call
+ * @param {IncrementalMerkleTree | null} tree - Existing tree (or null)
+ * @param {bigint[]} batchHashes - Leaf i = hash of batch i
+ * @param {number} depth - Depth of a new tree
+ * @returns {IncrementalMerkleTree}
+ */
+function syncBatchTree(tree, batchHashes, depth = BATCH_TREE_DEPTH) {
+    // Batches with the same roots (e.g. empty ones) share a hash
+    const batchTree =
+        tree ?? new IncrementalMerkleTree({ depth, allowDuplicates: true })
+
+    const existing = Math.min(batchTree.nextIndex, batchHashes.length)
+    for (let i = 0; i < existing; i++) {
+        if (batchTree.leaves[i] !== batchHashes[i]) {
+            batchTree.update(i, batchHashes[i])
+        }
+    }
+    batchTree.insertMany(batchHashes.slice(existing))
+
+    return batchTree
+}
+
+/**
+ * Formats the Prover.toml for the hybrid circuit
+ */
+function formatHybridToml({
+    batchRoot,
+    nullifier,
+    verifierKey,
+    secret,
+    salt,
+    isKYCed,
+    polynomial,
+    batchIndex,
+    path: batchPath,
+    pathIndices,
+}) {
+    const quote = (values) => values.map((v) => `"${v}"`).join(", ")
+
+    return `# Hybrid Membership Proof
+# Batch tree depth: ${batchPath.length}
+batch_root = "${batchRoot}"
+nullifier = "${nullifier}"
+verifier_key = "${verifierKey}"
+secret = "${secret}"
+salt = "${salt}"
+isKYCed = ${isKYCed}
+polynomial = [${quote(polynomial)}]
+batch_index = "${batchIndex}"
+batch_path = [${quote(batchPath)}]
+batch_path_indices = [${quote(pathIndices)}]
+`
+}
+
+/**
+ * Builds the hybrid circuit inputs for a member of one batch
+ * @param {IncrementalMerkleTree} batchTree - Tree of batch hashes
+ * @param {bigint[]} polynomial - Coefficients of the member's batch
+ * @param {number} batchIndex - Position of the batch in the tree
+ * @param {{ salt?: bigint, isKYCed?: boolean, maxDegree?: number }} options -
+ *   A salt switches to blinded mode (the batch roots are blindRoot(secret, salt)),
+ *   which needs the circuit compiled with BLINDED = true; maxDegree is the circuit's MAX_POLY_DEGREE
+ */
+function buildHybridInputs(
+    batchTree,
+    polynomial,
+    batchIndex,
+    secret,
+    verifierKey,
+    options = {}
+) {
+    const blinded = options.salt !== undefined
+    const paddedPolynomial = padPolynomial(polynomial, options.maxDegree)
+    const batchHash = realPoseidon2Hash(paddedPolynomial)
+    if (batchTree.leaves[batchIndex] !== batchHash) {
+        throw new Error(
+            `Batch ${batchIndex} is not committed in the batch tree`
+        )
+    }
+
+    const { path: batchPath, pathIndices } = batchTree.getMerklePath(batchIndex)
+
+    return {
+        batchRoot: batchTree.getRoot(),
+        batchHash,
+        nullifier: realPoseidon2Hash([secret, verifierKey]),
+        verifierKey,
+        blinded,
+        secret,
+        salt: blinded ? options.salt : 0n,
+        isKYCed: options.isKYCed ?? true,
+        polynomial: paddedPolynomial,
+        batchIndex,
+        path: batchPath,
+        pathIndices,
+    }
+}
+
+/**
+ * Generate test data for the hybrid circuit
+ */
+async function generateTestData({
+    blinded = false,
+    maxDegree = MAX_POLY_DEGREE,
+} = {}) {
+    console.log("🧪 Generating test data for hybrid circuit...\n")
+
+    // 1. Generate secret from user email + salt
+    const secret = hashToField(TEST_CONFIG.userEmail + TEST_CONFIG.salt)
+    console.log(`Secret (from ${TEST_CONFIG.userEmail}): ${secret}`)
+
+    // 2. Build the batches; the user's root joins their batch
+    const salt = blinded ? hashToField(TEST_CONFIG.rootSalt) : undefined
+    const root = blinded ? blindRoot(secret, salt) : secret
+    console.log(`Root mode: ${blinded ? "blinded commitment" : "raw secret"}`)
+    const batchRoots = TEST_CONFIG.batches.map((roots, i) =>
+        i === TEST_CONFIG.userBatch ? [...roots, root] : roots
+    )
+    const batches = batchRoots.map((roots) => buildPolynomialFromRoots(roots))
+
+    // 3. Commit the batch hashes in the batch tree
+    const batchTree = syncBatchTree(
+        null,
+        batches.map((batch) => hashBatch(batch, maxDegree))
+    )
+    console.log(`Batches: ${batches.length}`)
+    console.log(`Batch root: ${batchTree.getRoot()}`)
+
+    // 4. Build the inputs for the user's batch
+    const verifierKey = hashToField(TEST_CONFIG.verifierKey)
+    const inputs = buildHybridInputs(
+        batchTree,
+        batches[TEST_CONFIG.userBatch],
+        TEST_CONFIG.userBatch,
+        secret,
+        verifierKey,
+        { salt, isKYCed: TEST_CONFIG.isKYCed, maxDegree }
+    )
+    console.log(`Nullifier: ${inputs.nullifier}`)
+
+    return {
+        ...inputs,
+        root,
+        depth: batchTree.depth,
+        proverToml: formatHybridToml(inputs),
+    }
+}
+
+/**
+ * Validate circuit inputs (mirrors the constraints in main.nr)
+ */
+async function validateCircuitInputs(testData) {
+    console.log("\n🔍 Validating circuit inputs...")
+
+    // Verify batch hash -> batch root
+    let currentHash = realPoseidon2Hash(testData.polynomial)
+    let index = 0n
+    for (let i = 0; i < testData.path.length; i++) {
+        const isRight = testData.pathIndices[i] === 1n
+        currentHash = isRight
+            ? hashPair(testData.path[i], currentHash)
+            : hashPair(currentHash, testData.path[i])
+        index += testData.pathIndices[i] << BigInt(i)
+    }
+    const rootMatch =
+        testData.path.length === testData.depth &&
+        currentHash === testData.batchRoot &&
+        index === BigInt(testData.batchIndex)
+    console.log(`✓ Batch root verification: ${rootMatch ? "✅" : "❌"}`)
+
+    // Verify P(root) = 0 at the (possibly blinded) root
+    const root = testData.blinded
+        ? blindRoot(testData.secret, testData.salt)
+        : testData.secret
+    const isRoot = evaluatePolynomial(testData.polynomial, root) === 0n
+    console.log(`✓ P(root) = 0: ${isRoot ? "✅" : "❌"}`)
+
+    // Verify nullifier
+    const nullifierMatch =
+        realPoseidon2Hash([testData.secret, testData.verifierKey]) ===
+        testData.nullifier
+    console.log(`✓ Nullifier consistency: ${nullifierMatch ? "✅" : "❌"}`)
+
+    return rootMatch && isRoot && nullifierMatch
+}
+
+/* CLI entrypoint */
+if (require.main === module) {
+    ;(async () => {
+        console.log("🚀 Starting hybrid test data generation...\n")
+
+        try {
+            const blinded = process.argv.includes("--blinded")
+            const testData = await generateTestData({ blinded })
+            const isValid = await validateCircuitInputs(testData)
+
+            if (!isValid) {
+                console.error("❌ Validation failed! Please check the inputs.")
+                process.exit(1)
+            }
+
+            // Blinding is compiled into the circuit, not a proof input, so
+            // blinded data goes with a copy of the circuit built that way
+            let circuitDir = path.join(__dirname, "../hybrid/circuit")
+            if (blinded) {
+                circuitDir = writeBlindedCircuit(circuitDir)
+                console.log(`\n🔧 Wrote ${circuitDir} with BLINDED = true`)
+            }
+
+            console.log("\n📝 Writing test data to Prover.toml...")
+            const proverPath = path.join(circuitDir, "Prover.toml")
+            fs.writeFileSync(proverPath, testData.proverToml)
+            console.log(`✅ Test data written to ${proverPath}`)
+
+            console.log("\n🎯 Ready for circuit testing!")
+            console.log(
+                `Run: cd ${path.relative(
+                    process.cwd(),
+                    circuitDir
+                )} && nargo execute`
+            )
+        } catch (err) {
+            console.error("Fatal error generating test data:", err)
+            process.exit(1)
+        }
+    })()
+}
+
+module.exports = {
+    BATCH_TREE_DEPTH,
+    hashBatch,
+    syncBatchTree,
+    buildHybridInputs,
+    formatHybridToml,
+    generateTestData,
+    validateCircuitInputs,
+}
@@ -0,0 +1,28 @@
+// Type declarations for poly_config.js (read by the TS utilities)
+export const MAX_POLY_DEGREE: number
+export const DEGREE_SWEEP: number[]
+export const POLY_MAIN_PATH: string
+export const HYBRID_MAIN_PATH: string
+export function assertValidDegree(degree: number): void
+export function toNoirDegreeGlobal(degree?: number): string
+export function readCircuitDegree(mainNrPath?: string): number
+export function syncCircuitDegree(degree?: number, mainNrPath?: string): boolean
+export function readCircuitBlinded(mainNrPath?: string): boolean
+export function syncCircuitBlinded(
+    blinded: boolean,
+    mainNrPath?: string
+): boolean
+export function writeBlindedCircuit(circuitDir: string): string
+export function readAbiArrayLength(
+    circuitJsonPath: string,
+    parameter?: string
+): number
+export function readTomlArrayLength(
+    proverToml: string,
+    parameter?: string
+): number
+export function assertProverTomlMatchesAbi(
+    proverToml: string,
+    circuitJsonPath: string,
+    parameter?: string
+): void
@@ -0,0 +1,189 @@
+// polynomial/utils/poly_config.js
+// Single source of truth for the batch polynomial degree. Every JS/TS helper
+// reads MAX_POLY_DEGREE from here, and the Noir circuits are synced to it.
+
+const fs = require("fs")
+const path = require("path")
+
+// Roots per batch; a padded polynomial has MAX_POLY_DEGREE + 1 coefficients
+const MAX_POLY_DEGREE = 128
+
+// Degrees benchmark.js --poly-degree-sweep proves at
+const DEGREE_SWEEP = [32, 64, 128, 256, 512, 1024]
+
+// The binary snapshot header stores the degree in two bytes
+const MAX_SUPPORTED_DEGREE = 0xffff
+
+const POLY_MAIN_PATH = path.join(__dirname, "../circuit/src/main.nr")
+const HYBRID_MAIN_PATH = path.join(__dirname, "../hybrid/circuit/src/main.nr")
+
+function assertValidDegree(degree) {
+    if (
+        !Number.isInteger(degree) ||
+        degree < 1 ||
+        degree > MAX_SUPPORTED_DEGREE
+    ) {
+        throw new Error(
+            `Invalid polynomial degree: ${degree} (expected 1..${MAX_SUPPORTED_DEGREE})`
+        )
+    }
+}
+
+/* ------------ Circuit degree sync ------------ */
+
+const NOIR_DEGREE_PATTERN = /global MAX_POLY_DEGREE: u32 = (\d+);/
+
+/**
+ * Emit the Noir global declaration for a polynomial degree
+ */
+function toNoirDegreeGlobal(degree = MAX_POLY_DEGREE) {
+    assertValidDegree(degree)
+    return `global MAX_POLY_DEGREE: u32 = ${degree};`
+}
+
+/**
+ * Read the MAX_POLY_DEGREE global a circuit is currently compiled with
+ */
+function readCircuitDegree(mainNrPath = POLY_MAIN_PATH) {
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    const match = source.match(NOIR_DEGREE_PATTERN)
+    if (!match) {
+        throw new Error(`No MAX_POLY_DEGREE global found in ${mainNrPath}`)
+    }
+    return parseInt(match[1])
+}
+
+/**
+ * Rewrite a circuit's MAX_POLY_DEGREE global
+ * @returns {boolean} true if main.nr was changed
+ */
+function syncCircuitDegree(
+    degree = MAX_POLY_DEGREE,
+    mainNrPath = POLY_MAIN_PATH
+) {
+    if (readCircuitDegree(mainNrPath) === degree) return false
+
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    fs.writeFileSync(
+        mainNrPath,
+        source.replace(NOIR_DEGREE_PATTERN, toNoirDegreeGlobal(degree))
+    )
+    return true
+}
+
+/* ------------ Circuit blinding mode ------------ */
+
+const NOIR_BLINDED_PATTERN = /global BLINDED: bool = (true|false);/
+
+/**
+ * Read the BLINDED global a circuit is currently compiled with
+ */
+function readCircuitBlinded(mainNrPath = POLY_MAIN_PATH) {
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    const match = source.match(NOIR_BLINDED_PATTERN)
+    if (!match) {
+        throw new Error(`No BLINDED global found in ${mainNrPath}`)
+    }
+    return match[1] === "true"
+}
+
+/**
+ * Rewrite a circuit's BLINDED global. Blinding is compiled in rather than
+ * passed as an input, so a proof for a blinded batch cannot switch it off.
+ * @returns {boolean} true if main.nr was changed
+ */
+function syncCircuitBlinded(blinded, mainNrPath = POLY_MAIN_PATH) {
+    if (readCircuitBlinded(mainNrPath) === blinded) return false
+
+    const source = fs.readFileSync(mainNrPath, "utf-8")
+    fs.writeFileSync(
+        mainNrPath,
+        source.replace(
+            NOIR_BLINDED_PATTERN,
+            `global BLINDED: bool = ${blinded};`
+        )
+    )
+    return true
+}
+
+/**
+ * Copy a circuit to <circuitDir>_blinded (git-ignored) and set BLINDED = true
+ * there, so blinded test data never rewrites the tracked main.nr
+ * @returns {string} The copy's directory
+ */
+function writeBlindedCircuit(circuitDir) {
+    const blindedDir = `${circuitDir}_blinded`
+    fs.mkdirSync(blindedDir, { recursive: true })
+    fs.copyFileSync(
+        path.join(circuitDir, "Nargo.toml"),
+        path.join(blindedDir, "Nargo.toml")
+    )
+    fs.cpSync(path.join(circuitDir, "src"), path.join(blindedDir, "src"), {
+        recursive: true,
+    })
+    syncCircuitBlinded(true, path.join(blindedDir, "src/main.nr"))
+    return blindedDir
+}
+
+/* ------------ Prover.toml / ABI check ------------ */
+
+/**
+ * Length of an array parameter in a compiled circuit (target/<name>.json)
+ */
+function readAbiArrayLength(circuitJsonPath, parameter = "polynomial") {
+    const { abi } = JSON.parse(fs.readFileSync(circuitJsonPath, "utf-8"))
+    const param = abi.parameters.find((p) => p.name === parameter)
+    if (!param || param.type.kind !== "array") {
+        throw new Error(
+            `No array parameter ${parameter} in the ABI of ${circuitJsonPath}`
+        )
+    }
+    return param.type.length
+}
+
+/**
+ * Number of elements of an array input in a Prover.toml
+ */
+function readTomlArrayLength(proverToml, parameter = "polynomial") {
+    const match = proverToml.match(
+        new RegExp(`^${parameter}\\s*=\\s*\\[([^\\]]*)\\]`, "m")
+    )
+    if (!match) throw new Error(`No ${parameter} array in Prover.toml`)
+    return match[1].trim().length === 0 ? 0 : match[1].split(",").length
+}
+
+/**
+ * Throws before proving if the padded polynomial in a Prover.toml does not
+ * have the length the compiled circuit expects, which would otherwise only
+ * surface as a witness error from nargo
+ */
+function assertProverTomlMatchesAbi(
+    proverToml,
+    circuitJsonPath,
+    parameter = "polynomial"
+) {
+    const expected = readAbiArrayLength(circuitJsonPath, parameter)
+    const actual = readTomlArrayLength(proverToml, parameter)
+    if (actual !== expected) {
+        throw new Error(
+            `Prover.toml ${parameter} has ${actual} elements but the compiled circuit expects ${expected}`
+        )
+    }
+}
+
+module.exports = {
+    MAX_POLY_DEGREE,
+    DEGREE_SWEEP,
+    POLY_MAIN_PATH,
+    HYBRID_MAIN_PATH,
+    assertValidDegree,
+    toNoirDegreeGlobal,
+    readCircuitDegree,
+    syncCircuitDegree,
+    readCircuitBlinded,
+    syncCircuitBlinded,
+    writeBlindedCircuit,
+    readAbiArrayLength,
+    readTomlArrayLength,
+    assertProverTomlMatchesAbi,
+}
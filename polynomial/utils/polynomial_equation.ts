@@ -2,8 +2,8 @@
 export const bn_254_fp =
     21888242871839275222246405745257275088548364400416034343698204186575808495617n
 
-// Maximum polynomial degree (must match main.nr)
-export const MAX_POLY_DEGREE = 128
+// Maximum polynomial degree (main.nr is synced to it, see poly_config.js)
+export { MAX_POLY_DEGREE } from "./poly_config"
 
 export const initial_polynomial = [1n] // Represents the polynomial P(x) = 1
 
@@ -72,20 +72,21 @@ export function removeRoot(
     return newPoly
 }
 
+// Evaluate P(x) by Horner's rule: one multiplication per coefficient
+export function evaluatePolynomial(coefficients: bigint[], x: bigint): bigint {
+    let result = 0n
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = mod(result * x + coefficients[i])
+    }
+    return result
+}
+
 // Verify the polynomial works correctly
 export function verifyPolynomial(
     coefficients: bigint[],
     root: bigint
 ): boolean {
-    let result = 0n
-    let rootPower = 1n
-
-    for (const coeff of coefficients) {
-        result = mod(result + mod(coeff * rootPower))
-        rootPower = mod(rootPower * root)
-    }
-
-    return result === 0n
+    return evaluatePolynomial(coefficients, root) === 0n
 }
 
 // Enhanced test function that includes removeRoot testing
@@ -250,4 +251,7 @@ const mod = (x: bigint, f: bigint = bn_254_fp): bigint => {
     return result >= 0n ? result : result + f
 }
 
-testPolynomial()
\ No newline at end of file
+// Run the tests when executed directly
+if (require.main === module) {
+    testPolynomial()
+}
@@ -0,0 +1,348 @@
+// polynomial_eval.ts - Multipoint evaluation and bulk membership checks
+// Evaluates a batch polynomial at many points at once by reducing it down a
+// subproduct tree of the points, with NTT products and Newton division
+import {
+    bn_254_fp,
+    evaluatePolynomial,
+    verifyPolynomial,
+} from "./polynomial_equation"
+import { NTT_THRESHOLD, multiplyPolynomials } from "./polynomial_ntt"
+
+// Level 0 holds the leaves x - point; the last level holds one product
+export type SubproductTree = bigint[][][]
+
+// Below nodes of 2^HORNER_LEVEL points, Horner on the remainder is faster
+// than reducing further
+export const HORNER_LEVEL = 5
+
+// Below this many coefficients one Horner pass per point is faster
+export const MULTIPOINT_THRESHOLD = 1024
+
+export interface EvaluationOptions {
+    useTree?: boolean // true forces the subproduct tree, false forces Horner
+}
+
+const mod = (x: bigint, f: bigint = bn_254_fp): bigint => {
+    const result = x % f
+    return result >= 0n ? result : result + f
+}
+
+function modInverse(value: bigint): bigint {
+    let result = 1n
+    let b = mod(value)
+    let e = bn_254_fp - 2n
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % bn_254_fp
+        b = (b * b) % bn_254_fp
+        e >>= 1n
+    }
+    return result
+}
+
+/**
+ * Inverse of f as a power series mod x^n (f[0] must be non-zero), by Newton
+ * iteration g <- g * (2 - f * g), doubling the precision each step
+ */
+function inverseSeries(f: bigint[], n: number): bigint[] {
+    let g = [modInverse(f[0])]
+    for (let k = 1; k < n; ) {
+        k = Math.min(2 * k, n)
+        const fg = multiplyPolynomials(f.slice(0, k), g).slice(0, k)
+        const e: bigint[] = new Array(k).fill(0n)
+        for (let i = 0; i < fg.length; i++) e[i] = mod(-fg[i])
+        e[0] = mod(e[0] + 2n)
+        g = multiplyPolynomials(g, e).slice(0, k)
+    }
+    return g
+}
+
+// Series inverses of reversed divisors, kept while their tree is alive so
+// every batch evaluated on a tree reuses them
+const inverseCache = new WeakMap<bigint[], bigint[]>()
+
+/**
+ * Remainder of a modulo a monic divisor. Long division for small quotients,
+ * otherwise the quotient comes from the reversed series inverse (two
+ * products instead of one step per coefficient)
+ */
+export function remainderMonic(a: bigint[], divisor: bigint[]): bigint[] {
+    const m = divisor.length - 1
+    if (a.length <= m) return [...a]
+
+    const quotientLength = a.length - m
+    if (Math.min(quotientLength, m) < NTT_THRESHOLD) {
+        const rem = [...a]
+        for (let i = rem.length - 1; i >= m; i--) {
+            const coef = rem[i]
+            if (coef === 0n) continue
+            for (let j = 0; j < m; j++) {
+                rem[i - m + j] = mod(rem[i - m + j] - coef * divisor[j])
+            }
+            rem[i] = 0n
+        }
+        return rem.slice(0, m)
+    }
+
+    const reversedA = [...a].reverse().slice(0, quotientLength)
+    let inverse = inverseCache.get(divisor)
+    if (!inverse || inverse.length < quotientLength) {
+        inverse = inverseSeries([...divisor].reverse(), quotientLength)
+        inverseCache.set(divisor, inverse)
+    }
+    const quotient = multiplyPolynomials(reversedA, inverse)
+        .slice(0, quotientLength)
+        .reverse()
+
+    const product = multiplyPolynomials(quotient, divisor)
+    const rem: bigint[] = new Array(m)
+    for (let i = 0; i < m; i++) rem[i] = mod(a[i] - product[i])
+    return rem
+}
+
+/**
+ * Subproduct tree of the points: each node is the product of its two
+ * children, an odd node is carried up unchanged
+ */
+export function buildSubproductTree(points: bigint[]): SubproductTree {
+    let level = points.map((point) => [mod(-point), 1n])
+    const tree: SubproductTree = [level]
+
+    while (level.length > 1) {
+        const next: bigint[][] = []
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(
+                i + 1 < level.length
+                    ? multiplyPolynomials(level[i], level[i + 1])
+                    : level[i]
+            )
+        }
+        tree.push(next)
+        level = next
+    }
+
+    return tree
+}
+
+/**
+ * P(point) for every leaf of a subproduct tree. P is reduced mod each node
+ * from the root down; P mod a node agrees with P at the node's points, so
+ * from HORNER_LEVEL down the small remainders are evaluated directly.
+ */
+export function evaluateOnTree(
+    coefficients: bigint[],
+    tree: SubproductTree
+): bigint[] {
+    const leaves = tree[0]
+    if (leaves.length === 0) return []
+
+    const top = tree.length - 1
+    const stop = Math.min(HORNER_LEVEL, top)
+    let remainders = [remainderMonic(coefficients, tree[top][0])]
+    for (let level = top - 1; level >= stop; level--) {
+        remainders = tree[level].map((node, i) =>
+            remainderMonic(remainders[i >> 1], node)
+        )
+    }
+
+    // Node i of level stop covers leaves i * 2^stop onwards
+    return leaves.map((leaf, i) =>
+        evaluatePolynomial(remainders[i >> stop], mod(-leaf[0]))
+    )
+}
+
+const useTreeFor = (length: number, options: EvaluationOptions) =>
+    options.useTree ?? length >= MULTIPOINT_THRESHOLD
+
+/**
+ * P(point) for every point. Points are taken in blocks of deg P + 1, since
+ * above that the tree's upper nodes would not reduce P at all.
+ * @returns Values in the order of points (same as evaluatePolynomial)
+ */
+export function evaluateMultipoint(
+    coefficients: bigint[],
+    points: bigint[],
+    options: EvaluationOptions = {}
+): bigint[] {
+    if (!useTreeFor(coefficients.length, options)) {
+        return points.map((point) => evaluatePolynomial(coefficients, point))
+    }
+
+    const blockSize = Math.max(coefficients.length, 1)
+    const values: bigint[] = []
+    for (let start = 0; start < points.length; start += blockSize) {
+        const tree = buildSubproductTree(points.slice(start, start + blockSize))
+        values.push(...evaluateOnTree(coefficients, tree))
+    }
+    return values
+}
+
+/**
+ * Finds the batch each secret is a root of. With the tree, the subproduct
+ * trees of the secrets are built once and shared by every batch.
+ * @param batches - Coefficient vectors, lowest degree first
+ * @param secrets - Candidate roots
+ * @returns For each secret, the index of the first batch that vanishes at it,
+ *   or null (same as testing verifyPolynomial against every batch)
+ */
+export function checkMembers(
+    batches: bigint[][],
+    secrets: bigint[],
+    options: EvaluationOptions = {}
+): (number | null)[] {
+    const maxLength = batches.reduce(
+        (max, poly) => Math.max(max, poly.length),
+        1
+    )
+    if (!useTreeFor(maxLength, options)) {
+        return secrets.map((secret) => {
+            const batchIdx = batches.findIndex((poly) =>
+                verifyPolynomial(poly, secret)
+            )
+            return batchIdx === -1 ? null : batchIdx
+        })
+    }
+
+    const matches: (number | null)[] = new Array(secrets.length).fill(null)
+    for (let start = 0; start < secrets.length; start += maxLength) {
+        const tree = buildSubproductTree(
+            secrets.slice(start, start + maxLength)
+        )
+        batches.forEach((poly, batchIdx) => {
+            evaluateOnTree(poly, tree).forEach((value, i) => {
+                if (value === 0n && matches[start + i] === null) {
+                    matches[start + i] = batchIdx
+                }
+            })
+        })
+    }
+
+    return matches
+}
+
+// Self-test when run directly
+if (require.main === module) {
+    // Deterministic pseudo-random field elements
+    let seed = 0x9e3779b97f4a7c15n
+    const nextElement = () => {
+        seed = mod(seed * 6364136223846793005n + 1442695040888963407n)
+        return seed
+    }
+
+    console.log("=== Testing Multipoint Evaluation ===\n")
+
+    console.log("1️⃣ Comparing with evaluatePolynomial...")
+    for (const [degree, count] of [
+        [0, 5],
+        [3, 10],
+        [128, 300],
+        [200, 1000],
+    ]) {
+        const poly = Array.from({ length: degree + 1 }, nextElement)
+        const points = Array.from({ length: count }, nextElement)
+        const values = evaluateMultipoint(poly, points, { useTree: true })
+        const match = points.every(
+            (point, i) => values[i] === evaluatePolynomial(poly, point)
+        )
+        console.log(
+            `   Degree ${degree}, ${count} points: ${match ? "✅" : "❌"}`
+        )
+    }
+
+    console.log("\n2️⃣ Testing remainderMonic on a large divisor...")
+    const dividend = Array.from({ length: 600 }, nextElement)
+    const divisor = [...Array.from({ length: 200 }, nextElement), 1n]
+    const fast = remainderMonic(dividend, divisor)
+    // Plain long division as the reference
+    const slow = [...dividend]
+    for (let i = slow.length - 1; i >= 200; i--) {
+        for (let j = 0; j < 200; j++) {
+            slow[i - 200 + j] = mod(slow[i - 200 + j] - slow[i] * divisor[j])
+        }
+    }
+    console.log(
+        `   Newton division matches: ${
+            fast.every((c, i) => c === slow[i]) ? "✅" : "❌"
+        }`
+    )
+
+    console.log("\n3️⃣ Testing checkMembers...")
+    const batchRoots = Array.from({ length: 4 }, () =>
+        Array.from({ length: 128 }, nextElement)
+    )
+    const batches = batchRoots.map((roots) =>
+        roots.reduce(
+            (poly, root) => multiplyPolynomials(poly, [mod(-root), 1n]),
+            [1n]
+        )
+    )
+    const secrets = [
+        ...batchRoots.flat(),
+        ...Array.from({ length: 100 }, nextElement),
+    ]
+    const matches = checkMembers(batches, secrets, { useTree: true })
+    const expected = secrets.map((secret) => {
+        const idx = batches.findIndex((poly) => verifyPolynomial(poly, secret))
+        return idx === -1 ? null : idx
+    })
+    console.log(
+        `   Same batches as verifyPolynomial: ${
+            matches.every((m, i) => m === expected[i]) ? "✅" : "❌"
+        }`
+    )
+    console.log(
+        `   Members found: ${matches.filter((m) => m !== null).length} / ${
+            batchRoots.flat().length
+        }`
+    )
+
+    console.log("\n4️⃣ Comparing the JS port...")
+    // deserializePolynomialsFromCSV uses the copy in test_data_generator.js
+    const jsPort = require("./test_data_generator")
+    for (const [degree, count] of [
+        [3, 10],
+        [200, 1000],
+    ]) {
+        const poly = Array.from({ length: degree + 1 }, nextElement)
+        const points = Array.from({ length: count }, nextElement)
+        const values: bigint[] = jsPort.evaluateMultipoint(poly, points, {
+            useTree: true,
+        })
+        const match = points.every(
+            (point, i) => values[i] === evaluatePolynomial(poly, point)
+        )
+        console.log(
+            `   evaluateMultipoint, degree ${degree}, ${count} points: ${
+                match ? "✅" : "❌"
+            }`
+        )
+    }
+    for (const useTree of [true, false]) {
+        const jsMatches: (number | null)[] = jsPort.checkMembers(
+            batches,
+            secrets,
+            { useTree }
+        )
+        console.log(
+            `   checkMembers (${
+                useTree ? "tree" : "Horner"
+            }) same batches as verifyPolynomial: ${
+                jsMatches.every((m, i) => m === expected[i]) ? "✅" : "❌"
+            }`
+        )
+    }
+
+    console.log("\n5️⃣ Timing 4 batches of degree 1024 against 2050 secrets...")
+    const large = Array.from({ length: 4 }, () =>
+        Array.from({ length: 1025 }, nextElement)
+    )
+    const candidates = Array.from({ length: 2050 }, nextElement)
+    let start = Date.now()
+    checkMembers(large, candidates, { useTree: true })
+    console.log(`   Subproduct tree: ${Date.now() - start}ms`)
+    start = Date.now()
+    checkMembers(large, candidates, { useTree: false })
+    console.log(`   Horner per secret: ${Date.now() - start}ms`)
+
+    console.log("\n" + "=".repeat(50))
+    console.log("🎉 All multipoint evaluation tests completed!")
+}
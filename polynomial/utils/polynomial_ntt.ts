@@ -0,0 +1,224 @@
+// polynomial_ntt.ts - Quasi-linear polynomial construction over BN254
+// Builds P(x) = (x - r_1)...(x - r_n) with a product tree whose large
+// products use a number-theoretic transform (NTT) over the scalar field
+import { bn_254_fp, interpolatePolynomial } from "./polynomial_equation"
+
+// bn_254_fp - 1 = 2^28 * odd, so NTT sizes go up to 2^28
+export const TWO_ADICITY = 28
+
+// 5 generates the multiplicative group; 5^((p - 1) / 2^28) has order 2^28
+export const ROOT_OF_UNITY =
+    19103219067921713944291392827692070036145651957329286315305642004821462161904n
+
+// Below this many coefficients the schoolbook product is faster than an NTT
+export const NTT_THRESHOLD = 64
+
+export interface ConstructionOptions {
+    useNtt?: boolean // false forces the scalar (schoolbook) products
+}
+
+const mod = (x: bigint, f: bigint = bn_254_fp): bigint => {
+    const result = x % f
+    return result >= 0n ? result : result + f
+}
+
+function modPow(base: bigint, exponent: bigint): bigint {
+    let result = 1n
+    let b = mod(base)
+    let e = exponent
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % bn_254_fp
+        b = (b * b) % bn_254_fp
+        e >>= 1n
+    }
+    return result
+}
+
+/**
+ * In-place NTT of a power-of-two length array (inverse when invert is true)
+ * @param values - Field elements, overwritten with the transform
+ */
+export function ntt(values: bigint[], invert = false): void {
+    const n = values.length
+    const logN = Math.log2(n)
+    if (!Number.isInteger(logN) || logN > TWO_ADICITY) {
+        throw new Error(`NTT size must be a power of two up to 2^28: ${n}`)
+    }
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) j ^= bit
+        j ^= bit
+        if (i < j) {
+            const tmp = values[i]
+            values[i] = values[j]
+            values[j] = tmp
+        }
+    }
+
+    // Iterative Cooley-Tukey butterflies
+    for (let len = 2; len <= n; len <<= 1) {
+        let w = modPow(ROOT_OF_UNITY, BigInt(2 ** TWO_ADICITY / len))
+        if (invert) w = modPow(w, bn_254_fp - 2n)
+
+        const half = len >> 1
+        const twiddles: bigint[] = new Array(half)
+        twiddles[0] = 1n
+        for (let k = 1; k < half; k++) {
+            twiddles[k] = (twiddles[k - 1] * w) % bn_254_fp
+        }
+
+        for (let start = 0; start < n; start += len) {
+            for (let k = 0; k < half; k++) {
+                const u = values[start + k]
+                const v = (values[start + k + half] * twiddles[k]) % bn_254_fp
+                values[start + k] =
+                    u + v >= bn_254_fp ? u + v - bn_254_fp : u + v
+                values[start + k + half] = u >= v ? u - v : u - v + bn_254_fp
+            }
+        }
+    }
+
+    if (invert) {
+        const nInv = modPow(BigInt(n), bn_254_fp - 2n)
+        for (let i = 0; i < n; i++) values[i] = (values[i] * nInv) % bn_254_fp
+    }
+}
+
+/**
+ * Schoolbook product of two polynomials (lowest degree first)
+ */
+export function multiplyScalar(a: bigint[], b: bigint[]): bigint[] {
+    const result: bigint[] = new Array(a.length + b.length - 1).fill(0n)
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] = (result[i + j] + a[i] * b[j]) % bn_254_fp
+        }
+    }
+    return result
+}
+
+/**
+ * Product of two polynomials, via NTT when both are large enough
+ * Falls back to the schoolbook product for small inputs or when the
+ * result would not fit the 2^28 subgroup
+ */
+export function multiplyPolynomials(
+    a: bigint[],
+    b: bigint[],
+    options: ConstructionOptions = {}
+): bigint[] {
+    const resultLength = a.length + b.length - 1
+    let size = 1
+    while (size < resultLength) size <<= 1
+
+    const useNtt =
+        options.useNtt !== false &&
+        Math.min(a.length, b.length) >= NTT_THRESHOLD &&
+        size <= 2 ** TWO_ADICITY
+    if (!useNtt) return multiplyScalar(a, b)
+
+    const fa: bigint[] = a.concat(new Array(size - a.length).fill(0n))
+    const fb: bigint[] = b.concat(new Array(size - b.length).fill(0n))
+    ntt(fa)
+    ntt(fb)
+    for (let i = 0; i < size; i++) fa[i] = (fa[i] * fb[i]) % bn_254_fp
+    ntt(fa, true)
+
+    return fa.slice(0, resultLength)
+}
+
+/**
+ * Build the monic polynomial whose roots are the given values, with a
+ * product tree: O(n log^2 n) field operations instead of O(n^2)
+ * @returns Coefficients, lowest degree first (same as interpolatePolynomial)
+ */
+export function buildPolynomialFromRoots(
+    roots: bigint[],
+    options: ConstructionOptions = {}
+): bigint[] {
+    if (roots.length === 0) return [1n]
+
+    // Leaves: x - root
+    let level: bigint[][] = roots.map((root) => [mod(-root), 1n])
+
+    // Multiply neighbours until one polynomial is left
+    while (level.length > 1) {
+        const next: bigint[][] = []
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(
+                i + 1 < level.length
+                    ? multiplyPolynomials(level[i], level[i + 1], options)
+                    : level[i]
+            )
+        }
+        level = next
+    }
+
+    return level[0]
+}
+
+// Self-test when run directly
+if (require.main === module) {
+    console.log("=== Testing NTT Polynomial Construction ===\n")
+
+    console.log("1️⃣ Testing NTT round-trip...")
+    const values = Array.from({ length: 16 }, (_, i) => BigInt(i * i + 3))
+    const transformed = [...values]
+    ntt(transformed)
+    ntt(transformed, true)
+    console.log(
+        `   Inverse restores input: ${
+            transformed.every((v, i) => v === values[i]) ? "✅" : "❌"
+        }`
+    )
+
+    console.log("\n2️⃣ Comparing with interpolatePolynomial...")
+    for (const degree of [1, 3, 64, 200]) {
+        const roots = Array.from({ length: degree }, (_, i) =>
+            mod(BigInt(i + 1) * 0x9e3779b97f4a7c15n)
+        )
+        const expected = interpolatePolynomial(roots)
+        const actual = buildPolynomialFromRoots(roots)
+        const scalar = buildPolynomialFromRoots(roots, { useNtt: false })
+        const match =
+            actual.length === expected.length &&
+            actual.every((c, i) => c === expected[i]) &&
+            scalar.every((c, i) => c === expected[i])
+        console.log(`   Degree ${degree}: ${match ? "✅" : "❌"}`)
+    }
+
+    console.log("\n3️⃣ Comparing the JS port with interpolatePolynomial...")
+    // benchmark.js and root_recovery.js use the copy in test_data_generator.js
+    const jsPort = require("./test_data_generator")
+    for (const degree of [1, 3, 64, 200]) {
+        const roots = Array.from({ length: degree }, (_, i) =>
+            mod(BigInt(i + 7) * 0x9e3779b97f4a7c15n)
+        )
+        const expected = interpolatePolynomial(roots)
+        const variants: bigint[][] = [
+            jsPort.buildPolynomialFromRoots(roots),
+            jsPort.buildPolynomialFromRoots(roots, { useNtt: false }),
+            jsPort.interpolatePolynomial(roots),
+        ]
+        const match = variants.every(
+            (coefficients) =>
+                coefficients.length === expected.length &&
+                coefficients.every((c, i) => c === expected[i])
+        )
+        console.log(`   Degree ${degree}: ${match ? "✅" : "❌"}`)
+    }
+
+    console.log("\n4️⃣ Timing degree 1024...")
+    const roots = Array.from({ length: 1024 }, (_, i) => BigInt(i + 1) * 7919n)
+    let start = Date.now()
+    buildPolynomialFromRoots(roots, { useNtt: false })
+    console.log(`   Scalar product tree: ${Date.now() - start}ms`)
+    start = Date.now()
+    buildPolynomialFromRoots(roots)
+    console.log(`   NTT product tree: ${Date.now() - start}ms`)
+
+    console.log("\n" + "=".repeat(50))
+    console.log("🎉 All NTT construction tests completed!")
+}
@@ -0,0 +1,346 @@
+// polynomial/utils/root_recovery.js
+// Root-recovery audit: factors published batch polynomials over BN254 to
+// measure how many member secrets the coefficients leak
+
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+
+const {
+    FIELD_PRIME,
+    toPositiveField,
+    multiplyPolynomials,
+    buildPolynomialFromRoots,
+} = require("./test_data_generator")
+
+// Defaults are the files benchmark.js writes in the repository root
+// (temp_poly_storage.csv is kept only with --dry-run)
+const DEFAULT_POLY_FILE = path.join(__dirname, "../../temp_poly_storage.csv")
+const DEFAULT_USERS_FILE = path.join(__dirname, "../../users.csv")
+
+/* ------------ Polynomial arithmetic over F_p (lowest degree first) ------------ */
+
+function fieldInverse(value) {
+    let result = 1n
+    let b = toPositiveField(value)
+    let e = FIELD_PRIME - 2n
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % FIELD_PRIME
+        b = (b * b) % FIELD_PRIME
+        e >>= 1n
+    }
+    return result
+}
+
+function degree(poly) {
+    return poly.length - 1
+}
+
+// Matched users listed per batch on the console; --matches= has them all
+const PRINTED_MATCHES = 5
+
+// Drop zero leading coefficients; the zero polynomial is []
+function trim(poly) {
+    let end = poly.length
+    while (end > 0 && poly[end - 1] === 0n) end--
+    return poly.slice(0, end)
+}
+
+function makeMonic(poly) {
+    const inv = fieldInverse(poly[poly.length - 1])
+    return poly.map((c) => (c * inv) % FIELD_PRIME)
+}
+
+/**
+ * Long division by a monic divisor
+ * @returns {{ quotient: bigint[], remainder: bigint[] }}
+ */
+function divideMonic(dividend, divisor) {
+    const rem = [...dividend]
+    const dd = degree(divisor)
+    const quotient = new Array(Math.max(rem.length - dd, 0)).fill(0n)
+    // Subtracting coef * d_j is adding coef * (p - d_j), which stays positive
+    const negated = divisor.map((c) => (FIELD_PRIME - c) % FIELD_PRIME)
+
+    for (let i = rem.length - 1; i >= dd; i--) {
+        const coef = rem[i]
+        if (coef === 0n) continue
+        quotient[i - dd] = coef
+        for (let j = 0; j < dd; j++) {
+            rem[i - dd + j] =
+                (rem[i - dd + j] + coef * negated[j]) % FIELD_PRIME
+        }
+        rem[i] = 0n
+    }
+
+    return { quotient, remainder: trim(rem.slice(0, dd)) }
+}
+
+// Monic gcd by Euclid's algorithm
+function gcd(a, b) {
+    let x = trim(a)
+    let y = trim(b)
+    while (y.length > 0) {
+        const r = divideMonic(x, makeMonic(y)).remainder
+        x = y
+        y = r
+    }
+    return x.length > 0 ? makeMonic(x) : x
+}
+
+/**
+ * (x + shift)^exponent mod modulus, by square-and-multiply. Multiplying by
+ * the linear base is a shift and a scale, so each step costs one squaring.
+ */
+function powLinearMod(shift, exponent, modulus) {
+    let result = [1n]
+    for (let bit = exponent.toString(2), i = 0; i < bit.length; i++) {
+        if (result.length === 0) return result
+        result = divideMonic(
+            multiplyPolynomials(result, result),
+            modulus
+        ).remainder
+        if (bit[i] === "1") {
+            const next = [0n, ...result]
+            for (let j = 0; j < result.length; j++) {
+                next[j] = (next[j] + result[j] * shift) % FIELD_PRIME
+            }
+            result = divideMonic(next, modulus).remainder
+        }
+    }
+    return result
+}
+
+function randomFieldElement() {
+    return BigInt("0x" + crypto.randomBytes(32).toString("hex")) % FIELD_PRIME
+}
+
+/**
+ * Equal-degree splitting of a product of distinct linear factors: for a
+ * random a, gcd((x + a)^((p - 1) / 2) - 1, g) keeps the roots r for which
+ * r + a is a square, so about half of them on each try.
+ */
+function splitLinearFactors(g, roots) {
+    if (degree(g) < 1) return
+    if (degree(g) === 1) {
+        roots.push(toPositiveField(-g[0]))
+        return
+    }
+
+    for (;;) {
+        const h = powLinearMod(randomFieldElement(), (FIELD_PRIME - 1n) / 2n, g)
+        h[0] = toPositiveField((h[0] ?? 0n) - 1n)
+        const d = gcd(g, h)
+        if (degree(d) > 0 && degree(d) < degree(g)) {
+            splitLinearFactors(d, roots)
+            splitLinearFactors(divideMonic(g, d).quotient, roots)
+            return
+        }
+    }
+}
+
+/**
+ * Recovers every root in F_p of a polynomial (Cantor-Zassenhaus)
+ * @param {bigint[]} coefficients - Lowest degree first, as in serializePolynomialToCSV
+ * @returns {bigint[]} - Distinct roots, ascending
+ */
+function recoverRoots(coefficients) {
+    const f = trim(coefficients.map((c) => toPositiveField(c)))
+    if (degree(f) < 1) return []
+    const monic = makeMonic(f)
+
+    // gcd(f, x^p - x) is the product of the distinct linear factors of f
+    const xp = powLinearMod(0n, FIELD_PRIME, monic)
+    while (xp.length < 2) xp.push(0n)
+    xp[1] = toPositiveField(xp[1] - 1n)
+    const linear = gcd(monic, trim(xp))
+
+    const roots = []
+    splitLinearFactors(linear.length > 0 ? linear : monic, roots)
+    return roots.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+}
+
+/* ------------ Audit ------------ */
+
+/**
+ * Parses a serializePolynomialToCSV file into per-batch coefficient vectors
+ */
+function loadPolynomialCSV(file) {
+    const batches = []
+    const lines = fs.readFileSync(file, "utf-8").split("\n").slice(1)
+    for (const line of lines) {
+        if (line.trim().length === 0) continue
+        const [batchIdx, coeffIdx, value] = line.split(",")
+        const batch = (batches[Number(batchIdx)] ??= [])
+        batch[Number(coeffIdx)] = BigInt(value)
+    }
+    return batches.map((batch) => Array.from(batch, (c) => c ?? 0n))
+}
+
+/**
+ * Loads users.csv (email,secret,salt) as secret -> email
+ */
+function loadUsers(file) {
+    const users = new Map()
+    const lines = fs.readFileSync(file, "utf-8").split("\n").slice(1)
+    for (const line of lines) {
+        if (line.trim().length === 0) continue
+        const [email, secret] = line.split(",")
+        users.set(BigInt(secret).toString(), email)
+    }
+    return users
+}
+
+/**
+ * Recovers the roots of every batch and matches them against known users
+ * @param {bigint[][]} batches - Coefficient vectors
+ * @param {Map<string, string>} users - secret -> email
+ * @param {{ batch?: number }} options - Only audit this batch index
+ */
+function auditBatches(batches, users, options = {}) {
+    const results = []
+    batches.forEach((coefficients, batchIndex) => {
+        if (options.batch !== undefined && options.batch !== batchIndex) return
+
+        const start = process.hrtime.bigint()
+        const roots = recoverRoots(coefficients)
+        const recoveryTimeMs =
+            Number(process.hrtime.bigint() - start) / 1_000_000
+
+        const matches = roots
+            .filter((root) => users.has(root.toString()))
+            .map((root) => ({
+                secret: root,
+                email: users.get(root.toString()),
+            }))
+
+        results.push({
+            batchIndex,
+            degree: degree(trim(coefficients)),
+            roots,
+            matches,
+            recoveryTimeMs,
+        })
+    })
+    return results
+}
+
+/**
+ * Times full recovery on random polynomials of each degree
+ * @returns {{ degree: number, recoveryTimeMs: number, allRecovered: boolean }[]}
+ */
+function timeRecovery(degrees) {
+    return degrees.map((deg) => {
+        const roots = Array.from({ length: deg }, randomFieldElement)
+        const polynomial = buildPolynomialFromRoots(roots)
+
+        const start = process.hrtime.bigint()
+        const recovered = recoverRoots(polynomial)
+        const recoveryTimeMs =
+            Number(process.hrtime.bigint() - start) / 1_000_000
+
+        const found = new Set(recovered.map((r) => r.toString()))
+        const allRecovered =
+            recovered.length === deg &&
+            roots.every((r) => found.has(r.toString()))
+        return { degree: deg, recoveryTimeMs, allRecovered }
+    })
+}
+
+/* CLI entrypoint */
+if (require.main === module) {
+    const args = process.argv.slice(2)
+    const arg = (name) =>
+        args.find((a) => a.startsWith(`--${name}=`))?.split("=")[1]
+
+    try {
+        const degreesArg = arg("degrees")
+        if (degreesArg) {
+            console.log("⏱️  Timing full root recovery per degree...\n")
+            const rows = timeRecovery(degreesArg.split(",").map(Number))
+            const lines = ["degree,recovery_time_ms,all_roots_recovered"]
+            for (const row of rows) {
+                console.log(
+                    `   Degree ${row.degree}: ${row.recoveryTimeMs.toFixed(
+                        1
+                    )}ms ${row.allRecovered ? "✅" : "❌"}`
+                )
+                lines.push(
+                    `${row.degree},${row.recoveryTimeMs.toFixed(3)},${
+                        row.allRecovered
+                    }`
+                )
+            }
+            if (arg("out")) fs.writeFileSync(arg("out"), lines.join("\n"))
+            process.exit(rows.every((r) => r.allRecovered) ? 0 : 1)
+        }
+
+        const polyFile = arg("poly") ?? DEFAULT_POLY_FILE
+        const usersFile = arg("users") ?? DEFAULT_USERS_FILE
+        const batchArg = arg("batch")
+
+        if (!fs.existsSync(polyFile)) {
+            throw new Error(
+                `${polyFile} not found: run the benchmark with --dry-run to keep it, or pass --poly=`
+            )
+        }
+        console.log(`🔓 Recovering roots from ${polyFile}...`)
+        const batches = loadPolynomialCSV(polyFile)
+        const users = fs.existsSync(usersFile)
+            ? loadUsers(usersFile)
+            : new Map()
+        console.log(`Batches: ${batches.length}, known users: ${users.size}\n`)
+
+        const results = auditBatches(batches, users, {
+            batch: batchArg !== undefined ? Number(batchArg) : undefined,
+        })
+
+        const lines = [
+            "batch_index,degree,recovered_roots,matched_users,recovery_time_ms",
+        ]
+        const matchLines = ["batch_index,email,secret"]
+        for (const r of results) {
+            console.log(
+                `   Batch ${r.batchIndex} (degree ${r.degree}): ${
+                    r.roots.length
+                } roots, ${
+                    r.matches.length
+                } match users.csv in ${r.recoveryTimeMs.toFixed(1)}ms`
+            )
+            r.matches.slice(0, PRINTED_MATCHES).forEach((m) => {
+                console.log(`      ${m.email}: ${m.secret}`)
+            })
+            if (r.matches.length > PRINTED_MATCHES) {
+                console.log(
+                    `      ... and ${r.matches.length - PRINTED_MATCHES} more`
+                )
+            }
+            lines.push(
+                `${r.batchIndex},${r.degree},${r.roots.length},${
+                    r.matches.length
+                },${r.recoveryTimeMs.toFixed(3)}`
+            )
+            r.matches.forEach((m) => {
+                matchLines.push(`${r.batchIndex},${m.email},${m.secret}`)
+            })
+        }
+        if (arg("out")) fs.writeFileSync(arg("out"), lines.join("\n"))
+        if (arg("matches")) {
+            fs.writeFileSync(arg("matches"), matchLines.join("\n"))
+        }
+
+        const leaked = results.reduce((sum, r) => sum + r.matches.length, 0)
+        console.log(`\n⚠️  Secrets recovered: ${leaked}`)
+    } catch (err) {
+        console.error("Fatal error recovering roots:", err)
+        process.exit(1)
+    }
+}
+
+module.exports = {
+    recoverRoots,
+    loadPolynomialCSV,
+    loadUsers,
+    auditBatches,
+    timeRecovery,
+}
@@ -6,6 +6,7 @@ const path = require("path")
 // const circomlibjs = require("circomlibjs");  // we may still keep this for fallback
 
 const { poseidon2Hash } = require("@zkpassport/poseidon2") // the Poseidon2 library you just installed
+const { MAX_POLY_DEGREE, writeBlindedCircuit } = require("./poly_config")
 
 // BN254 field prime
 const FIELD_PRIME =
@@ -18,6 +19,7 @@ const TEST_CONFIG = {
     salt: "test_salt_123",
     verifierKey: "verifier_key_456",
     isKYCed: true,
+    rootSalt: "root_salt_789", // Blinding salt for --blinded
 }
 
 // Simple SHA-256 -> field helper (synchronous)
@@ -79,6 +81,14 @@ function realPoseidon2Hash(inputs) {
     }
 }
 
+/**
+ * Commitment used as a polynomial root in blinded mode: poseidon2([secret, salt]).
+ * Factoring the published polynomial then yields commitments, not secrets.
+ */
+function blindRoot(secret, salt) {
+    return realPoseidon2Hash([secret, salt])
+}
+
 /* ------------ Polynomial interpolation (mod FIELD_PRIME) ------------ */
 function interpolatePolynomial(roots) {
     let polynomial = [1n]
@@ -93,23 +103,311 @@ function interpolatePolynomial(roots) {
     return polynomial.map((coeff) => toPositiveField(coeff))
 }
 
+/* ------------ NTT product-tree construction (see polynomial_ntt.ts) ------------ */
+// FIELD_PRIME - 1 = 2^28 * odd; ROOT_OF_UNITY = 5^((p - 1) / 2^28) has order 2^28
+const TWO_ADICITY = 28
+const ROOT_OF_UNITY =
+    19103219067921713944291392827692070036145651957329286315305642004821462161904n
+// Below this many coefficients the schoolbook product is faster than an NTT
+const NTT_THRESHOLD = 64
+
+function modPow(base, exponent) {
+    let result = 1n
+    let b = toPositiveField(base)
+    let e = exponent
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % FIELD_PRIME
+        b = (b * b) % FIELD_PRIME
+        e >>= 1n
+    }
+    return result
+}
+
+/* In-place NTT of a power-of-two length array (inverse when invert is true) */
+function ntt(values, invert = false) {
+    const n = values.length
+    const logN = Math.log2(n)
+    if (!Number.isInteger(logN) || logN > TWO_ADICITY) {
+        throw new Error(`NTT size must be a power of two up to 2^28: ${n}`)
+    }
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) j ^= bit
+        j ^= bit
+        if (i < j) {
+            const tmp = values[i]
+            values[i] = values[j]
+            values[j] = tmp
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        let w = modPow(ROOT_OF_UNITY, BigInt(2 ** TWO_ADICITY / len))
+        if (invert) w = modPow(w, FIELD_PRIME - 2n)
+
+        const half = len >> 1
+        const twiddles = new Array(half)
+        twiddles[0] = 1n
+        for (let k = 1; k < half; k++) {
+            twiddles[k] = (twiddles[k - 1] * w) % FIELD_PRIME
+        }
+
+        for (let start = 0; start < n; start += len) {
+            for (let k = 0; k < half; k++) {
+                const u = values[start + k]
+                const v = (values[start + k + half] * twiddles[k]) % FIELD_PRIME
+                values[start + k] =
+                    u + v >= FIELD_PRIME ? u + v - FIELD_PRIME : u + v
+                values[start + k + half] = u >= v ? u - v : u - v + FIELD_PRIME
+            }
+        }
+    }
+
+    if (invert) {
+        const nInv = modPow(BigInt(n), FIELD_PRIME - 2n)
+        for (let i = 0; i < n; i++) values[i] = (values[i] * nInv) % FIELD_PRIME
+    }
+}
+
+function multiplyScalar(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0n)
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            result[i + j] = (result[i + j] + a[i] * b[j]) % FIELD_PRIME
+        }
+    }
+    return result
+}
+
+/* Polynomial product: NTT for large inputs, schoolbook otherwise */
+function multiplyPolynomials(a, b, { useNtt = true } = {}) {
+    const resultLength = a.length + b.length - 1
+    let size = 1
+    while (size < resultLength) size <<= 1
+
+    if (
+        !useNtt ||
+        Math.min(a.length, b.length) < NTT_THRESHOLD ||
+        size > 2 ** TWO_ADICITY
+    ) {
+        return multiplyScalar(a, b)
+    }
+
+    const fa = a.concat(new Array(size - a.length).fill(0n))
+    const fb = b.concat(new Array(size - b.length).fill(0n))
+    ntt(fa)
+    ntt(fb)
+    for (let i = 0; i < size; i++) fa[i] = (fa[i] * fb[i]) % FIELD_PRIME
+    ntt(fa, true)
+
+    return fa.slice(0, resultLength)
+}
+
+/* Product tree of (x - root): same coefficients as interpolatePolynomial */
+function buildPolynomialFromRoots(roots, options = {}) {
+    if (roots.length === 0) return [1n]
+
+    let level = roots.map((root) => [toPositiveField(-root), 1n])
+    while (level.length > 1) {
+        const next = []
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(
+                i + 1 < level.length
+                    ? multiplyPolynomials(level[i], level[i + 1], options)
+                    : level[i]
+            )
+        }
+        level = next
+    }
+
+    return level[0]
+}
+
+/* ------------ Multipoint evaluation (see polynomial_eval.ts) ------------ */
+// Below nodes of 2^HORNER_LEVEL points, Horner on the remainder is faster
+const HORNER_LEVEL = 5
+// Below this many coefficients one Horner pass per point is faster
+const MULTIPOINT_THRESHOLD = 1024
+
+/* P(x) by Horner's rule */
+function evaluatePolynomial(polynomial, x) {
+    let result = 0n
+    for (let i = polynomial.length - 1; i >= 0; i--) {
+        result = toPositiveField(result * x + polynomial[i])
+    }
+    return result
+}
+
+/* Power series inverse of f mod x^n by Newton iteration */
+function inverseSeries(f, n) {
+    let g = [modPow(f[0], FIELD_PRIME - 2n)]
+    for (let k = 1; k < n; ) {
+        k = Math.min(2 * k, n)
+        const fg = multiplyPolynomials(f.slice(0, k), g).slice(0, k)
+        const e = new Array(k).fill(0n)
+        for (let i = 0; i < fg.length; i++) e[i] = toPositiveField(-fg[i])
+        e[0] = toPositiveField(e[0] + 2n)
+        g = multiplyPolynomials(g, e).slice(0, k)
+    }
+    return g
+}
+
+// Series inverses of reversed tree nodes, reused by every batch on a tree
+const inverseCache = new WeakMap()
+
+/* a mod a monic divisor: long division, or Newton division when both are large */
+function remainderMonic(a, divisor) {
+    const m = divisor.length - 1
+    if (a.length <= m) return [...a]
+
+    const quotientLength = a.length - m
+    if (Math.min(quotientLength, m) < NTT_THRESHOLD) {
+        const rem = [...a]
+        for (let i = rem.length - 1; i >= m; i--) {
+            const coef = rem[i]
+            if (coef === 0n) continue
+            for (let j = 0; j < m; j++) {
+                rem[i - m + j] = toPositiveField(
+                    rem[i - m + j] - coef * divisor[j]
+                )
+            }
+            rem[i] = 0n
+        }
+        return rem.slice(0, m)
+    }
+
+    let inverse = inverseCache.get(divisor)
+    if (!inverse || inverse.length < quotientLength) {
+        inverse = inverseSeries([...divisor].reverse(), quotientLength)
+        inverseCache.set(divisor, inverse)
+    }
+    const quotient = multiplyPolynomials(
+        [...a].reverse().slice(0, quotientLength),
+        inverse
+    )
+        .slice(0, quotientLength)
+        .reverse()
+
+    const product = multiplyPolynomials(quotient, divisor)
+    const rem = new Array(m)
+    for (let i = 0; i < m; i++) rem[i] = toPositiveField(a[i] - product[i])
+    return rem
+}
+
+/* Subproduct tree: level 0 holds x - point, each level the pairwise products */
+function buildSubproductTree(points) {
+    let level = points.map((point) => [toPositiveField(-point), 1n])
+    const tree = [level]
+    while (level.length > 1) {
+        const next = []
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(
+                i + 1 < level.length
+                    ? multiplyPolynomials(level[i], level[i + 1])
+                    : level[i]
+            )
+        }
+        tree.push(next)
+        level = next
+    }
+    return tree
+}
+
+/* P at every leaf: reduce P down the tree, then Horner on small remainders */
+function evaluateOnTree(polynomial, tree) {
+    const leaves = tree[0]
+    if (leaves.length === 0) return []
+
+    const top = tree.length - 1
+    const stop = Math.min(HORNER_LEVEL, top)
+    let remainders = [remainderMonic(polynomial, tree[top][0])]
+    for (let level = top - 1; level >= stop; level--) {
+        remainders = tree[level].map((node, i) =>
+            remainderMonic(remainders[i >> 1], node)
+        )
+    }
+
+    return leaves.map((leaf, i) =>
+        evaluatePolynomial(remainders[i >> stop], toPositiveField(-leaf[0]))
+    )
+}
+
+const useTreeFor = (length, { useTree } = {}) =>
+    useTree ?? length >= MULTIPOINT_THRESHOLD
+
+/* P(point) for every point, in blocks of deg P + 1 points */
+function evaluateMultipoint(polynomial, points, options = {}) {
+    if (!useTreeFor(polynomial.length, options)) {
+        return points.map((point) => evaluatePolynomial(polynomial, point))
+    }
+
+    const blockSize = Math.max(polynomial.length, 1)
+    const values = []
+    for (let start = 0; start < points.length; start += blockSize) {
+        const tree = buildSubproductTree(points.slice(start, start + blockSize))
+        values.push(...evaluateOnTree(polynomial, tree))
+    }
+    return values
+}
+
+/**
+ * For each secret, the index of the first batch that vanishes at it, or null.
+ * With the tree, the secrets' subproduct trees are shared by every batch.
+ */
+function checkMembers(batches, secrets, options = {}) {
+    const maxLength = batches.reduce(
+        (max, poly) => Math.max(max, poly.length),
+        1
+    )
+    if (!useTreeFor(maxLength, options)) {
+        return secrets.map((secret) => {
+            const batchIdx = batches.findIndex(
+                (poly) => evaluatePolynomial(poly, secret) === 0n
+            )
+            return batchIdx === -1 ? null : batchIdx
+        })
+    }
+
+    const matches = new Array(secrets.length).fill(null)
+    for (let start = 0; start < secrets.length; start += maxLength) {
+        const tree = buildSubproductTree(
+            secrets.slice(start, start + maxLength)
+        )
+        batches.forEach((poly, batchIdx) => {
+            evaluateOnTree(poly, tree).forEach((value, i) => {
+                if (value === 0n && matches[start + i] === null) {
+                    matches[start + i] = batchIdx
+                }
+            })
+        })
+    }
+    return matches
+}
+
 /* ------------ Test data generation (async) ------------ */
-async function generateTestData() {
+async function generateTestData({
+    blinded = false,
+    maxDegree = MAX_POLY_DEGREE,
+} = {}) {
     console.log("🧪 Generating test data for ZKP circuit...\n")
 
     // 1. Generate secret from user email + salt
     const secret = hashToField(TEST_CONFIG.userEmail + TEST_CONFIG.salt)
     console.log(`Secret (from ${TEST_CONFIG.userEmail}): ${secret}`)
 
-    // 2. Generate polynomial with secret as root
-    const testRoots = [...TEST_CONFIG.roots, secret]
-    const polynomial = interpolatePolynomial(testRoots)
+    // 2. Generate polynomial with the user's root: the secret, or its
+    // commitment when blinded
+    const salt = blinded ? hashToField(TEST_CONFIG.rootSalt) : 0n
+    const root = blinded ? blindRoot(secret, salt) : secret
+    console.log(`Root mode: ${blinded ? "blinded commitment" : "raw secret"}`)
+    const testRoots = [...TEST_CONFIG.roots, root]
+    const polynomial = buildPolynomialFromRoots(testRoots)
     console.log(`Polynomial degree: ${polynomial.length - 1}`)
 
-    // 3. Pad polynomial to MAX_POLY_DEGREE (must match main.nr)
-    const MAX_POLY_DEGREE = 128
+    // 3. Pad polynomial to MAX_POLY_DEGREE (see poly_config.js)
     const paddedPolynomial = [...polynomial]
-    while (paddedPolynomial.length <= MAX_POLY_DEGREE) paddedPolynomial.push(0n)
+    while (paddedPolynomial.length <= maxDegree) paddedPolynomial.push(0n)
     const validatedPolynomial = paddedPolynomial.map((coeff) =>
         toPositiveField(coeff)
     )
@@ -129,10 +427,14 @@ async function generateTestData() {
 nullifier = "${nullifier}"
 polynomial = [${validatedPolynomial.map((p) => `"${p}"`).join(", ")}]
 polynomial_hash = "${polynomialHash}"
+salt = "${salt}"
 secret = "${secret}"
 verifier_key = "${verifierKey}"`
 
     return {
+        blinded,
+        salt,
+        root,
         secret,
         polynomial: validatedPolynomial,
         polynomialHash,
@@ -143,27 +445,26 @@ verifier_key = "${verifierKey}"`
     }
 }
 
-/* Evaluate polynomial at secret (for validation) */
-function testPolynomialEvaluation(polynomial, secret) {
-    let result = 0n
-    let xPower = 1n
-    for (let i = 0; i < polynomial.length; i++) {
-        result = (result + polynomial[i] * xPower) % FIELD_PRIME
-        xPower = (xPower * secret) % FIELD_PRIME
-    }
-    return result
-}
-
 /* Input validation */
 async function validateCircuitInputs(testData) {
     console.log("\n🔍 Validating circuit inputs...")
 
-    const evaluation = testPolynomialEvaluation(
-        testData.polynomial,
-        testData.secret
-    )
-    console.log(`✓ Polynomial evaluation at secret: ${evaluation}`)
-    console.log(`✓ Secret is valid root: ${evaluation === 0n ? "✅" : "❌"}`)
+    // The circuit evaluates at the commitment in blinded mode
+    const root = testData.blinded
+        ? blindRoot(testData.secret, testData.salt)
+        : testData.secret
+    const evaluation = evaluatePolynomial(testData.polynomial, root)
+    console.log(`✓ Polynomial evaluation at root: ${evaluation}`)
+    console.log(`✓ Root is valid: ${evaluation === 0n ? "✅" : "❌"}`)
+
+    if (testData.blinded) {
+        const leaksSecret =
+            evaluatePolynomial(testData.polynomial, testData.secret) === 0n
+        console.log(
+            `✓ Secret is not a root: ${leaksSecret ? "❌ PROBLEM" : "✅"}`
+        )
+        if (leaksSecret) return false
+    }
 
     const recomputedHash = realPoseidon2Hash(testData.polynomial)
     const hashMatch = recomputedHash === testData.polynomialHash
@@ -191,17 +492,26 @@ if (require.main === module) {
             "🚀 Starting ZKP test data generation (using Poseidon2)...\n"
         )
         try {
-            const testData = await generateTestData()
+            const blinded = process.argv.includes("--blinded")
+            const testData = await generateTestData({ blinded })
             const isValid = await validateCircuitInputs(testData)
             if (!isValid) {
                 console.error("❌ Validation failed! Please check the inputs.")
                 process.exit(1)
             }
 
+            // Blinding is compiled into the circuit, not a proof input, so
+            // blinded data goes with a copy of the circuit built that way
+            let circuitDir = path.join(__dirname, "../circuit")
+            if (blinded) {
+                circuitDir = writeBlindedCircuit(circuitDir)
+                console.log(`\n🔧 Wrote ${circuitDir} with BLINDED = true`)
+            }
+
             console.log("\n📝 Writing test data to Prover.toml...")
-            const proverPath = path.join(__dirname, "../circuit/Prover.toml")
+            const proverPath = path.join(circuitDir, "Prover.toml")
             fs.writeFileSync(proverPath, testData.proverToml)
-            console.log("✅ Test data written to Prover.toml")
+            console.log(`✅ Test data written to ${proverPath}`)
 
             console.log("\n📊 Test Summary:")
             console.log(`- Secret: ${testData.secret}`)
@@ -219,7 +529,12 @@ if (require.main === module) {
             }
 
             console.log("\n🎯 Ready for circuit testing!")
-            console.log("Run: cd circuit && nargo prove && nargo verify")
+            console.log(
+                `Run: cd ${path.relative(
+                    process.cwd(),
+                    circuitDir
+                )} && nargo prove && nargo verify`
+            )
         } catch (err) {
             console.error("Fatal error generating test data:", err)
             process.exit(1)
@@ -229,8 +544,16 @@ if (require.main === module) {
 
 module.exports = {
     generateTestData,
+    hashToField,
     toPositiveField,
     FIELD_PRIME,
     realPoseidon2Hash,
     validateCircuitInputs,
+    interpolatePolynomial,
+    buildPolynomialFromRoots,
+    multiplyPolynomials,
+    evaluatePolynomial,
+    evaluateMultipoint,
+    checkMembers,
+    blindRoot,
 }
@@ -0,0 +1,550 @@
+// proving_backend.js
+// Proving backends for benchmark.js: the nargo/bb CLI, and an in-process mock
+// that checks each circuit's constraints in JS so the pipeline runs without
+// Noir or Barretenberg installed.
+// Every method takes (circuitDir, circuitName): compile, witness, writeVk,
+// prove (returns { peakRssBytes }, possibly as a promise), verify, and
+// artifactSizes.
+
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { spawn } = require("child_process")
+
+const {
+    FIELD_PRIME,
+    TOMBSTONE_LEAF,
+    hashLeaf,
+    hashPair,
+    realPoseidon2Hash,
+} = require("./IMT/utils/test_data_generator")
+const {
+    evaluatePolynomial,
+    blindRoot,
+} = require("./polynomial/utils/test_data_generator")
+
+// Fixed sizes of the mock's placeholder artifacts (not real proof sizes)
+const MOCK_PROOF_BYTES = 2048
+const MOCK_VK_BYTES = 1024
+
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size
+    } catch (e) {
+        return 0
+    }
+}
+
+/**
+ * Sizes of the proof and verification key a backend left in target/
+ * @returns {{ proofSize: number, vkSize: number }}
+ */
+function artifactSizes(circuitDir) {
+    return {
+        proofSize: fileSize(path.join(circuitDir, "target/proof")),
+        vkSize: fileSize(path.join(circuitDir, "target/vk")),
+    }
+}
+
+/* ------------ nargo / bb CLI ------------ */
+
+/**
+ * Runs a command without a shell and samples its peak resident set size
+ * (VmHWM in /proc/<pid>/status) while it runs
+ * @returns {Promise<number | null>} Peak RSS in bytes, or null where /proc
+ *   is unavailable (e.g. macOS)
+ */
+function spawnWithPeakRss(command, cwd, intervalMs = 20) {
+    return new Promise((resolve, reject) => {
+        const [cmd, ...args] = command.split(" ")
+        const child = spawn(cmd, args, { cwd })
+        let peak = null
+        let stdout = ""
+        let stderr = ""
+        child.stdout.on("data", (data) => (stdout += data))
+        child.stderr.on("data", (data) => (stderr += data))
+
+        const sample = () => {
+            try {
+                const status = fs.readFileSync(
+                    `/proc/${child.pid}/status`,
+                    "utf-8"
+                )
+                const match = status.match(/VmHWM:\s+(\d+) kB/)
+                if (match) peak = Math.max(peak ?? 0, parseInt(match[1]) * 1024)
+            } catch (e) {}
+        }
+        sample()
+        const timer = setInterval(sample, intervalMs)
+
+        child.on("error", (e) => {
+            clearInterval(timer)
+            reject(e)
+        })
+        child.on("close", (code) => {
+            clearInterval(timer)
+            if (code !== 0) {
+                reject(
+                    new Error(
+                        `Command failed: ${command}\nStderr: ${stderr}\nStdout: ${stdout}`
+                    )
+                )
+            } else {
+                resolve(peak)
+            }
+        })
+    })
+}
+
+/**
+ * The real toolchain: nargo compiles and executes, bb proves and verifies
+ * @param {(command: string, cwd: string) => number} execute - Runs a shell
+ *   command in cwd and throws if it fails
+ */
+function createCliBackend(execute) {
+    return {
+        name: "cli",
+        compile(circuitDir) {
+            execute("nargo compile", circuitDir)
+        },
+        witness(circuitDir) {
+            execute("nargo execute", circuitDir)
+        },
+        writeVk(circuitDir, circuitName) {
+            execute(
+                `bb write_vk -b ./target/${circuitName}.json -o ./target --oracle_hash keccak`,
+                circuitDir
+            )
+        },
+        // Run directly rather than through execute, to sample bb's memory
+        async prove(circuitDir, circuitName) {
+            const peakRssBytes = await spawnWithPeakRss(
+                `bb prove -b ./target/${circuitName}.json -w ./target/${circuitName}.gz -o ./target --oracle_hash keccak`,
+                circuitDir
+            )
+            return { peakRssBytes }
+        },
+        verify(circuitDir) {
+            execute(
+                `bb verify -k ./target/vk -p ./target/proof --oracle_hash keccak`,
+                circuitDir
+            )
+        },
+        artifactSizes,
+    }
+}
+
+/* ------------ Mock: circuit ABI from main.nr ------------ */
+
+const NOIR_GLOBAL_PATTERN = /global (\w+): (u32|bool) = (\d+|true|false);/g
+
+// Array lengths are a global, a number, or a sum of them (MAX_POLY_DEGREE + 1)
+function evaluateLength(expression, globals) {
+    return expression.split("+").reduce((total, term) => {
+        const name = term.trim()
+        if (/^\d+$/.test(name)) return total + parseInt(name)
+        if (globals[name] === undefined) {
+            throw new Error(`Unknown array length ${name} in main.nr`)
+        }
+        return total + globals[name]
+    }, 0)
+}
+
+function parseNoirType(type, globals) {
+    if (type === "Field") return { kind: "field" }
+    if (type === "bool") return { kind: "boolean" }
+    const array = type.match(/^\[Field;\s*(.+)\]$/)
+    if (array) {
+        return {
+            kind: "array",
+            length: evaluateLength(array[1], globals),
+            type: { kind: "field" },
+        }
+    }
+    throw new Error(`Unsupported main.nr parameter type: ${type}`)
+}
+
+/**
+ * The ABI nargo would emit for main.nr: each parameter's name, type and
+ * visibility, with array lengths resolved from the u32 globals. The globals
+ * (u32 and bool) are returned too, for the constraints.
+ */
+function readCircuitAbi(circuitDir) {
+    const source = fs.readFileSync(
+        path.join(circuitDir, "src/main.nr"),
+        "utf-8"
+    )
+    const globals = {}
+    for (const [, name, type, value] of source.matchAll(NOIR_GLOBAL_PATTERN)) {
+        globals[name] = type === "bool" ? value === "true" : parseInt(value)
+    }
+
+    const signature = source.match(/fn main\(([\s\S]*?)\)\s*\{/)
+    if (!signature) throw new Error(`No fn main in ${circuitDir}/src/main.nr`)
+
+    const parameters = signature[1]
+        .replace(/\/\/.*$/gm, "")
+        .split(",")
+        .map((p) => p.trim())
+        .filter((p) => p.length > 0)
+        .map((p) => {
+            const [, name, pub, type] = p.match(/^(\w+):\s*(pub\s+)?(.+)$/)
+            return {
+                name,
+                type: parseNoirType(type.trim(), globals),
+                visibility: pub ? "public" : "private",
+            }
+        })
+
+    return { source, globals, abi: { parameters } }
+}
+
+/* ------------ Mock: Prover.toml inputs ------------ */
+
+/**
+ * Parses the Prover.toml subset the generators write: quoted field elements,
+ * booleans and arrays of quoted field elements
+ */
+function parseProverToml(proverToml) {
+    const inputs = {}
+    const toField = (raw) => {
+        const value = BigInt(raw.trim().replace(/^"|"$/g, ""))
+        if (value < 0n || value >= FIELD_PRIME) {
+            throw new Error(`Input is not a field element: ${value}`)
+        }
+        return value
+    }
+
+    for (const line of proverToml.split("\n")) {
+        const match = line.match(/^\s*(\w+)\s*=\s*(.+?)\s*$/)
+        if (!match) continue
+        const [, name, raw] = match
+        if (raw === "true" || raw === "false") {
+            inputs[name] = raw === "true"
+        } else if (raw.startsWith("[")) {
+            const body = raw.slice(1, -1).trim()
+            inputs[name] = body.length === 0 ? [] : body.split(",").map(toField)
+        } else {
+            inputs[name] = toField(raw)
+        }
+    }
+    return inputs
+}
+
+// Checks the inputs against the ABI, as nargo does before executing
+function checkInputsMatchAbi(inputs, abi) {
+    for (const { name, type } of abi.parameters) {
+        const value = inputs[name]
+        if (value === undefined) {
+            throw new Error(`Missing input in Prover.toml: ${name}`)
+        }
+        if (type.kind === "array") {
+            if (!Array.isArray(value) || value.length !== type.length) {
+                throw new Error(
+                    `Input ${name} must be an array of ${type.length} elements`
+                )
+            }
+        } else if ((type.kind === "boolean") !== (typeof value === "boolean")) {
+            throw new Error(`Input ${name} must be a ${type.kind}`)
+        }
+    }
+}
+
+/* ------------ Mock: circuit constraints ------------ */
+
+/**
+ * Hashes a node up a Merkle path, as the circuits' path loops do
+ * @returns The root and the index spelled by the path bits
+ */
+function walkPath(node, merklePath, pathIndices) {
+    let currentHash = node
+    let index = 0n
+    for (let i = 0; i < merklePath.length; i++) {
+        currentHash =
+            pathIndices[i] === 1n
+                ? hashPair(merklePath[i], currentHash)
+                : hashPair(currentHash, merklePath[i])
+        index += pathIndices[i] << BigInt(i)
+    }
+    return { root: currentHash, index }
+}
+
+// Mirrors compute_root in IMT/forest/circuit/src/main.nr
+function computeRoot(node, index, merklePath, pathIndices) {
+    const walked = walkPath(node, merklePath, pathIndices)
+    constrain(walked.index === index, "Index mismatch")
+    return walked.root
+}
+
+function constrain(condition, message) {
+    if (!condition) throw new Error(`Constraint failed: ${message}`)
+}
+
+function constrainMemberLeaf(inputs) {
+    constrain(inputs.isKYCed === true, "KYC verification required")
+    constrain(inputs.secret !== 0n, "Secret 0 is reserved for empty leaves")
+    const leaf = hashLeaf(inputs.secret)
+    constrain(leaf !== TOMBSTONE_LEAF, "Leaf is tombstoned: member was deleted")
+    return leaf
+}
+
+function constrainNullifier(inputs) {
+    constrain(
+        realPoseidon2Hash([inputs.secret, inputs.verifier_key]) ===
+            inputs.nullifier,
+        "Nullifier mismatch"
+    )
+}
+
+// P(root) = 0 at the secret, or at its commitment when compiled BLINDED
+function constrainPolynomialRoot(inputs, globals) {
+    const root = globals.BLINDED
+        ? blindRoot(inputs.secret, inputs.salt)
+        : inputs.secret
+    constrain(
+        evaluatePolynomial(inputs.polynomial, root) === 0n,
+        "Not a member: P(root) ≠ 0"
+    )
+    constrain(inputs.isKYCed === true, "KYC verification required")
+}
+
+/**
+ * The assertions of each circuit's main.nr, in JS, keyed by circuit name.
+ * Each takes the Prover.toml inputs and the circuit's globals. Messages match
+ * the Noir assertions.
+ */
+const CIRCUIT_CONSTRAINTS = {
+    b2b_membership_imt(inputs) {
+        const leaf = constrainMemberLeaf(inputs)
+        const { root, index } = walkPath(
+            leaf,
+            inputs.merkle_path,
+            inputs.path_indices
+        )
+        constrain(
+            root === inputs.merkle_root,
+            "Merkle root mismatch: not a member"
+        )
+        constrain(index === inputs.leaf_index, "Leaf index mismatch")
+        constrainNullifier(inputs)
+    },
+
+    b2b_forest_imt(inputs) {
+        const leaf = constrainMemberLeaf(inputs)
+        const shardRoot = computeRoot(
+            leaf,
+            inputs.leaf_index,
+            inputs.merkle_path,
+            inputs.path_indices
+        )
+        const root = computeRoot(
+            shardRoot,
+            inputs.shard_id,
+            inputs.shard_path,
+            inputs.shard_path_indices
+        )
+        constrain(
+            root === inputs.aggregate_root,
+            "Aggregate root mismatch: not a member"
+        )
+        constrainNullifier(inputs)
+    },
+
+    b2b_non_membership_imt(inputs) {
+        constrain(inputs.secret !== 0n, "Secret 0 is reserved for empty leaves")
+        const value = hashLeaf(inputs.secret)
+        const lowLeaf = realPoseidon2Hash([
+            inputs.low_leaf_value,
+            inputs.low_leaf_next_index,
+            inputs.low_leaf_next_value,
+        ])
+        const { root, index } = walkPath(
+            lowLeaf,
+            inputs.merkle_path,
+            inputs.path_indices
+        )
+        constrain(
+            root === inputs.revocation_root,
+            "Revocation root mismatch: invalid low leaf"
+        )
+        constrain(index === inputs.low_leaf_index, "Low leaf index mismatch")
+        constrain(
+            inputs.low_leaf_value < value,
+            "Low leaf is not below the value"
+        )
+        constrain(
+            inputs.low_leaf_next_value === 0n ||
+                value < inputs.low_leaf_next_value,
+            "Revoked: value is on the list"
+        )
+        constrainNullifier(inputs)
+    },
+
+    b2b_membership(inputs, globals) {
+        constrain(
+            realPoseidon2Hash(inputs.polynomial) === inputs.polynomial_hash,
+            "Polynomial hash mismatch"
+        )
+        constrainPolynomialRoot(inputs, globals)
+        constrainNullifier(inputs)
+    },
+
+    b2b_hybrid_membership(inputs, globals) {
+        const { root, index } = walkPath(
+            realPoseidon2Hash(inputs.polynomial),
+            inputs.batch_path,
+            inputs.batch_path_indices
+        )
+        constrain(index === inputs.batch_index, "Batch index mismatch")
+        constrain(
+            root === inputs.batch_root,
+            "Batch root mismatch: batch not committed"
+        )
+        constrainPolynomialRoot(inputs, globals)
+        constrainNullifier(inputs)
+    },
+}
+
+/* ------------ Mock backend ------------ */
+
+// Deterministic bytes: SHA-256 in counter mode over the seed
+function expandBytes(seed, length) {
+    const blocks = []
+    for (let i = 0; blocks.length * 32 < length; i++) {
+        blocks.push(
+            crypto.createHash("sha256").update(seed).update(String(i)).digest()
+        )
+    }
+    return Buffer.concat(blocks).subarray(0, length)
+}
+
+// Binds a proof to the verification key and the public inputs
+function proofTag(vk, publicInputs) {
+    return crypto.createHash("sha256").update(vk).update(publicInputs).digest()
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"))
+}
+
+/**
+ * In-process backend: compile derives the ABI from main.nr, witness checks
+ * the circuit's constraints on Prover.toml, and prove/verify produce and
+ * check deterministic placeholder artifacts. Constraint failures throw with
+ * the circuit's assertion message.
+ */
+function createMockBackend() {
+    const target = (circuitDir, file) => path.join(circuitDir, "target", file)
+
+    return {
+        name: "mock",
+        compile(circuitDir, circuitName) {
+            if (!CIRCUIT_CONSTRAINTS[circuitName]) {
+                throw new Error(
+                    `No mock constraints for circuit ${circuitName}`
+                )
+            }
+            const { source, globals, abi } = readCircuitAbi(circuitDir)
+            fs.mkdirSync(path.join(circuitDir, "target"), { recursive: true })
+            fs.writeFileSync(
+                target(circuitDir, `${circuitName}.json`),
+                JSON.stringify({
+                    noir_version: "mock",
+                    hash: crypto
+                        .createHash("sha256")
+                        .update(source)
+                        .digest("hex"),
+                    abi,
+                    // Not in nargo's output: the mock constraints read them
+                    globals,
+                    bytecode: "",
+                })
+            )
+        },
+        witness(circuitDir, circuitName) {
+            const { abi, globals } = readJson(
+                target(circuitDir, `${circuitName}.json`)
+            )
+            const inputs = parseProverToml(
+                fs.readFileSync(path.join(circuitDir, "Prover.toml"), "utf-8")
+            )
+            checkInputsMatchAbi(inputs, abi)
+            CIRCUIT_CONSTRAINTS[circuitName](inputs, globals)
+
+            // The witness keeps only what the proof commits to
+            const publicInputs = abi.parameters
+                .filter((p) => p.visibility === "public")
+                .map((p) => String(inputs[p.name]))
+            fs.writeFileSync(
+                target(circuitDir, `${circuitName}.gz`),
+                JSON.stringify({ publicInputs })
+            )
+        },
+        writeVk(circuitDir, circuitName) {
+            const { hash } = readJson(target(circuitDir, `${circuitName}.json`))
+            fs.writeFileSync(
+                target(circuitDir, "vk"),
+                expandBytes(`vk:${hash}`, MOCK_VK_BYTES)
+            )
+        },
+        prove(circuitDir, circuitName) {
+            const { publicInputs } = readJson(
+                target(circuitDir, `${circuitName}.gz`)
+            )
+            const encoded = Buffer.from(publicInputs.join(","))
+            const tag = proofTag(
+                fs.readFileSync(target(circuitDir, "vk")),
+                encoded
+            )
+            fs.writeFileSync(target(circuitDir, "public_inputs"), encoded)
+            fs.writeFileSync(
+                target(circuitDir, "proof"),
+                Buffer.concat([tag, expandBytes(tag, MOCK_PROOF_BYTES - 32)])
+            )
+            // Proving runs in-process: there is no prover process to measure
+            return { peakRssBytes: null }
+        },
+        verify(circuitDir) {
+            const proof = fs.readFileSync(target(circuitDir, "proof"))
+            const tag = proofTag(
+                fs.readFileSync(target(circuitDir, "vk")),
+                fs.readFileSync(target(circuitDir, "public_inputs"))
+            )
+            if (!proof.subarray(0, 32).equals(tag)) {
+                throw new Error("Proof verification failed")
+            }
+        },
+        artifactSizes,
+    }
+}
+
+const BACKENDS = {
+    cli: createCliBackend,
+    mock: createMockBackend,
+}
+
+/**
+ * @param {string} name - "cli" (nargo/bb) or "mock"
+ * @param {(command: string, cwd: string) => number} execute - Shell runner
+ *   for the CLI backend
+ */
+function createBackend(name, execute) {
+    if (!BACKENDS[name]) {
+        throw new Error(
+            `Unknown proving backend: ${name} (expected ${Object.keys(
+                BACKENDS
+            ).join(", ")})`
+        )
+    }
+    return BACKENDS[name](execute)
+}
+
+module.exports = {
+    BACKENDS,
+    CIRCUIT_CONSTRAINTS,
+    createBackend,
+    createCliBackend,
+    createMockBackend,
+    readCircuitAbi,
+    parseProverToml,
+}
@@ -0,0 +1,675 @@
+// report.js
+// Comparison report from benchmark result CSVs: an offline HTML page with
+// log-scale SVG charts, and a markdown summary to paste into the README.
+//
+//   node report.js [results.csv ...] [--out=report.html] [--markdown=report.md]
+//   node report.js --self-test
+//
+// Without files it compares imt_results.csv and polynomial_results.csv. The
+// first file is the baseline that ratios and crossovers are computed against.
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const DEFAULT_FILES = ["imt_results.csv", "polynomial_results.csv"]
+
+// Columns charted against user_count, when a result file has them
+const METRICS = [
+    { column: "proof_gen_time_ms", title: "Proof generation time", unit: "ms" },
+    { column: "verification_time_ms", title: "Verification time", unit: "ms" },
+    {
+        column: "total_population_time_ms",
+        title: "Population time",
+        unit: "ms",
+    },
+    {
+        column: "total_structure_storage_bytes",
+        title: "Storage",
+        unit: "bytes",
+    },
+    { column: "retained_bytes", title: "Retained memory", unit: "bytes" },
+]
+
+const COLORS = ["#1f77b4", "#d62728", "#2ca02c", "#ff7f0e", "#9467bd"]
+
+/* ------------ Loading ------------ */
+
+/**
+ * Parses a result CSV. A file appended to by several runs keeps the last
+ * row of each user count. Rows with fewer fields than the header leave the
+ * rest NaN; a row with more was written under a different header, and its
+ * columns cannot be matched, so it throws.
+ * @returns {{ label: string, file: string, columns: string[], rows: Object[] }}
+ *   Rows sorted by user_count, values as numbers (NaN when empty)
+ */
+function loadResults(file) {
+    const lines = fs
+        .readFileSync(file, "utf-8")
+        .split("\n")
+        .filter((l) => l.trim().length > 0)
+    const columns = lines[0].split(",")
+    if (
+        !columns.includes("user_count") ||
+        !METRICS.some((m) => columns.includes(m.column))
+    ) {
+        throw new Error(
+            `${file} is not a result file (expected user_count and metric columns)`
+        )
+    }
+
+    const byCount = new Map()
+    lines.slice(1).forEach((line, i) => {
+        const values = line.split(",")
+        if (values.length > columns.length) {
+            throw new Error(
+                `${file} row ${i + 1} has ${
+                    values.length
+                } fields but the header has ${
+                    columns.length
+                }: it was appended under another header`
+            )
+        }
+        const row = {}
+        columns.forEach((c, i) => {
+            row[c] = values[i] === undefined ? NaN : parseFloat(values[i])
+        })
+        if (Number.isFinite(row.user_count)) byCount.set(row.user_count, row)
+    })
+
+    return {
+        label: path.basename(file, ".csv").replace("_results", ""),
+        file,
+        columns,
+        rows: [...byCount.values()].sort((a, b) => a.user_count - b.user_count),
+    }
+}
+
+/**
+ * (user_count, value) points of a metric, skipping missing values
+ */
+function seriesPoints(results, column) {
+    return results.rows
+        .filter((row) => Number.isFinite(row[column]))
+        .map((row) => ({ x: row.user_count, y: row[column] }))
+}
+
+/* ------------ Comparison ------------ */
+
+/**
+ * Ratio of a scheme to the baseline at every user count both have
+ * @returns {{ x: number, ratio: number }[]}
+ */
+function ratios(basePoints, otherPoints) {
+    const base = new Map(basePoints.map((p) => [p.x, p.y]))
+    return otherPoints
+        .filter((p) => base.has(p.x) && base.get(p.x) > 0)
+        .map((p) => ({ x: p.x, ratio: p.y / base.get(p.x) }))
+}
+
+// Ratios within this of 1 count as a tie, so timing noise between two
+// nearly equal schemes is not reported as a crossover
+const CROSSOVER_TOLERANCE = 0.05
+
+/**
+ * User counts where a scheme goes from clearly below the baseline to clearly
+ * above it, or back. The crossing is interpolated on the log-log chart
+ * between the last count on one side and the first on the other.
+ * @returns {{ x: number, from: number, to: number, becomes: string }[]}
+ *   becomes is "higher" or "lower": the scheme relative to the baseline
+ *   after the crossing
+ */
+function crossovers(basePoints, otherPoints) {
+    const found = []
+    let last = null
+    for (const { x, ratio } of ratios(basePoints, otherPoints)) {
+        const side =
+            ratio > 1 + CROSSOVER_TOLERANCE
+                ? 1
+                : ratio < 1 - CROSSOVER_TOLERANCE
+                ? -1
+                : 0
+        if (side === 0) continue
+
+        const d = Math.log(ratio)
+        if (last && last.side !== side) {
+            const t = last.d / (last.d - d)
+            const logX = Math.log(last.x) + t * (Math.log(x) - Math.log(last.x))
+            found.push({
+                x: Math.round(Math.exp(logX)),
+                from: last.x,
+                to: x,
+                becomes: side > 0 ? "higher" : "lower",
+            })
+        }
+        last = { x, d, side }
+    }
+    return found
+}
+
+/* ------------ Formatting ------------ */
+
+function formatCount(n) {
+    if (n >= 2 ** 20 && n % 2 ** 20 === 0) return `${n / 2 ** 20}M`
+    if (n >= 1024 && n % 1024 === 0) return `${n / 1024}K`
+    return String(n)
+}
+
+function formatValue(value, unit) {
+    if (!Number.isFinite(value)) return "–"
+    if (unit === "bytes") {
+        const units = ["B", "KB", "MB", "GB", "TB"]
+        let i = 0
+        while (value >= 1024 && i < units.length - 1) {
+            value /= 1024
+            i++
+        }
+        return `${value.toFixed(i === 0 ? 0 : 1)} ${units[i]}`
+    }
+    if (value >= 1000) return `${(value / 1000).toFixed(2)} s`
+    return `${value.toFixed(2)} ms`
+}
+
+// Axis label for a power of ten
+function formatTick(value) {
+    const suffixes = [
+        [1e12, "T"],
+        [1e9, "G"],
+        [1e6, "M"],
+        [1e3, "k"],
+    ]
+    for (const [scale, suffix] of suffixes) {
+        if (value >= scale) return `${value / scale}${suffix}`
+    }
+    return String(value)
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+}
+
+/* ------------ SVG chart ------------ */
+
+const CHART = {
+    width: 640,
+    height: 360,
+    left: 70,
+    right: 150,
+    top: 20,
+    bottom: 50,
+}
+
+/**
+ * Line chart of a metric against user count, both axes logarithmic
+ * (powers of two across, decades up)
+ * @param {{ label: string, points: { x: number, y: number }[] }[]} series
+ */
+function renderChart(metric, series) {
+    const all = series
+        .flatMap((s) => s.points)
+        .filter((p) => p.x > 0 && p.y > 0)
+    if (all.length === 0) return ""
+
+    const xMin = Math.floor(Math.log2(Math.min(...all.map((p) => p.x))))
+    const xMax = Math.max(
+        xMin + 1,
+        Math.ceil(Math.log2(Math.max(...all.map((p) => p.x))))
+    )
+    const yMin = Math.floor(Math.log10(Math.min(...all.map((p) => p.y))))
+    const yMax = Math.max(
+        yMin + 1,
+        Math.ceil(Math.log10(Math.max(...all.map((p) => p.y))))
+    )
+
+    const plotWidth = CHART.width - CHART.left - CHART.right
+    const plotHeight = CHART.height - CHART.top - CHART.bottom
+    const sx = (x) =>
+        CHART.left + ((Math.log2(x) - xMin) / (xMax - xMin)) * plotWidth
+    const sy = (y) =>
+        CHART.top +
+        plotHeight -
+        ((Math.log10(y) - yMin) / (yMax - yMin)) * plotHeight
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${
+            CHART.width
+        }" height="${CHART.height}" viewBox="0 0 ${CHART.width} ${
+            CHART.height
+        }" role="img" aria-label="${escapeHtml(metric.title)}">`,
+    ]
+
+    // Grid and ticks
+    const xStep = Math.ceil((xMax - xMin) / 10)
+    for (let e = xMin; e <= xMax; e += xStep) {
+        const x = sx(2 ** e).toFixed(1)
+        parts.push(
+            `<line x1="${x}" y1="${CHART.top}" x2="${x}" y2="${
+                CHART.top + plotHeight
+            }" stroke="#eee"/>`,
+            `<text x="${x}" y="${
+                CHART.top + plotHeight + 18
+            }" text-anchor="middle">${formatCount(2 ** e)}</text>`
+        )
+    }
+    for (let e = yMin; e <= yMax; e++) {
+        const y = sy(10 ** e).toFixed(1)
+        parts.push(
+            `<line x1="${CHART.left}" y1="${y}" x2="${
+                CHART.left + plotWidth
+            }" y2="${y}" stroke="#eee"/>`,
+            `<text x="${
+                CHART.left - 8
+            }" y="${y}" text-anchor="end" dominant-baseline="middle">${formatTick(
+                10 ** e
+            )}</text>`
+        )
+    }
+    parts.push(
+        `<rect x="${CHART.left}" y="${CHART.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#999"/>`,
+        `<text x="${CHART.left + plotWidth / 2}" y="${
+            CHART.height - 8
+        }" text-anchor="middle">Users</text>`,
+        `<text transform="translate(16 ${
+            CHART.top + plotHeight / 2
+        }) rotate(-90)" text-anchor="middle">${escapeHtml(metric.unit)}</text>`
+    )
+
+    // One line per scheme, with a legend entry
+    series.forEach((s, i) => {
+        const color = COLORS[i % COLORS.length]
+        const points = s.points.filter((p) => p.x > 0 && p.y > 0)
+        if (points.length === 0) return
+        parts.push(
+            `<polyline fill="none" stroke="${color}" stroke-width="2" points="${points
+                .map((p) => `${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`)
+                .join(" ")}"/>`
+        )
+        for (const p of points) {
+            parts.push(
+                `<circle cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(
+                    1
+                )}" r="3" fill="${color}"><title>${escapeHtml(
+                    `${s.label}: ${formatCount(p.x)} users, ${formatValue(
+                        p.y,
+                        metric.unit
+                    )}`
+                )}</title></circle>`
+            )
+        }
+        const ly = CHART.top + 10 + i * 20
+        const lx = CHART.left + plotWidth + 12
+        parts.push(
+            `<line x1="${lx}" y1="${ly}" x2="${
+                lx + 20
+            }" y2="${ly}" stroke="${color}" stroke-width="2"/>`,
+            `<text x="${
+                lx + 26
+            }" y="${ly}" dominant-baseline="middle">${escapeHtml(
+                s.label
+            )}</text>`
+        )
+    })
+
+    parts.push("</svg>")
+    return parts.join("\n")
+}
+
+/* ------------ Report ------------ */
+
+/**
+ * Everything the HTML and markdown outputs show, computed once
+ */
+function buildComparison(resultSets) {
+    const [baseline, ...others] = resultSets
+    // Metrics with a value in some file; older files leave newer columns empty
+    const metrics = METRICS.filter((m) =>
+        resultSets.some((r) => seriesPoints(r, m.column).length > 0)
+    ).map((metric) => {
+        const series = resultSets.map((r) => ({
+            label: r.label,
+            points: seriesPoints(r, metric.column),
+        }))
+        const comparisons = others.map((other, i) => ({
+            label: other.label,
+            ratios: ratios(series[0].points, series[i + 1].points),
+            crossovers: crossovers(series[0].points, series[i + 1].points),
+        }))
+        return { metric, series, comparisons }
+    })
+
+    // Largest user count every file has, for the summary table
+    const shared = resultSets
+        .map((r) => new Set(r.rows.map((row) => row.user_count)))
+        .reduce((a, b) => new Set([...a].filter((x) => b.has(x))))
+    const summaryCount = shared.size > 0 ? Math.max(...shared) : null
+
+    return { baseline, others, resultSets, metrics, summaryCount }
+}
+
+function valueAt(points, x) {
+    const point = points.find((p) => p.x === x)
+    return point ? point.y : NaN
+}
+
+function describeCrossovers(comparison, baselineLabel) {
+    if (comparison.crossovers.length === 0) return "none measured"
+    return comparison.crossovers
+        .map(
+            (c) =>
+                `~${formatCount(c.x)} users (${formatCount(
+                    c.from
+                )}–${formatCount(c.to)}): ${comparison.label} becomes ${
+                    c.becomes
+                } than ${baselineLabel}`
+        )
+        .join("; ")
+}
+
+// Summary table rows: one per metric at the shared user count
+function summaryRows(comparison) {
+    const { baseline, metrics, summaryCount } = comparison
+    return metrics.map(({ metric, series, comparisons }) => [
+        metric.title,
+        ...series.map((s) =>
+            formatValue(valueAt(s.points, summaryCount), metric.unit)
+        ),
+        ...comparisons.map((c) => {
+            const r = c.ratios.find((p) => p.x === summaryCount)
+            return r ? `${r.ratio.toFixed(2)}×` : "–"
+        }),
+        comparisons
+            .map((c) => describeCrossovers(c, baseline.label))
+            .join("; "),
+    ])
+}
+
+function summaryHeader(comparison) {
+    const { baseline, others, resultSets } = comparison
+    return [
+        "Metric",
+        ...resultSets.map((r) => r.label),
+        ...others.map((o) => `${o.label} / ${baseline.label}`),
+        "Crossovers",
+    ]
+}
+
+/**
+ * Markdown summary: the comparison at the largest shared user count, then
+ * one table per metric with every count and ratio
+ */
+function renderMarkdown(comparison) {
+    const { baseline, metrics, summaryCount } = comparison
+    const table = (header, rows) =>
+        [
+            `| ${header.join(" | ")} |`,
+            `| ${header.map(() => "---").join(" | ")} |`,
+            ...rows.map((row) => `| ${row.join(" | ")} |`),
+        ].join("\n")
+
+    const sections = [
+        "## Benchmark Comparison",
+        "",
+        summaryCount === null
+            ? "The result files share no user count."
+            : `At ${formatCount(summaryCount)} users (ratios against ${
+                  baseline.label
+              }; crossovers ignore differences under ${
+                  CROSSOVER_TOLERANCE * 100
+              }%):`,
+        "",
+        table(
+            summaryHeader(comparison),
+            summaryCount === null ? [] : summaryRows(comparison)
+        ),
+    ]
+
+    for (const { metric, series, comparisons } of metrics) {
+        const counts = [
+            ...new Set(series.flatMap((s) => s.points.map((p) => p.x))),
+        ].sort((a, b) => a - b)
+        sections.push(
+            "",
+            `### ${metric.title}`,
+            "",
+            table(
+                [
+                    "Users",
+                    ...series.map((s) => s.label),
+                    ...comparisons.map((c) => `${c.label} / ${baseline.label}`),
+                ],
+                counts.map((x) => [
+                    formatCount(x),
+                    ...series.map((s) =>
+                        formatValue(valueAt(s.points, x), metric.unit)
+                    ),
+                    ...comparisons.map((c) => {
+                        const r = c.ratios.find((p) => p.x === x)
+                        return r ? `${r.ratio.toFixed(2)}×` : "–"
+                    }),
+                ])
+            )
+        )
+    }
+
+    return sections.join("\n") + "\n"
+}
+
+function renderHtml(comparison) {
+    const { baseline, resultSets, metrics, summaryCount } = comparison
+    const table = (header, rows) =>
+        `<table><thead><tr>${header
+            .map((h) => `<th>${escapeHtml(h)}</th>`)
+            .join("")}</tr></thead><tbody>${rows
+            .map(
+                (row) =>
+                    `<tr>${row
+                        .map((v) => `<td>${escapeHtml(v)}</td>`)
+                        .join("")}</tr>`
+            )
+            .join("")}</tbody></table>`
+
+    const figures = metrics.map(({ metric, series, comparisons }) => {
+        const crossoverItems = comparisons
+            .map(
+                (c) =>
+                    `<li>${escapeHtml(
+                        describeCrossovers(c, baseline.label)
+                    )}</li>`
+            )
+            .join("")
+        return `<section>
+<h2>${escapeHtml(metric.title)}</h2>
+${renderChart(metric, series)}
+<ul>${crossoverItems}</ul>
+</section>`
+    })
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Benchmark Comparison</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+svg { font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>Benchmark Comparison</h1>
+<p>Sources: ${resultSets
+        .map((r) => `<code>${escapeHtml(r.file)}</code>`)
+        .join(", ")}. Ratios and crossovers are against <strong>${escapeHtml(
+        baseline.label
+    )}</strong>; crossovers ignore differences under ${
+        CROSSOVER_TOLERANCE * 100
+    }%. Charts use log scales on both axes.</p>
+${
+    summaryCount === null
+        ? "<p>The result files share no user count.</p>"
+        : `<h2>At ${formatCount(summaryCount)} users</h2>
+${table(summaryHeader(comparison), summaryRows(comparison))}`
+}
+${figures.join("\n")}
+</body>
+</html>
+`
+}
+
+/* ------------ Self-test ------------ */
+
+// Checks loading, ratios and crossovers on synthetic rows
+// (node report.js --self-test)
+function selfTest() {
+    const mark = (ok) => (ok ? "✅" : "❌")
+    let passed = true
+    const check = (name, ok) => {
+        passed = passed && ok
+        console.log(`   ${name}: ${mark(ok)}`)
+    }
+    const points = (pairs) => pairs.map(([x, y]) => ({ x, y }))
+
+    console.log("=== Testing Report ===\n")
+
+    console.log("1️⃣ Loading result files...")
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-"))
+    const write = (name, lines) => {
+        const file = path.join(dir, name)
+        fs.writeFileSync(file, lines.join("\n") + "\n")
+        return file
+    }
+    const base = loadResults(
+        write("imt_results.csv", [
+            "user_count,proof_gen_time_ms,retained_bytes",
+            "1024,10,",
+            "2048,12,100",
+            "1024,11,",
+        ])
+    )
+    check("Label from the file name", base.label === "imt")
+    check(
+        "Last row of a repeated count wins",
+        base.rows.length === 2 && base.rows[0].proof_gen_time_ms === 11
+    )
+    check(
+        "Empty values are skipped",
+        seriesPoints(base, "retained_bytes").length === 1
+    )
+    let rejected = false
+    try {
+        loadResults(
+            write("wide_results.csv", [
+                "user_count,proof_gen_time_ms",
+                "1024,10,5,7",
+            ])
+        )
+    } catch (e) {
+        rejected = e.message.includes("has 4 fields but the header has 2")
+    }
+    check("Row wider than the header throws", rejected)
+    fs.rmSync(dir, { recursive: true })
+
+    console.log("\n2️⃣ Testing ratios...")
+    const flat = points([
+        [1024, 10],
+        [2048, 10],
+        [4096, 10],
+        [8192, 10],
+    ])
+    const gappy = points([
+        [1024, 5],
+        [4096, 20],
+        [8192, 40],
+        [16384, 80],
+    ])
+    check(
+        "Only counts both files have",
+        ratios(flat, gappy)
+            .map((r) => `${r.x}:${r.ratio}`)
+            .join() === "1024:0.5,4096:2,8192:4"
+    )
+
+    console.log("\n3️⃣ Testing crossovers...")
+    const crossing = crossovers(
+        flat,
+        points([
+            [1024, 5],
+            [2048, 8],
+            [4096, 20],
+            [8192, 40],
+        ])
+    )
+    // ln 0.8 and ln 2 interpolated over log2(2048)..log2(4096)
+    check(
+        "One crossing between 2K and 4K",
+        crossing.length === 1 &&
+            crossing[0].from === 2048 &&
+            crossing[0].to === 4096 &&
+            crossing[0].becomes === "higher" &&
+            Math.abs(crossing[0].x - 2425) <= 1
+    )
+    const tied = crossovers(
+        flat,
+        points([
+            [1024, 9.7],
+            [2048, 10.3],
+            [4096, 9.8],
+            [8192, 10.4],
+        ])
+    )
+    check("Ties within the tolerance are not crossings", tied.length === 0)
+    const acrossGap = crossovers(flat, gappy)
+    check(
+        "A missing count widens the interval",
+        acrossGap.length === 1 &&
+            acrossGap[0].from === 1024 &&
+            acrossGap[0].to === 4096
+    )
+
+    console.log("\n" + "=".repeat(50))
+    console.log(
+        passed ? "🎉 All report tests passed!" : "❌ Report tests failed"
+    )
+    return passed
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2)
+    if (args.includes("--self-test")) process.exit(selfTest() ? 0 : 1)
+
+    const option = (name, fallback) =>
+        args.find((a) => a.startsWith(`--${name}=`))?.split("=")[1] ?? fallback
+    const htmlFile = option("out", "report.html")
+    const markdownFile = option("markdown", "report.md")
+    const files = args.filter((a) => !a.startsWith("--"))
+
+    const inputs = files.length > 0 ? files : DEFAULT_FILES
+    const missing = inputs.filter((f) => !fs.existsSync(f))
+    if (missing.length > 0) {
+        console.error(`Result file not found: ${missing.join(", ")}`)
+        process.exit(1)
+    }
+
+    const comparison = buildComparison(inputs.map(loadResults))
+    fs.writeFileSync(htmlFile, renderHtml(comparison))
+    fs.writeFileSync(markdownFile, renderMarkdown(comparison))
+    console.log(`Wrote ${htmlFile} and ${markdownFile}`)
+}
+
+module.exports = {
+    METRICS,
+    loadResults,
+    seriesPoints,
+    ratios,
+    crossovers,
+    renderChart,
+    buildComparison,
+    renderMarkdown,
+    renderHtml,
+}